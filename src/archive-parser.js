@@ -0,0 +1,128 @@
+// Parse posts from Medium's "Download your information" export. The export
+// is static, microformat-annotated HTML, so plain pattern matching is enough
+// and no browser is needed.
+import { decodeHtmlEntities, urlValidator } from './utils.js'
+
+const POST_ENTRY_PATTERN = /(^|\/)posts\/[^/]+\.html$/i
+const DRAFT_PREFIX = 'draft_'
+
+export const isArchivePostEntry = entryName =>
+  POST_ENTRY_PATTERN.test(entryName)
+
+const toText = html =>
+  decodeHtmlEntities(html.replace(/<[^>]+>/g, ''))
+    .replace(/\s+/g, ' ')
+    .trim()
+
+const getAttribute = (attributes, name) => {
+  const match = attributes.match(
+    new RegExp(`\\b${name}\\s*=\\s*("([^"]*)"|'([^']*)')`, 'i')
+  )
+  return match ? decodeHtmlEntities(match[2] ?? match[3]) : null
+}
+
+const hasClass = (attributes, className) =>
+  (getAttribute(attributes, 'class') || '').split(/\s+/).includes(className)
+
+// First element of the given tag carrying the class, as { attributes, inner }
+const findByClass = (html, tag, className) => {
+  const pattern = new RegExp(`<${tag}\\b([^>]*)>([\\s\\S]*?)<\\/${tag}>`, 'gi')
+  for (const [, attributes, inner] of html.matchAll(pattern)) {
+    if (hasClass(attributes, className)) {
+      return { attributes, inner }
+    }
+  }
+  return null
+}
+
+// Section content is nested, so take everything up to the footer
+const extractBody = html => {
+  const match = html.match(
+    /<section\b[^>]*data-field="body"[^>]*>([\s\S]*)<\/section>\s*<footer/i
+  )
+  return match ? match[1] : ''
+}
+
+const extractSubtitle = html => {
+  const match = html.match(
+    /<section\b[^>]*data-field="subtitle"[^>]*>([\s\S]*?)<\/section>/i
+  )
+  return match ? toText(match[1]) : null
+}
+
+// The body repeats the title as its first heading; frontmatter has it already
+const removeTitleHeading = body =>
+  body.replace(
+    /<h([1-4])\b[^>]*class="[^"]*graf--title[^"]*"[^>]*>[\s\S]*?<\/h\1>/i,
+    ''
+  )
+
+const extractImages = body =>
+  [...body.matchAll(/<img\b([^>]*)>/gi)]
+    .map(([, attributes]) => ({
+      src: getAttribute(attributes, 'src'),
+      alt: getAttribute(attributes, 'alt') || '',
+      featured: getAttribute(attributes, 'data-is-featured') === 'true',
+    }))
+    .filter(image => image.src)
+
+const getFileName = entryName => entryName.split('/').pop()
+
+// Export filenames end in the post ID: My-Post-Title-1a2b3c4d5e6f.html
+const extractPostIdFromFileName = entryName => {
+  const match = getFileName(entryName).match(/-([a-f0-9]{10,12})\.html$/i)
+  return match ? match[1].toLowerCase() : null
+}
+
+// Returns post data in the same shape as scraperService.extractPostContent
+export const parseArchivePost = (html, entryName) => {
+  const titleElement = findByClass(html, 'h1', 'p-name')
+  const documentTitle = html.match(/<title>([\s\S]*?)<\/title>/i)
+  const title = toText(titleElement?.inner || documentTitle?.[1] || '')
+
+  const canonical = findByClass(html, 'a', 'p-canonical')
+  const canonicalUrl = canonical
+    ? getAttribute(canonical.attributes, 'href')
+    : null
+
+  const published = html.match(
+    /<time\b[^>]*class="[^"]*dt-published[^"]*"[^>]*>/i
+  )
+  const publishDate = published ? getAttribute(published[0], 'datetime') : null
+
+  const author = findByClass(html, 'a', 'p-author')
+  const body = removeTitleHeading(extractBody(html))
+  const images = extractImages(body)
+  const featured = images.find(image => image.featured) || images[0]
+
+  const isDraft =
+    getFileName(entryName).startsWith(DRAFT_PREFIX) || !canonicalUrl
+  const postId =
+    urlValidator.extractPostId(canonicalUrl) ||
+    extractPostIdFromFileName(entryName)
+
+  // Drafts have no public URL, so key them by their place in the archive
+  const url = canonicalUrl || `medium-archive:${entryName}`
+
+  if (!body.trim()) {
+    return { success: false, error: `No post body found in ${entryName}`, url }
+  }
+
+  return {
+    success: true,
+    title: title || 'Untitled',
+    subtitle: extractSubtitle(html),
+    content: body,
+    author: author ? toText(author.inner) : null,
+    publishDate,
+    tags: [],
+    featuredImage: featured?.src || null,
+    images: images.map(({ src, alt }) => ({ src, alt })),
+    canonicalUrl,
+    mediumUrl: url,
+    url,
+    postId,
+    isDraft,
+    customFields: isDraft ? { published: false } : {},
+  }
+}
@@ -0,0 +1,153 @@
+// Content-addressed store that keeps one copy of each image for all posts
+import { createHash } from 'crypto'
+import path from 'path'
+
+export const ASSETS_DIRECTORY = 'assets'
+const INDEX_FILENAME = 'index.json'
+
+export const hashAsset = buffer =>
+  createHash('sha256').update(buffer).digest('hex')
+
+// Markdown links always use forward slashes
+export const toMarkdownPath = (fromDir, targetPath) =>
+  path.relative(fromDir, targetPath).split(path.sep).join('/')
+
+// The index maps each asset filename to the keys of the posts linking to it
+export const createAssetStore = ({ fileSystem, outputDir }) => {
+  const assetsDir = path.join(outputDir, ASSETS_DIRECTORY)
+  const indexPath = path.join(assetsDir, INDEX_FILENAME)
+
+  let indexPromise = null
+  let pendingWrite = Promise.resolve()
+
+  const loadIndex = () => {
+    if (!indexPromise) {
+      indexPromise = (async () => {
+        if (!fileSystem.fileExists(indexPath)) {
+          return {}
+        }
+        const content = await fileSystem.readFile(indexPath)
+        return JSON.parse(content).assets || {}
+      })()
+    }
+    return indexPromise
+  }
+
+  // Writes are chained so concurrent posts never interleave them
+  const persistIndex = assets => {
+    const snapshot = JSON.stringify(
+      { updatedAt: new Date().toISOString(), assets },
+      null,
+      2
+    )
+    pendingWrite = pendingWrite
+      .catch(() => {}) // An earlier failed write must not block later ones
+      .then(() => fileSystem.writeFile(indexPath, snapshot))
+    return pendingWrite
+  }
+
+  // Write the asset unless an identical one is already stored
+  const storeAsset = async (buffer, extension) => {
+    const hash = hashAsset(buffer)
+    const filename = `${hash}${extension}`
+    const assetPath = path.join(assetsDir, filename)
+
+    if (!fileSystem.fileExists(assetPath)) {
+      await fileSystem.ensureDirectory(assetsDir)
+      await fileSystem.writeFile(assetPath, buffer)
+    }
+
+    return { hash, filename, assetPath }
+  }
+
+  // Replace the set of assets a post links to. The index is only written
+  // when a link was added or dropped.
+  const setPostReferences = async (postKey, filenames) => {
+    const assets = await loadIndex()
+    const wanted = new Set(filenames)
+    let changed = false
+
+    Object.keys(assets).forEach(filename => {
+      if (!wanted.has(filename) && assets[filename].includes(postKey)) {
+        assets[filename] = assets[filename].filter(key => key !== postKey)
+        changed = true
+      }
+    })
+    wanted.forEach(filename => {
+      const keys = assets[filename] || []
+      if (!keys.includes(postKey)) {
+        assets[filename] = [...keys, postKey]
+        changed = true
+      }
+    })
+
+    if (changed) {
+      await persistIndex(assets)
+    }
+  }
+
+  // Drop every link of posts that are gone
+  const releasePosts = async postKeys => {
+    for (const postKey of postKeys) {
+      await setPostReferences(postKey, [])
+    }
+  }
+
+  // Assets among filenames that a markdown file in the output still links
+  // to. Asset names are content digests, so a plain text match is enough.
+  const findLinkedAssets = async filenames => {
+    if (filenames.length === 0) return new Set()
+
+    const linked = new Set()
+    const markdownFiles = await fileSystem.findFiles(outputDir, '.md')
+    for (const markdownFile of markdownFiles) {
+      const markdown = await fileSystem.readFile(markdownFile)
+      filenames
+        .filter(filename => markdown.includes(filename))
+        .forEach(filename => linked.add(filename))
+    }
+    return linked
+  }
+
+  // Delete stored assets no post links to, including files missing from
+  // the index. Markdown left on disk (e.g. of posts gone from Medium) keeps
+  // the assets it still links to.
+  const collectGarbage = async ({ dryRun = false } = {}) => {
+    const assets = await loadIndex()
+    const storedFiles = fileSystem.fileExists(assetsDir)
+      ? await fileSystem.listFiles(assetsDir)
+      : []
+    const assetFiles = storedFiles.filter(name => name !== INDEX_FILENAME)
+    const isReferenced = filename => assets[filename]?.length > 0
+
+    const unindexed = assetFiles.filter(name => !isReferenced(name))
+    const linked = await findLinkedAssets(unindexed)
+    const unreferenced = unindexed.filter(name => !linked.has(name))
+
+    if (!dryRun) {
+      for (const filename of unreferenced) {
+        await fileSystem.removeFile(path.join(assetsDir, filename))
+      }
+      Object.keys(assets)
+        .filter(filename => !isReferenced(filename))
+        .forEach(filename => delete assets[filename])
+      await persistIndex(assets)
+    }
+
+    return {
+      removed: unreferenced,
+      kept: assetFiles.length - unreferenced.length,
+      dryRun,
+    }
+  }
+
+  return {
+    assetsDir,
+    storeAsset,
+    setPostReferences,
+    releasePosts,
+    collectGarbage,
+  }
+}
+
+export default createAssetStore
@@ -1,8 +1,31 @@
 import { google } from 'googleapis'
 import { promises as fs, existsSync } from 'fs'
+import { createHash, randomBytes } from 'crypto'
+import http from 'http'
 import path from 'path'
-import { fileURLToPath } from 'url'
+import { fileURLToPath, URL } from 'url'
 import readline from 'readline'
+import { Writable } from 'stream'
+import {
+  BROWSER_ARGS,
+  DELAYS,
+  MEDIUM_ORIGIN,
+  MEDIUM_SIGNIN_URL,
+  TIMEOUTS,
+} from './constants.js'
+import {
+  getSessionExpiry,
+  isMediumSession,
+  parseCookieFile,
+  toStoredCookie,
+  validateSessionCookies,
+} from './cookies.js'
+import {
+  decryptJson,
+  encryptJson,
+  isEncrypted,
+  PASSPHRASE_ENV,
+} from './encryption.js'
 
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = path.dirname(__filename)
@@ -16,88 +39,350 @@ const createBrowserLauncher = () => ({
   },
 })
 
-// Factory function for creating token storage
-const createTokenStorage = () => {
-  const tokenPath = path.join(__dirname, '..', '.auth-tokens.json')
+// Credentials are kept in the project root unless another directory is given
+const defaultCredentialsDir = path.join(__dirname, '..')
+
+// Factory function for a JSON file encrypted with the passphrase from
+// getPassphrase and readable only by its owner. Plaintext files written by
+// earlier versions are encrypted in place the first time they are read.
+// Contents stay decrypted in memory, so repeated loads skip scrypt.
+const createEncryptedFile = (filePath, getPassphrase, label) => {
+  let cached = null
+
+  const write = async value => {
+    const payload = await encryptJson(value, await getPassphrase())
+    await fs.mkdir(path.dirname(filePath), { recursive: true, mode: 0o700 })
+    await fs.writeFile(filePath, JSON.stringify(payload, null, 2), {
+      mode: 0o600,
+    })
+    // The mode only applies when the file is created
+    await fs.chmod(filePath, 0o600)
+    cached = value
+  }
 
   return {
     exists: () => {
       try {
-        return existsSync(tokenPath)
+        return existsSync(filePath)
       } catch {
         return false
       }
     },
 
-    save: async tokens => {
+    save: async value => {
       try {
-        await fs.writeFile(tokenPath, JSON.stringify(tokens, null, 2))
+        await write(value)
         return true
       } catch (error) {
-        throw new Error(`Failed to save tokens: ${error.message}`)
+        throw new Error(`Failed to save ${label}: ${error.message}`)
       }
     },
 
     load: async () => {
       try {
-        if (!existsSync(tokenPath)) {
+        if (cached) {
+          return cached
+        }
+        if (!existsSync(filePath)) {
           return null
         }
-        const data = await fs.readFile(tokenPath, 'utf8')
-        return JSON.parse(data)
+        const data = JSON.parse(await fs.readFile(filePath, 'utf8'))
+        if (!isEncrypted(data)) {
+          await write(data)
+          return data
+        }
+        try {
+          cached = await decryptJson(data, await getPassphrase())
+        } catch (error) {
+          // A wrong passphrase must not be reused for the rest of the run
+          getPassphrase.forget?.()
+          throw error
+        }
+        return cached
       } catch (error) {
-        throw new Error(`Failed to load tokens: ${error.message}`)
+        throw new Error(`Failed to load ${label}: ${error.message}`)
       }
     },
+
+    clear: async () => {
+      cached = null
+      await fs.rm(filePath, { force: true })
+    },
   }
 }
 
+// Factory function for creating token storage
+const createTokenStorage = (getPassphrase, directory = defaultCredentialsDir) =>
+  createEncryptedFile(
+    path.join(directory, '.auth-tokens.json'),
+    getPassphrase,
+    'tokens'
+  )
+
+// Factory function for creating Medium session storage
+const createSessionStorage = (
+  getPassphrase,
+  directory = defaultCredentialsDir
+) =>
+  createEncryptedFile(
+    path.join(directory, '.medium-session.json'),
+    getPassphrase,
+    'session'
+  )
+
+// Factory function for the headed browser the user signs in to Medium with
+const createSessionBrowser = () => ({
+  // Open Medium's sign-in page and resolve with its cookies once the user
+  // has signed in
+  signIn: async ({ timeout = TIMEOUTS.SESSION_LOGIN } = {}) => {
+    const { default: puppeteer } = await import('puppeteer')
+    const browser = await puppeteer.launch({
+      headless: false,
+      defaultViewport: null,
+      args: BROWSER_ARGS,
+    })
+
+    try {
+      const [page = await browser.newPage()] = await browser.pages()
+      await page.goto(MEDIUM_SIGNIN_URL)
+
+      const deadline = Date.now() + timeout
+      while (Date.now() < deadline) {
+        const cookies = await page.cookies(MEDIUM_ORIGIN)
+        if (isMediumSession(cookies)) {
+          return cookies
+        }
+        await new Promise(resolve => setTimeout(resolve, DELAYS.SESSION_POLL))
+      }
+
+      throw new Error('Timed out waiting for Medium sign-in')
+    } finally {
+      await browser.close()
+    }
+  },
+})
+
 // Factory function for creating OAuth client
 const createOAuthClient = () => {
+  const redirectUri =
+    process.env.GOOGLE_REDIRECT_URI || 'http://localhost:8080/oauth/callback'
   const oauth2Client = new google.auth.OAuth2(
     process.env.GOOGLE_CLIENT_ID || 'test-client-id',
     process.env.GOOGLE_CLIENT_SECRET || 'test-client-secret',
-    process.env.GOOGLE_REDIRECT_URI || 'http://localhost:3000/auth/callback'
+    redirectUri
   )
 
   return {
+    redirectUri,
     generateAuthUrl: options => oauth2Client.generateAuthUrl(options),
-    getToken: async code => oauth2Client.getToken(code),
+    // Takes the code, or { code, codeVerifier, redirect_uri } for PKCE
+    getToken: async options => oauth2Client.getToken(options),
     setCredentials: tokens => oauth2Client.setCredentials(tokens),
     getAccessToken: () => oauth2Client.getAccessToken(),
   }
 }
 
-// Factory function for creating readline interface
+const LOOPBACK_HOSTS = ['localhost', '127.0.0.1', '[::1]']
+
+// Only a plain http loopback redirect can be served by a local listener
+const isLoopbackUri = uri => {
+  try {
+    const url = new URL(uri)
+    return url.protocol === 'http:' && LOOPBACK_HOSTS.includes(url.hostname)
+  } catch {
+    return false
+  }
+}
+
+// Without a display, the browser opens (if at all) on another machine and
+// its redirect can never reach a local listener
+const isHeadless = () =>
+  process.platform === 'linux' &&
+  !process.env.DISPLAY &&
+  !process.env.WAYLAND_DISPLAY
+
+// PKCE (RFC 7636): the code is only exchanged together with the verifier
+// behind the challenge sent in the authorization URL
+const createPkcePair = () => {
+  const codeVerifier = randomBytes(32).toString('base64url')
+  const codeChallenge = createHash('sha256')
+    .update(codeVerifier)
+    .digest('base64url')
+  return { codeVerifier, codeChallenge }
+}
+
+const respond = (response, status, message) => {
+  response.writeHead(status, { 'Content-Type': 'text/html; charset=utf-8' })
+  response.end(`<!doctype html><p>${message}</p>`)
+}
+
+// Factory function for the short-lived listener that receives the OAuth
+// redirect on the loopback redirect URI
+const createCallbackServer = () => ({
+  // Resolves once listening. waitForCode settles with the code of the first
+  // redirect to the callback path, rejecting when its state does not match.
+  listen: async (redirectUri, state) => {
+    const callbackUrl = new URL(redirectUri)
+    let settle = null
+    const code = new Promise((resolve, reject) => {
+      settle = { resolve, reject }
+    })
+    // A redirect may fail before waitForCode is called; it still sees it
+    code.catch(() => {})
+
+    const server = http.createServer((request, response) => {
+      const url = new URL(request.url, callbackUrl)
+      if (url.pathname !== callbackUrl.pathname) {
+        respond(response, 404, 'Not found')
+        return
+      }
+
+      if (url.searchParams.get('state') !== state) {
+        respond(response, 400, 'Authentication failed: state mismatch.')
+        settle.reject(new Error('OAuth state mismatch - redirect rejected'))
+        return
+      }
+
+      const authCode = url.searchParams.get('code')
+      if (!authCode) {
+        const reason = url.searchParams.get('error') || 'no code returned'
+        respond(response, 400, 'Authentication failed. You can close this tab.')
+        settle.reject(new Error(`Authorization denied: ${reason}`))
+        return
+      }
+
+      respond(response, 200, 'Authentication complete. You can close this tab.')
+      settle.resolve(authCode)
+    })
+
+    await new Promise((resolve, reject) => {
+      server.once('error', reject)
+      server.listen(
+        callbackUrl.port === '' ? 80 : Number(callbackUrl.port),
+        callbackUrl.hostname.replace(/^\[|\]$/g, ''),
+        resolve
+      )
+    })
+
+    // Port 0 picks a free port, which the redirect URI then has to name
+    callbackUrl.port = String(server.address().port)
+
+    let timer = null
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(
+        () => reject(new Error('Timed out waiting for the OAuth redirect')),
+        TIMEOUTS.OAUTH_CALLBACK
+      )
+    })
+    timeout.catch(() => {})
+
+    return {
+      redirectUri: callbackUrl.toString(),
+      waitForCode: () => Promise.race([code, timeout]),
+      close: () =>
+        new Promise(resolve => {
+          clearTimeout(timer)
+          server.close(() => resolve())
+          server.closeAllConnections()
+        }),
+    }
+  },
+})
+
+// The code pasted by the user, who may paste the whole redirect URL instead
+const parsePastedCode = (answer, state) => {
+  if (!/^https?:\/\//.test(answer)) {
+    return answer
+  }
+
+  const params = new URL(answer).searchParams
+  if (params.has('state') && params.get('state') !== state) {
+    throw new Error('OAuth state mismatch - pasted URL rejected')
+  }
+  return params.get('code') || ''
+}
+
+// Factory function for creating readline interface. With options.hidden
+// the answer is not echoed, as for passwords.
 const createReadlineInterface = () => {
   return {
-    question: prompt =>
+    question: (prompt, { hidden = false } = {}) =>
       new Promise(resolve => {
+        let muted = false
+        const output = new Writable({
+          write: (chunk, encoding, callback) => {
+            if (!muted) process.stdout.write(chunk, encoding)
+            callback()
+          },
+        })
         const rl = readline.createInterface({
           input: process.stdin,
-          output: process.stdout,
+          output,
+          terminal: Boolean(process.stdin.isTTY),
         })
 
         rl.question(prompt, answer => {
           rl.close()
+          if (muted) process.stdout.write('\n')
           resolve(answer.trim())
         })
+        // The prompt is written by now; what is typed from here on is not
+        muted = hidden
       }),
   }
 }
 
+// Factory function for the passphrase of the encrypted credential files,
+// asked for at most once per run. Services sharing one source, such as
+// those of several auth profiles, ask only once between them. forget()
+// drops a passphrase that failed to decrypt, so the next read asks again.
+export const createPassphraseSource = (prompt = createReadlineInterface()) => {
+  let passphrase = null
+
+  const getPassphrase = async () => {
+    passphrase =
+      passphrase ||
+      process.env[PASSPHRASE_ENV] ||
+      (await prompt.question('Passphrase for stored credentials: ', {
+        hidden: true,
+      }))
+    if (!passphrase) {
+      throw new Error(
+        `A passphrase is required - set ${PASSPHRASE_ENV} or enter one`
+      )
+    }
+    return passphrase
+  }
+  getPassphrase.forget = () => {
+    passphrase = null
+  }
+
+  return getPassphrase
+}
+
 // Main factory function for authentication service
 export const createAuthService = (dependencies = {}) => {
   const browserLauncher =
     dependencies.browserLauncher || createBrowserLauncher()
-  const tokenStorage = dependencies.tokenStorage || createTokenStorage()
   const oauthClient = dependencies.oauthClient || createOAuthClient()
   const readline = dependencies.readline || createReadlineInterface()
+  const callbackServer = dependencies.callbackServer || createCallbackServer()
+  const credentialsDir = dependencies.credentialsDir || defaultCredentialsDir
+
+  const getPassphrase =
+    dependencies.getPassphrase || createPassphraseSource(readline)
+  const tokenStorage =
+    dependencies.tokenStorage ||
+    createTokenStorage(getPassphrase, credentialsDir)
+  const sessionStorage =
+    dependencies.sessionStorage ||
+    createSessionStorage(getPassphrase, credentialsDir)
+  const sessionBrowser = dependencies.sessionBrowser || createSessionBrowser()
 
   const SCOPES = ['email', 'profile']
 
-  // Check if current tokens are valid
-  const isAuthenticated = async () => {
+  // Check if current Google tokens are valid
+  const hasValidTokens = async () => {
     try {
       if (!tokenStorage.exists()) {
         return false
@@ -123,6 +408,17 @@ export const createAuthService = (dependencies = {}) => {
     }
   }
 
+  // Cookies of the saved Medium session, or none when it is missing or has
+  // expired. A session that cannot be decrypted is an error rather than a
+  // missing session, so a wrong passphrase is reported as such.
+  const getSessionCookies = async () => {
+    const session = await sessionStorage.load()
+    return isMediumSession(session?.cookies) ? session.cookies : []
+  }
+
+  // Scraping is authenticated when pages will browse Medium signed in
+  const isAuthenticated = async () => (await getSessionCookies()).length > 0
+
   // Refresh expired access token
   const refreshToken = async refreshToken => {
     try {
@@ -139,37 +435,74 @@ export const createAuthService = (dependencies = {}) => {
     }
   }
 
-  // Perform initial OAuth authentication flow
-  const authenticate = async () => {
+  // Start the redirect listener, or return null to fall back to pasting the
+  // code when the redirect URI cannot be served here
+  const startCallbackListener = async state => {
+    const redirectUri = oauthClient.redirectUri
+    if (redirectUri && !isLoopbackUri(redirectUri)) {
+      return null
+    }
+
+    try {
+      return await callbackServer.listen(redirectUri, state)
+    } catch {
+      return null
+    }
+  }
+
+  // Perform initial OAuth authentication flow. The code arrives on a local
+  // listener at the redirect URI; with options.paste, on headless machines,
+  // or when the listener cannot start, the user pastes it instead.
+  const authenticate = async (options = {}) => {
+    let listener = null
+
     try {
       // Check if already authenticated
-      if (await isAuthenticated()) {
+      if (await hasValidTokens()) {
         return {
           success: true,
           message: 'Already authenticated - using existing tokens',
         }
       }
 
+      const state = randomBytes(16).toString('hex')
+      const { codeVerifier, codeChallenge } = createPkcePair()
+      const paste = options.paste ?? isHeadless()
+      listener = paste ? null : await startCallbackListener(state)
+      const redirectUri = listener?.redirectUri || oauthClient.redirectUri
+
       // Generate authorization URL
       const authUrl = oauthClient.generateAuthUrl({
         access_type: 'offline',
         scope: SCOPES,
+        state,
+        code_challenge: codeChallenge,
+        code_challenge_method: 'S256',
+        redirect_uri: redirectUri,
       })
 
       // Open browser for user authorization
       await browserLauncher.launch(authUrl)
 
-      // Prompt user for authorization code
-      const code = await readline.question(
-        'Enter the authorization code from your browser: '
-      )
+      const code = listener
+        ? await listener.waitForCode()
+        : parsePastedCode(
+            await readline.question(
+              `If no browser opened, visit:\n${authUrl}\n\nEnter the authorization code from your browser: `
+            ),
+            state
+          )
 
       if (!code) {
         throw new Error('Authorization code is required')
       }
 
       // Exchange code for tokens
-      const { tokens } = await oauthClient.getToken(code)
+      const { tokens } = await oauthClient.getToken({
+        code,
+        codeVerifier,
+        redirect_uri: redirectUri,
+      })
 
       // Store tokens securely
       await tokenStorage.save(tokens)
@@ -187,26 +520,96 @@ export const createAuthService = (dependencies = {}) => {
         success: false,
         message: `Authentication failed: ${error.message}`,
       }
+    } finally {
+      await listener?.close()
+    }
+  }
+
+  // Sign in to Medium in a headed browser and save the session cookies, so
+  // scraping sees member-only stories, drafts and highlights
+  const loginToMedium = async (options = {}) => {
+    try {
+      // A session that cannot be read is replaced by signing in again
+      if (!options.force && (await isAuthenticated().catch(() => false))) {
+        return {
+          success: true,
+          message: 'Already signed in to Medium - using saved session',
+        }
+      }
+
+      const cookies = await sessionBrowser.signIn(options)
+      await sessionStorage.save({
+        cookies: cookies.map(toStoredCookie),
+        savedAt: new Date().toISOString(),
+      })
+
+      return {
+        success: true,
+        message: 'Medium sign-in successful! Session saved for scraping.',
+      }
+    } catch (error) {
+      return {
+        success: false,
+        message: `Medium sign-in failed: ${error.message}`,
+      }
+    }
+  }
+
+  // Save the Medium session from a cookies.txt or JSON cookie export, for
+  // machines where no browser window can be opened to sign in
+  const importCookies = async filePath => {
+    try {
+      const cookies = parseCookieFile(await fs.readFile(filePath, 'utf8'))
+      const validation = validateSessionCookies(cookies)
+      if (!validation.isValid) {
+        throw new Error(
+          `No signed-in Medium session in ${filePath}: ${validation.errors.join(', ')}`
+        )
+      }
+
+      await sessionStorage.save({
+        cookies,
+        savedAt: new Date().toISOString(),
+      })
+
+      return {
+        success: true,
+        message: `Imported ${cookies.length} Medium cookies. Session saved for scraping.`,
+        cookieExpiryDate: getSessionExpiry(cookies),
+      }
+    } catch (error) {
+      return {
+        success: false,
+        message: `Cookie import failed: ${error.message}`,
+      }
     }
   }
 
-  // Get current authentication status
+  // Get current authentication status. A saved session that cannot be
+  // read is reported in error.
   const getAuthStatus = async () => {
-    const authenticated = await isAuthenticated()
-    const tokens = authenticated ? await tokenStorage.load() : null
+    let sessionError = null
+    const session = await sessionStorage.load().catch(error => {
+      sessionError = error.message
+      return null
+    })
+    const tokens = (await hasValidTokens()) ? await tokenStorage.load() : null
 
     return {
-      authenticated,
+      authenticated: isMediumSession(session?.cookies),
+      hasSession: sessionStorage.exists(),
       hasTokens: tokenStorage.exists(),
       expiryDate: tokens?.expiry_date || null,
+      cookieExpiryDate: getSessionExpiry(session?.cookies),
+      ...(sessionError && { error: sessionError }),
     }
   }
 
   // Clear stored authentication
   const clearAuth = async () => {
     try {
-      const tokenPath = path.join(__dirname, '..', '.auth-tokens.json')
-      await fs.unlink(tokenPath)
+      await tokenStorage.clear()
+      await sessionStorage.clear()
       return { success: true, message: 'Authentication cleared' }
     } catch (error) {
       return {
@@ -218,7 +621,10 @@ export const createAuthService = (dependencies = {}) => {
 
   return {
     authenticate,
+    loginToMedium,
+    importCookies,
     isAuthenticated,
+    getSessionCookies,
     refreshToken,
     getAuthStatus,
     clearAuth,
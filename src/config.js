@@ -2,7 +2,14 @@
 import { promises as fs, existsSync } from 'fs'
 import path from 'path'
 import { fileURLToPath } from 'url'
-import { withErrorHandling } from './utils.js'
+import { normalizeCustomDomain, withErrorHandling } from './utils.js'
+import { validateNamingScheme } from './naming.js'
+import { validateImageMaxWidth } from './image-urls.js'
+import { CONVERSION_TARGETS } from './image-types.js'
+import { DISCOVERY_MODES } from './scraper/feed-discovery.js'
+import { validateDiscoveryStrategies } from './scraper/discovery-strategies.js'
+import { validateResponsesFormat } from './responses.js'
+import { IMAGE_STRATEGIES, LIMITS } from './constants.js'
 
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = path.dirname(__filename)
@@ -10,14 +17,25 @@ const __dirname = path.dirname(__filename)
 // Default configuration
 const defaultConfig = {
   outputDirectory: path.join(__dirname, '..', 'output'),
-  namingScheme: 'slug', // 'slug' | 'title' | 'date-slug'
+  namingScheme: 'slug', // 'slug' | 'title' | 'date-slug' | '{yyyy}/{mm}/{slug}'
+  groupByPublication: false, // Save publication posts under output/<publication>/
   includeImages: true,
+  imageStrategy: 'download', // 'download' | 'remote' | 'skip' | 'inline-base64'
+  inlineImageMaxBytes: LIMITS.INLINE_IMAGE_MAX_BYTES, // Larger images are downloaded
+  imageMaxWidth: 'original', // 'original' | 'rendered' | max width in pixels
+  sharedAssets: false, // Store images once in output/assets, named by hash
+  convertImages: null, // 'png' | 'jpeg' - re-encode WebP/AVIF (needs sharp)
   dateFilter: null, // { from: 'YYYY-MM-DD', to: 'YYYY-MM-DD' }
   tagFilter: [], // ['tag1', 'tag2'] - only posts with these tags
+  authorFilter: [], // ['Jane Writer', '@jane'] - only posts by these authors
   concurrency: 3, // Number of simultaneous downloads
   retryAttempts: 3,
   requestDelay: 2000, // Delay between requests in ms
   maxScrollAttempts: 20,
+  discovery: 'scroll', // 'scroll' | 'rss' | 'auto' (feed, then scroll for older posts)
+  discoveryStrategies: null, // e.g. ['container', 'link'] - page strategies to run, in order
+  customDomains: [], // ['blog.example.com'] - domains serving Medium publications or profiles
+  responsesFormat: null, // 'markdown' | 'json' - save each post's responses next to it
   verbose: false,
   resumeEnabled: true,
   validateResults: true,
@@ -63,11 +81,8 @@ export const validateConfig = config => {
     errors.push('outputDirectory must be a valid string path')
   }
 
-  // Validate naming scheme
-  const validNamingSchemes = ['slug', 'title', 'date-slug']
-  if (!validNamingSchemes.includes(config.namingScheme)) {
-    errors.push(`namingScheme must be one of: ${validNamingSchemes.join(', ')}`)
-  }
+  // Validate naming scheme or template
+  errors.push(...validateNamingScheme(config.namingScheme))
 
   // Validate concurrency
   if (
@@ -87,6 +102,71 @@ export const validateConfig = config => {
     errors.push('retryAttempts must be a number between 0 and 10')
   }
 
+  // Validate discovery mode
+  if (
+    config.discovery !== undefined &&
+    !DISCOVERY_MODES.includes(config.discovery)
+  ) {
+    errors.push(`discovery must be one of: ${DISCOVERY_MODES.join(', ')}`)
+  }
+
+  errors.push(...validateDiscoveryStrategies(config.discoveryStrategies))
+  errors.push(...validateResponsesFormat(config.responsesFormat))
+
+  // Validate custom domains
+  if (
+    config.customDomains !== undefined &&
+    (!Array.isArray(config.customDomains) ||
+      !config.customDomains.every(
+        domain =>
+          typeof domain === 'string' &&
+          /^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(normalizeCustomDomain(domain))
+      ))
+  ) {
+    errors.push('customDomains must be an array of domain names')
+  }
+
+  // Validate image handling
+  if (
+    config.imageStrategy !== undefined &&
+    !IMAGE_STRATEGIES.includes(config.imageStrategy)
+  ) {
+    errors.push(`imageStrategy must be one of: ${IMAGE_STRATEGIES.join(', ')}`)
+  }
+
+  if (
+    config.inlineImageMaxBytes !== undefined &&
+    (typeof config.inlineImageMaxBytes !== 'number' ||
+      config.inlineImageMaxBytes < 1)
+  ) {
+    errors.push('inlineImageMaxBytes must be a positive number')
+  }
+
+  errors.push(...validateImageMaxWidth(config.imageMaxWidth))
+
+  if (
+    config.sharedAssets !== undefined &&
+    typeof config.sharedAssets !== 'boolean'
+  ) {
+    errors.push('sharedAssets must be true or false')
+  }
+
+  if (
+    config.groupByPublication !== undefined &&
+    typeof config.groupByPublication !== 'boolean'
+  ) {
+    errors.push('groupByPublication must be true or false')
+  }
+
+  if (
+    config.convertImages != null &&
+    !CONVERSION_TARGETS.includes(config.convertImages)
+  ) {
+    errors.push(
+      `convertImages must be null or one of: ${CONVERSION_TARGETS.join(', ')}`
+    )
+  }
+
   // Validate date filter format
   if (config.dateFilter) {
     if (!config.dateFilter.from && !config.dateFilter.to) {
@@ -113,12 +193,30 @@ export const validateConfig = config => {
     errors.push('tagFilter must be an array of strings')
   }
 
+  // Validate author filter
+  if (config.authorFilter && !Array.isArray(config.authorFilter)) {
+    errors.push('authorFilter must be an array of strings')
+  }
+
   return {
     isValid: errors.length === 0,
     errors,
   }
 }
 
+// includeImages: false always wins over the configured strategy
+export const resolveImageStrategy = config =>
+  config.includeImages === false ? 'skip' : config.imageStrategy || 'download'
+
+// Image settings handed to storage for each post
+export const resolveImageOptions = config => ({
+  imageStrategy: resolveImageStrategy(config),
+  inlineImageMaxBytes: config.inlineImageMaxBytes,
+  imageMaxWidth: config.imageMaxWidth,
+  sharedAssets: Boolean(config.sharedAssets),
+  convertImages: config.convertImages || null,
+})
+
 // Get current configuration (cached)
 let cachedConfig = null
 
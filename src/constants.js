@@ -10,6 +10,7 @@ export const DELAYS = {
   PAGE_LOAD: 3500,
   SCROLL_STEP_MULTIPLE: 800,
   FINAL_CONTENT_LOAD: 2000,
+  SESSION_POLL: 1000,
 }
 
 export const TIMEOUTS = {
@@ -18,6 +19,10 @@ export const TIMEOUTS = {
   WAIT_FOR_SELECTOR: 20000,
   ELEMENT_WAIT_FAST: 1000,
   ELEMENT_WAIT_NORMAL: 20000,
+  PAGE_LEASE: 120000,
+  DISCOVERY_LEASE: 600000,
+  SESSION_LOGIN: 300000,
+  OAUTH_CALLBACK: 300000,
 }
 
 export const LIMITS = {
@@ -30,8 +35,15 @@ export const LIMITS = {
   TAG_LENGTH_MAX: 50,
   TITLE_PREVIEW_LENGTH: 50,
   POST_SLUG_MIN_LENGTH: 8,
+  MAX_IDLE_PAGES: 10,
+  INLINE_IMAGE_MAX_BYTES: 102400,
+  MAX_RESPONSE_EXPANSIONS: 20,
 }
 
+// How images are written: downloaded next to the post, left as remote URLs,
+// dropped entirely, or embedded as data URIs
+export const IMAGE_STRATEGIES = ['download', 'remote', 'skip', 'inline-base64']
+
 export const SELECTORS = {
   // Article and post containers
   ARTICLE: 'article',
@@ -55,6 +67,11 @@ export const SELECTORS = {
   // Author elements
   AUTHOR: '[data-testid="authorName"], .author-name',
 
+  // Publication elements
+  PUBLICATION_NAME: '[data-testid="publicationName"], .publication-name',
+  PUBLICATION_LOGO:
+    '[data-testid="publicationAvatar"] img, img[data-testid="publicationLogo"], .publication-logo img',
+
   // Tag elements
   TAGS: '[data-testid="tag"], .tag, [data-testid*="tag"], .tags a, .post-tags a, [href*="/tag/"], a[href*="/tag/"]',
 
@@ -63,6 +80,16 @@ export const SELECTORS = {
   CLAP_COUNT: '[data-testid="clap-count"], .clap-count',
   RESPONSES_COUNT: '[data-testid="responses-count"], .responses-count',
 
+  // Responses panel
+  RESPONSES_BUTTON:
+    'button[aria-label="responses"], [data-testid="responses-count"], .responses-count',
+  RESPONSE_ITEMS: '[data-testid="response"], .response',
+  RESPONSE_AUTHOR: '[data-testid="responseAuthor"], a[href*="/@"]',
+  RESPONSE_DATE: '[data-testid="responseDate"], time',
+  RESPONSE_TEXT: '[data-testid="responseText"], .response-text',
+  RESPONSES_MORE:
+    'button[aria-label*="more responses"], button[aria-label*="replies"], [data-testid="load-more-responses"]',
+
   // Images
   FEATURED_IMAGE:
     'img[data-testid="featured-image"], article img:first-of-type',
@@ -75,6 +102,30 @@ export const SELECTORS = {
     'button[aria-label*="more"], button[aria-label*="load"], [data-testid*="load-more"]',
   END_OF_FEED: '[data-testid="end-of-feed"], .end-of-feed',
 
+  // Publication archive listings (/archive/YYYY/MM/DD)
+  ARCHIVE_ITEMS: '.streamItem, article, [data-testid="post-preview"]',
+  ARCHIVE_POST_LINKS:
+    'a[data-action="open-post"], .postArticle-readMore a, a[href*="collection_archive"]',
+  ARCHIVE_AUTHOR: 'a[data-action="show-user-card"], a[href*="/@"]',
+
+  // Medium Lists (/@user/lists and /@user/list/<slug>)
+  LIST_LINKS: 'a[href*="/list/"]',
+  LIST_CARDS: '[data-testid="list-card"], article, section',
+  LIST_TITLE: '[data-testid="listTitle"], h1',
+  LIST_DESCRIPTION: '[data-testid="listDescription"], .list-description',
+  LIST_ITEMS: '[data-testid="post-preview"], article',
+  LIST_ITEM_AUTHOR:
+    '[data-testid="authorName"], a[data-action="show-user-card"]',
+  LIST_ITEM_NOTE: '[data-testid="listItemNote"], .list-item-note, blockquote',
+
+  // Highlights page (/me/highlights)
+  HIGHLIGHT_ITEMS: '[data-testid="highlight"], .highlight-item',
+  HIGHLIGHT_TEXT: '[data-testid="highlightText"], mark, blockquote',
+  HIGHLIGHT_NOTE: '[data-testid="highlightNote"], .private-note',
+  HIGHLIGHT_DATE: '[data-testid="highlightDate"], time',
+  HIGHLIGHT_AUTHOR:
+    '[data-testid="authorName"], a[data-action="show-user-card"]',
+
   // Content waiting
   CONTENT_WAIT:
     'article, [data-testid*="post"], [data-testid*="story"], a[href*="/@"]',
@@ -85,6 +136,10 @@ export const USER_AGENT =
 
 export const BROWSER_ARGS = ['--no-sandbox', '--disable-setuid-sandbox']
 
+// Where the user signs in to Medium, and the site the session cookies are for
+export const MEDIUM_SIGNIN_URL = 'https://medium.com/m/signin'
+export const MEDIUM_ORIGIN = 'https://medium.com'
+
 export const SCROLL_CONFIG = {
   VIEW_HEIGHT_MULTIPLIER: 0.8,
   INCREMENTAL_MULTIPLIER: 0.6,
@@ -1,7 +1,8 @@
 import TurndownService from 'turndown'
 import { gfm } from 'turndown-plugin-gfm'
 
-import { withErrorHandling } from './utils.js'
+import { urlValidator, withErrorHandling } from './utils.js'
+import { createSlug, resolveOutputName } from './naming.js'
 
 // Factory function for creating HTML to Markdown converter
 const createConverter = (options = {}) => {
@@ -32,11 +33,24 @@ const createConverter = (options = {}) => {
 
       // Filter out links to author/byline pages and publication pages
       if (node.tagName === 'A') {
+        // On a publication's own domain only its home, about and archive
+        // pages are publication links; the medium.com substring checks would
+        // also catch its posts
+        const isPublicationLink = urlValidator.isCustomDomainUrl(
+          node.href,
+          turndownService.customDomains
+        )
+          ? urlValidator.isCustomDomainPage(
+              node.href,
+              turndownService.customDomains
+            )
+          : href.includes('medium.com/@') ||
+            href.includes('/u/') ||
+            href.includes('/@') ||
+            href.includes('/publication')
+
         if (
-          href.includes('medium.com/@') ||
-          href.includes('/u/') ||
-          href.includes('/@') ||
-          href.includes('/publication') ||
+          isPublicationLink ||
           className.includes('author') ||
           className.includes('byline') ||
           className.includes('publication') ||
@@ -459,10 +473,12 @@ const createFrontmatterGenerator = () => ({
           metadata.publishDate ||
           new Date().toISOString(),
         author: metadata.author || 'Unknown',
+        publication: metadata.publication || null,
+        publicationUrl: metadata.publicationUrl || null,
+        publicationLogo: metadata.publicationLogo || null,
         tags: metadata.tags || [],
-        featuredImage: metadata.featuredImage
-          ? `./images/${metadata.slug}-featured.jpg`
-          : '',
+        // Remote URL; storage rewrites it to whatever it actually wrote
+        featuredImage: metadata.featuredImage || '',
         published: true,
         ...metadata.customFields,
       }
@@ -503,24 +519,26 @@ export const createPostConverter = (dependencies = {}) => {
     dependencies.frontmatterGenerator || createFrontmatterGenerator()
 
   // Convert a post's HTML content to markdown with frontmatter
-  const convertPost = withErrorHandling(async postData => {
+  const convertPost = withErrorHandling(async (postData, options = {}) => {
     if (!postData || !postData.content) {
       throw new Error('Post data and content are required')
     }
 
     // Generate URL slug from title
-    const slug =
-      postData.title
-        .toLowerCase()
-        .replace(/[^a-z0-9\s-]/g, '')
-        .replace(/\s+/g, '-')
-        .replace(/-+/g, '-')
-        .replace(/^-|-$/g, '') || 'untitled'
+    const slug = createSlug(postData.title)
+
+    // Output path relative to the output directory, per the naming scheme
+    const outputName = resolveOutputName(
+      { ...postData, slug },
+      options.namingScheme,
+      { groupByPublication: options.groupByPublication }
+    )
 
     // Set up title handling for conversion
     const title = postData.title || 'Untitled'
     converter.turndownService.expectedTitle = title
     converter.turndownService.isFirstH1MatchingTitle = true
+    converter.turndownService.customDomains = options.customDomains || []
 
     // Convert HTML content to markdown
     const markdown = converter.convertToMarkdown(postData.content)
@@ -528,6 +546,7 @@ export const createPostConverter = (dependencies = {}) => {
     // Clean up the flags
     delete converter.turndownService.expectedTitle
     delete converter.turndownService.isFirstH1MatchingTitle
+    delete converter.turndownService.customDomains
 
     // Extract images that are actually referenced in the markdown
     const referencedImages = converter.extractReferencedImages(markdown)
@@ -564,7 +583,8 @@ export const createPostConverter = (dependencies = {}) => {
       frontmatter,
       content: contentWithTitle,
       slug,
-      filename: `${slug}.md`,
+      outputName,
+      filename: `${outputName.split('/').pop()}.md`,
       referencedImages, // Only images actually referenced in markdown
     }
   })
@@ -0,0 +1,141 @@
+// Medium session cookies: validation and import from browser cookie exports
+
+// Cookie fields Puppeteer accepts back in page.setCookie
+const COOKIE_FIELDS = [
+  'name',
+  'value',
+  'domain',
+  'path',
+  'expires',
+  'httpOnly',
+  'secure',
+  'sameSite',
+]
+
+// Browser extensions write Chrome's sameSite names
+const SAME_SITE_VALUES = {
+  no_restriction: 'None',
+  none: 'None',
+  lax: 'Lax',
+  strict: 'Strict',
+}
+
+export const toStoredCookie = cookie =>
+  Object.fromEntries(
+    COOKIE_FIELDS.filter(field => cookie[field] !== undefined).map(field => [
+      field,
+      cookie[field],
+    ])
+  )
+
+// Cookie expiry is in seconds; -1 marks a cookie that lasts the session
+const isCookieExpired = (cookie, now) =>
+  cookie.expires > 0 && cookie.expires * 1000 <= now
+
+const findCookie = (cookies, name, now) =>
+  cookies.find(cookie => cookie.name === name && !isCookieExpired(cookie, now))
+
+// A signed-in Medium session has a sid cookie and a uid that is not one of
+// the lo_ ids Medium hands to logged-out visitors
+export const validateSessionCookies = (cookies = [], now = Date.now()) => {
+  const errors = []
+  const sid = findCookie(cookies, 'sid', now)
+  const uid = findCookie(cookies, 'uid', now)
+
+  if (!sid?.value) {
+    errors.push('sid cookie is missing or expired')
+  }
+  if (!uid?.value) {
+    errors.push('uid cookie is missing or expired')
+  } else if (uid.value.startsWith('lo_')) {
+    errors.push('uid cookie belongs to a logged-out visitor')
+  }
+
+  return { isValid: errors.length === 0, errors }
+}
+
+export const isMediumSession = (cookies = [], now = Date.now()) =>
+  validateSessionCookies(cookies, now).isValid
+
+// When the session ends, in milliseconds: the earliest expiry of its sid and
+// uid cookies, or null when both last only as long as the browser session
+export const getSessionExpiry = (cookies = []) => {
+  const expiries = cookies
+    .filter(cookie => ['sid', 'uid'].includes(cookie.name))
+    .filter(cookie => cookie.expires > 0)
+    .map(cookie => cookie.expires * 1000)
+
+  return expiries.length > 0 ? Math.min(...expiries) : null
+}
+
+const isMediumCookie = cookie =>
+  /(^|\.)medium\.com$/.test(cookie.domain.replace(/^\./, ''))
+
+// Netscape cookies.txt: tab-separated domain, subdomain flag, path, secure,
+// expiry (0 for session cookies), name and value. curl and most exporters
+// mark HttpOnly cookies with a #HttpOnly_ prefix on the domain.
+export const parseNetscapeCookies = text =>
+  text
+    .split(/\r?\n/)
+    .map(line => {
+      const httpOnly = line.startsWith('#HttpOnly_')
+      return { httpOnly, line: httpOnly ? line.slice(10) : line }
+    })
+    .filter(({ line }) => line.trim() && !line.startsWith('#'))
+    .map(({ httpOnly, line }) => ({ httpOnly, fields: line.split('\t') }))
+    .filter(({ fields }) => fields.length >= 7)
+    .map(({ httpOnly, fields }) => {
+      const [domain, , path, secure, expires, name, ...value] = fields.map(
+        field => field.trim()
+      )
+
+      return {
+        name,
+        value: value.join('\t'),
+        domain,
+        path,
+        expires: Number(expires) > 0 ? Number(expires) : -1,
+        httpOnly,
+        secure: secure.toUpperCase() === 'TRUE',
+      }
+    })
+
+// JSON cookie dumps from browser extensions (an array, with expirationDate)
+// or from Puppeteer and Playwright (optionally under a cookies key, with
+// expires)
+export const parseJsonCookies = text => {
+  const data = JSON.parse(text)
+  const cookies = Array.isArray(data) ? data : data.cookies
+
+  if (!Array.isArray(cookies)) {
+    throw new Error('JSON cookie file must hold an array of cookies')
+  }
+
+  return cookies.map(cookie => {
+    const expires = cookie.expirationDate ?? cookie.expires
+    const sameSite = SAME_SITE_VALUES[String(cookie.sameSite).toLowerCase()]
+
+    return toStoredCookie({
+      name: cookie.name,
+      value: cookie.value,
+      domain: cookie.domain,
+      path: cookie.path || '/',
+      expires: !cookie.session && expires > 0 ? Math.floor(expires) : -1,
+      httpOnly: Boolean(cookie.httpOnly),
+      secure: Boolean(cookie.secure),
+      sameSite,
+    })
+  })
+}
+
+// Medium's cookies from either export format, told apart by their content
+export const parseCookieFile = text => {
+  const trimmed = text.trim()
+  const cookies = /^[[{]/.test(trimmed)
+    ? parseJsonCookies(trimmed)
+    : parseNetscapeCookies(trimmed)
+
+  return cookies.filter(
+    cookie => cookie.name && cookie.domain && isMediumCookie(cookie)
+  )
+}
@@ -0,0 +1,59 @@
+// Passphrase encryption for credentials kept on disk: AES-256-GCM with a key
+// derived from the passphrase by scrypt, and a fresh salt and IV per write
+import { createCipheriv, createDecipheriv, randomBytes, scrypt } from 'crypto'
+import { promisify } from 'util'
+
+const deriveKey = promisify(scrypt)
+
+const ALGORITHM = 'aes-256-gcm'
+const KEY_LENGTH = 32
+
+// Environment variable holding the passphrase, for unattended runs
+export const PASSPHRASE_ENV = 'MEDIUM_SCRAPER_PASSPHRASE'
+
+export const isEncrypted = payload =>
+  payload?.algorithm === ALGORITHM && typeof payload.data === 'string'
+
+export const encryptJson = async (value, passphrase) => {
+  const salt = randomBytes(16)
+  const iv = randomBytes(12)
+  const key = await deriveKey(passphrase, salt, KEY_LENGTH)
+  const cipher = createCipheriv(ALGORITHM, key, iv)
+  const data = Buffer.concat([
+    cipher.update(JSON.stringify(value), 'utf8'),
+    cipher.final(),
+  ])
+
+  return {
+    algorithm: ALGORITHM,
+    salt: salt.toString('base64'),
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64'),
+  }
+}
+
+export const decryptJson = async (payload, passphrase) => {
+  const key = await deriveKey(
+    passphrase,
+    Buffer.from(payload.salt, 'base64'),
+    KEY_LENGTH
+  )
+  const decipher = createDecipheriv(
+    ALGORITHM,
+    key,
+    Buffer.from(payload.iv, 'base64')
+  )
+  decipher.setAuthTag(Buffer.from(payload.tag, 'base64'))
+
+  try {
+    const data = Buffer.concat([
+      decipher.update(Buffer.from(payload.data, 'base64')),
+      decipher.final(),
+    ])
+    return JSON.parse(data.toString('utf8'))
+  } catch {
+    // GCM authentication fails for a wrong passphrase or a modified file
+    throw new Error('Could not decrypt - wrong passphrase or corrupted file')
+  }
+}
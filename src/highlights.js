@@ -0,0 +1,38 @@
+// Markdown notes of a reader's highlights, one file per source story
+import { toYamlString } from './utils.js'
+
+// Highlight notes are saved under output/highlights/, laid out like posts
+export const HIGHLIGHTS_DIRECTORY = 'highlights'
+
+const formatHighlight = highlight => [
+  ...highlight.text.split('\n').map(line => `> ${line}`.trimEnd()),
+  '',
+  ...(highlight.date ? [`*Highlighted ${highlight.date}*`, ''] : []),
+  ...(highlight.note ? [`**Note:** ${highlight.note}`, ''] : []),
+]
+
+export const formatStoryHighlights = story => {
+  const dates = story.highlights
+    .map(highlight => highlight.date)
+    .filter(Boolean)
+    .sort()
+  const byline = story.author ? ` by ${story.author}` : ''
+
+  return [
+    '---',
+    `title: ${toYamlString(story.title)}`,
+    `source: ${toYamlString(story.url)}`,
+    ...(story.author ? [`author: ${toYamlString(story.author)}`] : []),
+    `highlights: ${story.highlights.length}`,
+    ...(dates.length > 0
+      ? [`lastHighlighted: ${toYamlString(dates[dates.length - 1])}`]
+      : []),
+    'tags: ["highlights"]',
+    '---',
+    `# ${story.title}`,
+    '',
+    `Highlights from [${story.title}](${story.url})${byline}.`,
+    '',
+    ...story.highlights.flatMap(formatHighlight),
+  ].join('\n')
+}
@@ -0,0 +1,120 @@
+// Identify downloaded images by their bytes rather than their URL
+
+export const IMAGE_TYPES = {
+  jpeg: { extension: '.jpg', mimeType: 'image/jpeg' },
+  png: { extension: '.png', mimeType: 'image/png' },
+  gif: { extension: '.gif', mimeType: 'image/gif' },
+  webp: { extension: '.webp', mimeType: 'image/webp' },
+  avif: { extension: '.avif', mimeType: 'image/avif' },
+  svg: { extension: '.svg', mimeType: 'image/svg+xml' },
+}
+
+// Formats that can be converted for site generators that cannot use them
+export const CONVERTIBLE_TYPES = ['webp', 'avif']
+export const CONVERSION_TARGETS = ['png', 'jpeg']
+
+const startsWithBytes = (buffer, bytes, offset = 0) =>
+  buffer.length >= offset + bytes.length &&
+  bytes.every((byte, index) => buffer[offset + index] === byte)
+
+const readAscii = (buffer, start, end) =>
+  buffer.subarray(start, end).toString('ascii')
+
+const readTextStart = buffer =>
+  buffer.subarray(0, 512).toString('utf8').trimStart().toLowerCase()
+
+const sniffType = buffer => {
+  if (startsWithBytes(buffer, [0xff, 0xd8, 0xff])) return 'jpeg'
+  if (startsWithBytes(buffer, [0x89, 0x50, 0x4e, 0x47])) return 'png'
+  if (readAscii(buffer, 0, 4) === 'GIF8') return 'gif'
+  if (
+    readAscii(buffer, 0, 4) === 'RIFF' &&
+    readAscii(buffer, 8, 12) === 'WEBP'
+  ) {
+    return 'webp'
+  }
+  if (
+    readAscii(buffer, 4, 8) === 'ftyp' &&
+    ['avif', 'avis'].includes(readAscii(buffer, 8, 12))
+  ) {
+    return 'avif'
+  }
+
+  const text = readTextStart(buffer)
+  if (
+    text.startsWith('<svg') ||
+    (text.startsWith('<?xml') && text.includes('<svg'))
+  ) {
+    return 'svg'
+  }
+  if (text.startsWith('<!doctype html') || text.startsWith('<html')) {
+    return 'html'
+  }
+
+  return null
+}
+
+const typeFromContentType = contentType => {
+  const mimeType = (contentType || '').split(';')[0].trim().toLowerCase()
+  if (mimeType === 'text/html') return 'html'
+
+  return (
+    Object.keys(IMAGE_TYPES).find(
+      type => IMAGE_TYPES[type].mimeType === mimeType
+    ) || (mimeType === 'image/jpg' ? 'jpeg' : null)
+  )
+}
+
+// Magic bytes win over the Content-Type header. Throws for HTML error pages
+// and anything else that is not a recognizable image.
+export const detectImageType = (buffer, contentType) => {
+  const type = sniffType(buffer) || typeFromContentType(contentType)
+
+  if (type === 'html') {
+    throw new Error('Received an HTML page instead of an image')
+  }
+  if (!type) {
+    throw new Error(
+      `Unrecognized image data (Content-Type: ${contentType || 'none'})`
+    )
+  }
+
+  return { type, ...IMAGE_TYPES[type] }
+}
+
+let missingConverterWarned = false
+
+// Re-encode WebP/AVIF as PNG or JPEG. Needs the optional sharp package;
+// without it the original image is kept.
+export const convertImage = async (image, convertTo) => {
+  if (!convertTo || !CONVERTIBLE_TYPES.includes(image.type)) {
+    return image
+  }
+
+  let sharp
+  try {
+    sharp = (await import('sharp')).default
+  } catch {
+    if (!missingConverterWarned) {
+      missingConverterWarned = true
+      console.warn(
+        'Image conversion needs the optional "sharp" package - keeping original formats'
+      )
+    }
+    return image
+  }
+
+  const buffer = await sharp(image.buffer).toFormat(convertTo).toBuffer()
+  const converted = IMAGE_TYPES[convertTo]
+
+  return {
+    buffer,
+    contentType: converted.mimeType,
+    type: convertTo,
+    ...converted,
+  }
+}
+
+// Replace the extension of a file path or name with the detected one
+export const withExtension = (filePath, extension) =>
+  filePath.replace(/(\.[a-z0-9]+)?$/i, extension)
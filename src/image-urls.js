@@ -0,0 +1,80 @@
+// Rewrite Medium CDN image URLs to request larger renditions
+import { URL } from 'url'
+
+const MEDIUM_IMAGE_HOSTS = ['miro.medium.com', 'cdn-images-1.medium.com']
+
+// 'original' asks for the uploaded file, 'rendered' keeps the page's URL,
+// and a number caps the width in pixels
+export const IMAGE_WIDTHS = ['original', 'rendered']
+
+export const validateImageMaxWidth = value => {
+  if (
+    value === undefined ||
+    IMAGE_WIDTHS.includes(value) ||
+    (Number.isInteger(value) && value > 0)
+  ) {
+    return []
+  }
+  return [
+    `imageMaxWidth must be a positive integer or one of: ${IMAGE_WIDTHS.join(', ')}`,
+  ]
+}
+
+export const isMediumImageUrl = imageUrl => {
+  try {
+    return MEDIUM_IMAGE_HOSTS.includes(new URL(imageUrl).hostname)
+  } catch {
+    return false
+  }
+}
+
+const parseWidth = segment => {
+  const match =
+    segment.match(/^resize:fit:(\d+)$/) || segment.match(/^max\/(\d+)$/)
+  return match ? Number(match[1]) : null
+}
+
+// Split a CDN path into its transform operations and the image ID, handling
+// both /v2/resize:fit:700/<id> and the legacy /max/700/<id> forms
+const parseImagePath = pathname => {
+  const segments = pathname.split('/').filter(Boolean)
+  const imageId = segments.pop()
+
+  if (segments[0] === 'max' && segments.length === 2) {
+    return { operations: [`max/${segments[1]}`], imageId }
+  }
+
+  if (segments[0] === 'v2') {
+    return { operations: segments.slice(1), imageId }
+  }
+
+  return null
+}
+
+// Returns the URL to try first for the given rendered image URL. Anything
+// that is not a plain width resize (such as cropped avatars) is left as is.
+export const getFullResolutionUrl = (imageUrl, maxWidth = 'original') => {
+  if (maxWidth === 'rendered' || !isMediumImageUrl(imageUrl)) {
+    return imageUrl
+  }
+
+  const url = new URL(imageUrl)
+  const parsed = parseImagePath(url.pathname)
+  if (!parsed || parsed.operations.some(op => op.startsWith('resize:fill'))) {
+    return imageUrl
+  }
+
+  const renderedWidth = parsed.operations
+    .map(parseWidth)
+    .find(width => width !== null)
+  const operations = parsed.operations.filter(op => parseWidth(op) === null)
+
+  // Never ask for something smaller than what the page already showed
+  if (typeof maxWidth === 'number') {
+    operations.unshift(`resize:fit:${Math.max(maxWidth, renderedWidth || 0)}`)
+  }
+
+  url.hostname = 'miro.medium.com'
+  url.pathname = ['', 'v2', ...operations, parsed.imageId].join('/')
+  return url.toString()
+}
@@ -0,0 +1,37 @@
+// Markdown index files for exported Medium Lists
+import { toYamlString } from './utils.js'
+
+const formatStory = (story, index, savedPaths) => {
+  const byline = story.author ? ` by ${story.author}` : ''
+  const savedPath = savedPaths.get(story.url)
+  const savedCopy = savedPath ? ` ([saved copy](${savedPath}))` : ''
+  const note = story.note
+    ? ['', ...story.note.split('\n').map(line => `   > ${line}`.trimEnd())]
+    : []
+
+  return [
+    `${index + 1}. [${story.title}](${story.url})${byline}${savedCopy}`,
+    ...note,
+  ]
+}
+
+// savedPaths maps story URLs to the relative path of their saved markdown,
+// for lists exported together with their stories
+export const formatListIndex = (list, savedPaths = new Map()) =>
+  [
+    '---',
+    `title: ${toYamlString(list.title)}`,
+    `url: ${toYamlString(list.url)}`,
+    ...(list.description
+      ? [`description: ${toYamlString(list.description)}`]
+      : []),
+    `stories: ${list.stories.length}`,
+    '---',
+    `# ${list.title}`,
+    '',
+    ...(list.description ? [list.description, ''] : []),
+    ...list.stories.flatMap((story, index) => [
+      ...formatStory(story, index, savedPaths),
+      '',
+    ]),
+  ].join('\n')
@@ -4,29 +4,44 @@ import { createAuthService } from './auth.js'
 import { createScraperService } from './scraper/index.js'
 import { createPostConverter } from './converter.js'
 import { createStorageService } from './storage.js'
-import { getCurrentConfig } from './config.js'
+import { getCurrentConfig, validateConfig } from './config.js'
 import { createScrapePipeline } from './main/pipeline.js'
+import { createArchiveImporter } from './main/archive-import.js'
+import { parseUrlList } from './main/url-list.js'
+import { validateResponsesFormat } from './responses.js'
+import { getProfileStatuses, loadProfile } from './profiles.js'
 import { logger } from './utils.js'
 import { config } from 'dotenv'
+import { readFile } from 'fs/promises'
 
 // Load environment variables
 config()
 
-// Factory function for creating the main scraper orchestrator
+// Factory function for creating the main scraper orchestrator. With
+// dependencies.profile (from loadProfile) credentials, configuration and
+// output all come from that auth profile.
 export const createMediumScraper = (dependencies = {}) => {
-  const authService = dependencies.authService || createAuthService()
-  const scraperService = dependencies.scraperService || createScraperService()
+  const profile = dependencies.profile || null
+  const authService =
+    dependencies.authService ||
+    createAuthService(profile ? { credentialsDir: profile.directory } : {})
+  const scraperService =
+    dependencies.scraperService || createScraperService({ authService })
   const converter = dependencies.converter || createPostConverter()
-  const storage = dependencies.storage || createStorageService()
+  const storage =
+    dependencies.storage ||
+    createStorageService(
+      profile ? { outputDir: profile.config.outputDirectory } : {}
+    )
   const loggerInstance = dependencies.logger || logger
 
-  // Main scraping workflow using pipeline
-  const scrapeProfile = async (profileUrl, options = {}) => {
-    // Load configuration for pipeline
-    const config = await getCurrentConfig()
+  const getConfig = async () => profile?.config || (await getCurrentConfig())
 
-    // Create pipeline with dependencies
-    const pipeline = createScrapePipeline({
+  // Create pipeline with dependencies and current configuration
+  const createPipeline = async () => {
+    const config = await getConfig()
+
+    return createScrapePipeline({
       authService,
       scraperService,
       converter,
@@ -34,16 +49,70 @@ export const createMediumScraper = (dependencies = {}) => {
       config,
       logger: loggerInstance,
     })
+  }
 
+  // Main scraping workflow using pipeline
+  const scrapeProfile = async (profileUrl, options = {}) => {
+    const pipeline = await createPipeline()
     return await pipeline.scrapeProfile(profileUrl, options)
   }
 
+  // Scrape every post of a publication, found through its archive pages
+  const scrapePublication = async (publicationUrl, options = {}) => {
+    const pipeline = await createPipeline()
+    return await pipeline.scrapePublication(publicationUrl, options)
+  }
+
+  // Scrape one post, e.g. to re-pull a corrected article
+  const scrapePost = async (postUrl, options = {}) => {
+    const pipeline = await createPipeline()
+    return await pipeline.scrapePost(postUrl, options)
+  }
+
+  // Scrape a list of post URLs, which may span several authors
+  const scrapeUrls = async (urls, options = {}) => {
+    const pipeline = await createPipeline()
+    return await pipeline.scrapeUrls(urls, options)
+  }
+
+  // Export a profile's Medium Lists, optionally with their stories
+  const exportLists = async (profileUrl, options = {}) => {
+    const pipeline = await createPipeline()
+    return await pipeline.exportLists(profileUrl, options)
+  }
+
+  // Save the signed-in reader's highlights, one file per source story
+  const exportHighlights = async (options = {}) => {
+    const pipeline = await createPipeline()
+    return await pipeline.exportHighlights(options)
+  }
+
+  // Pick up the last interrupted run from its progress journal
+  const resumeScrape = async (options = {}) => {
+    const pipeline = await createPipeline()
+    return await pipeline.resumeProfile(options)
+  }
+
+  // Import Medium's export ZIP without a browser or login
+  const importArchive = async (archivePath, options = {}) => {
+    const importer = createArchiveImporter({
+      converter,
+      storage,
+      config: await getConfig(),
+      logger: loggerInstance,
+    })
+    return await importer.importArchive(archivePath, options)
+  }
+
   // Quick summary without full scraping
   const getProfileSummary = async (profileUrl, options = {}) => {
     try {
       loggerInstance.info('Getting profile summary...')
 
       const authStatus = await authService.getAuthStatus()
+      if (authStatus.error) {
+        throw new Error(authStatus.error)
+      }
       if (!authStatus.authenticated) {
         throw new Error('Authentication required')
       }
@@ -66,12 +135,23 @@ export const createMediumScraper = (dependencies = {}) => {
         success: false,
         error: error.message,
       }
+    } finally {
+      await scraperService.close?.()
     }
   }
 
   return {
     scrapeProfile,
+    scrapePublication,
+    scrapePost,
+    scrapeUrls,
+    exportLists,
+    exportHighlights,
+    resumeScrape,
+    importArchive,
     getProfileSummary,
+    getConfig,
+    profile: profile?.name || null,
     auth: authService,
     scraper: scraperService,
     converter,
@@ -79,29 +159,170 @@ export const createMediumScraper = (dependencies = {}) => {
   }
 }
 
+// Read every value of a flag given as --flag=value or --flag value
+const getFlagValues = (args, flag) =>
+  args.flatMap((arg, index) => {
+    if (arg.startsWith(`${flag}=`)) return [arg.slice(flag.length + 1)]
+    if (arg === flag && args[index + 1]) return [args[index + 1]]
+    return []
+  })
+
+// Build dateFilter/tagFilter overrides from --from, --to and --tag, checked
+// against the configuration getConfig returns
+const parseFilterOptions = async (args, getConfig) => {
+  const [from] = getFlagValues(args, '--from')
+  const [to] = getFlagValues(args, '--to')
+  const tags = getFlagValues(args, '--tag')
+    .flatMap(value => value.split(','))
+    .map(tag => tag.trim())
+    .filter(Boolean)
+  const authors = getFlagValues(args, '--author')
+    .flatMap(value => value.split(','))
+    .map(author => author.trim())
+    .filter(Boolean)
+
+  const filterOptions = {}
+  if (from || to) {
+    filterOptions.dateFilter = {
+      ...(from && { from }),
+      ...(to && { to }),
+    }
+  }
+  if (tags.length > 0) {
+    filterOptions.tagFilter = tags
+  }
+  if (authors.length > 0) {
+    filterOptions.authorFilter = authors
+  }
+
+  const validation = validateConfig({
+    ...(await getConfig()),
+    ...filterOptions,
+  })
+  if (!validation.isValid) {
+    console.error(`❌ ${validation.errors.join(', ')}`)
+    process.exit(1)
+  }
+
+  return filterOptions
+}
+
+// Discovery mode, optional local feed and page strategies from --discovery,
+// --feed-file and --strategies, checked against the configuration getConfig
+// returns
+const parseDiscoveryOptions = async (args, getConfig) => {
+  const [discovery] = getFlagValues(args, '--discovery')
+  const [feedFile] = getFlagValues(args, '--feed-file')
+  const [strategies] = getFlagValues(args, '--strategies')
+
+  const discoveryOptions = {
+    ...(discovery && { discovery }),
+    ...(feedFile && { feedFile }),
+    ...(strategies && {
+      strategies: strategies.split(',').map(name => name.trim()),
+    }),
+  }
+
+  const validation = validateConfig({
+    ...(await getConfig()),
+    ...discoveryOptions,
+    ...(strategies && { discoveryStrategies: discoveryOptions.strategies }),
+  })
+  if (!validation.isValid) {
+    console.error(`❌ ${validation.errors.join(', ')}`)
+    process.exit(1)
+  }
+
+  return discoveryOptions
+}
+
+// --responses saves each post's responses as responses.md, and
+// --responses=json as responses.json
+const parseResponsesOption = args => {
+  const flag = args.find(
+    arg => arg === '--responses' || arg.startsWith('--responses=')
+  )
+  if (!flag) return {}
+
+  const responsesFormat = flag.split('=')[1] || 'markdown'
+  const errors = validateResponsesFormat(responsesFormat)
+  if (errors.length > 0) {
+    console.error(`❌ ${errors.join(', ')}`)
+    process.exit(1)
+  }
+
+  return { responsesFormat }
+}
+
+// The arguments without --flag=value or --flag value
+const withoutFlag = (args, flag) =>
+  args.filter(
+    (arg, index) =>
+      arg !== flag && !arg.startsWith(`${flag}=`) && args[index - 1] !== flag
+  )
+
 // CLI interface when run directly
 const runCLI = async () => {
-  const args = process.argv.slice(2)
+  const allArgs = process.argv.slice(2)
+  const [profileName] = getFlagValues(allArgs, '--profile')
+  const args = withoutFlag(allArgs, '--profile')
   const command = args[0]
   const profileUrl = args[1]
 
-  const scraper = createMediumScraper()
+  const profile = profileName ? await loadProfile(profileName) : null
+  if (profile) {
+    console.log(`👤 Using auth profile ${profile.name}`)
+  }
+  const scraper = createMediumScraper({ profile })
 
   switch (command) {
     case 'auth': {
+      if (args[1] === 'import-cookies') {
+        const cookieFile = args[2]
+        if (!cookieFile) {
+          console.error(
+            '❌ Path to a cookies.txt or JSON cookie export required'
+          )
+          process.exit(1)
+        }
+        const importResult = await scraper.auth.importCookies(cookieFile)
+        console.log(importResult.message)
+        if (!importResult.success) {
+          process.exit(1)
+        }
+        break
+      }
+
       console.log('🔐 Starting authentication...')
-      const authResult = await scraper.auth.authenticate()
+      const authResult = await scraper.auth.authenticate({
+        ...(args.includes('--paste') && { paste: true }),
+      })
       console.log(authResult.message)
       break
     }
 
+    case 'login': {
+      console.log('🔐 Opening a browser to sign in to Medium...')
+      const loginResult = await scraper.auth.loginToMedium({
+        force: args.includes('--force'),
+      })
+      console.log(loginResult.message)
+      if (!loginResult.success) {
+        process.exit(1)
+      }
+      break
+    }
+
     case 'summary': {
       if (!profileUrl) {
         console.error('❌ Profile URL required')
         process.exit(1)
       }
       const debugMode = args.includes('--debug')
-      await scraper.getProfileSummary(profileUrl, { debug: debugMode })
+      await scraper.getProfileSummary(profileUrl, {
+        debug: debugMode,
+        ...(await parseDiscoveryOptions(args, scraper.getConfig)),
+      })
       break
     }
 
@@ -111,7 +332,96 @@ const runCLI = async () => {
         process.exit(1)
       }
       const debugMode = args.includes('--debug')
-      await scraper.scrapeProfile(profileUrl, { debug: debugMode })
+      await scraper.scrapeProfile(profileUrl, {
+        debug: debugMode,
+        ...(await parseFilterOptions(args, scraper.getConfig)),
+        ...parseResponsesOption(args),
+        ...(await parseDiscoveryOptions(args, scraper.getConfig)),
+      })
+      break
+    }
+
+    case 'scrape-publication': {
+      if (!profileUrl) {
+        console.error('❌ Publication URL required')
+        process.exit(1)
+      }
+      await scraper.scrapePublication(profileUrl, {
+        debug: args.includes('--debug'),
+        incremental: args.includes('--incremental'),
+        ...(await parseFilterOptions(args, scraper.getConfig)),
+        ...parseResponsesOption(args),
+      })
+      break
+    }
+
+    case 'post': {
+      const postUrl = args[1]
+      if (!postUrl) {
+        console.error('❌ Post URL required')
+        process.exit(1)
+      }
+      const result = await scraper.scrapePost(postUrl, {
+        debug: args.includes('--debug'),
+        incremental: args.includes('--incremental'),
+        source: postUrl,
+        ...parseResponsesOption(args),
+      })
+      if (!result.success) {
+        process.exit(1)
+      }
+      break
+    }
+
+    case 'urls': {
+      const listPath = args[1]
+      if (!listPath) {
+        console.error('❌ Path to a file of post URLs required')
+        process.exit(1)
+      }
+      const urls = parseUrlList(await readFile(listPath, 'utf8'))
+      const result = await scraper.scrapeUrls(urls, {
+        debug: args.includes('--debug'),
+        incremental: args.includes('--incremental'),
+        source: listPath,
+        ...(await parseFilterOptions(args, scraper.getConfig)),
+        ...parseResponsesOption(args),
+      })
+      if (!result.success) {
+        process.exit(1)
+      }
+      break
+    }
+
+    case 'lists': {
+      if (!profileUrl) {
+        console.error('❌ Profile URL required')
+        process.exit(1)
+      }
+      const listSlugs = getFlagValues(args, '--list')
+        .flatMap(value => value.split(','))
+        .map(slug => slug.trim())
+        .filter(Boolean)
+      const result = await scraper.exportLists(profileUrl, {
+        debug: args.includes('--debug'),
+        scrapeStories: args.includes('--scrape-stories'),
+        incremental: args.includes('--incremental'),
+        ...(listSlugs.length > 0 && { lists: listSlugs }),
+        ...parseResponsesOption(args),
+      })
+      if (!result.success) {
+        process.exit(1)
+      }
+      break
+    }
+
+    case 'highlights': {
+      const result = await scraper.exportHighlights({
+        debug: args.includes('--debug'),
+      })
+      if (!result.success) {
+        process.exit(1)
+      }
       break
     }
 
@@ -124,21 +434,82 @@ const runCLI = async () => {
       await scraper.scrapeProfile(profileUrl, {
         debug: debugMode,
         incremental: true,
+        ...(await parseFilterOptions(args, scraper.getConfig)),
+        ...parseResponsesOption(args),
+        ...(await parseDiscoveryOptions(args, scraper.getConfig)),
       })
       break
     }
 
+    case 'resume': {
+      const debugMode = args.includes('--debug')
+      await scraper.resumeScrape({
+        debug: debugMode,
+        rediscover: args.includes('--rediscover'),
+        ...(await parseFilterOptions(args, scraper.getConfig)),
+        ...parseResponsesOption(args),
+        ...(await parseDiscoveryOptions(args, scraper.getConfig)),
+      })
+      break
+    }
+
+    case 'import-archive': {
+      const archivePath = args[1]
+      if (!archivePath) {
+        console.error('❌ Path to the Medium export ZIP required')
+        process.exit(1)
+      }
+      const result = await scraper.importArchive(archivePath, {
+        incremental: args.includes('--incremental'),
+        skipDrafts: args.includes('--skip-drafts'),
+      })
+      if (!result.success) {
+        process.exit(1)
+      }
+      break
+    }
+
     case 'status': {
+      if (args.includes('--all')) {
+        const statuses = await getProfileStatuses()
+        statuses.forEach(({ profile: name, ...status }) =>
+          console.log(`${name}:`, status)
+        )
+        break
+      }
+
       const status = await scraper.auth.getAuthStatus()
       console.log('Authentication Status:', status)
       break
     }
 
+    case 'gc-assets': {
+      const dryRun = args.includes('--dry-run')
+      const result = await scraper.storage.collectUnreferencedAssets({
+        dryRun,
+      })
+      if (!result.success) {
+        console.error(`❌ ${result.error}`)
+        process.exit(1)
+      }
+      result.removed.forEach(filename => console.log(`  ${filename}`))
+      console.log(
+        `${dryRun ? 'Would remove' : 'Removed'} ${result.removed.length} unreferenced assets, ${result.kept} still in use`
+      )
+      break
+    }
+
     default: {
       console.log('📖 Medium Scraper Commands:')
       console.log(
         '  auth                         - Authenticate with Google OAuth'
       )
+      console.log(
+        '  login                        - Sign in to Medium and save the session'
+      )
+      console.log(
+        '  auth import-cookies <file>   - Save the session from a cookie export'
+      )
       console.log(
         '  status                       - Check authentication status'
       )
@@ -149,11 +520,85 @@ const runCLI = async () => {
       console.log(
         '  incremental <profile-url>    - Scrape only new/updated posts'
       )
+      console.log(
+        '  scrape-publication <url>     - Scrape all posts from a publication'
+      )
+      console.log('  post <post-url>              - Scrape a single post')
+      console.log(
+        '  urls <file>                  - Scrape the post URLs listed in a file'
+      )
+      console.log(
+        "  lists <profile-url>          - Export the profile's Medium Lists"
+      )
+      console.log(
+        '  highlights                   - Export your highlights, one file per story'
+      )
+      console.log(
+        '  resume                       - Resume the last interrupted scrape'
+      )
+      console.log(
+        "  import-archive <zip>         - Import posts from Medium's export ZIP"
+      )
+      console.log(
+        '  gc-assets                    - Delete shared assets no post links to'
+      )
       console.log('')
       console.log('Options:')
       console.log(
         '  --debug                      - Enable debug mode with detailed logging'
       )
+      console.log(
+        '  --rediscover                 - Re-run discovery when resuming'
+      )
+      console.log(
+        '  --force                      - Sign in again even with a saved session'
+      )
+      console.log(
+        '  --paste                      - Paste the OAuth code instead of a redirect'
+      )
+      console.log(
+        '  --profile <name>             - Use a named auth profile (any command)'
+      )
+      console.log(
+        '  --all                        - With status, report every auth profile'
+      )
+      console.log(
+        '  --discovery <mode>           - Find posts via scroll (default), rss or auto'
+      )
+      console.log(
+        '  --feed-file <path>           - Read the RSS feed from a local file'
+      )
+      console.log(
+        '  --strategies <a,b>           - Page discovery strategies to run, in order'
+      )
+      console.log(
+        "  --responses[=json]           - Also save each post's responses"
+      )
+      console.log(
+        '  --scrape-stories             - Also save the stories on exported lists'
+      )
+      console.log(
+        '  --list <slug>                - Only export this list (repeatable)'
+      )
+      console.log(
+        '  --dry-run                    - List unreferenced assets without deleting'
+      )
+      console.log(
+        '  --skip-drafts                - Leave drafts out of an archive import'
+      )
+      console.log('  --incremental                - Only rewrite changed posts')
+      console.log(
+        '  --from <YYYY-MM-DD>          - Only posts published on or after date'
+      )
+      console.log(
+        '  --to <YYYY-MM-DD>            - Only posts published on or before date'
+      )
+      console.log(
+        '  --tag <tag>                  - Only posts with this tag (repeatable)'
+      )
+      console.log(
+        '  --author <name|@user>        - Only posts by this author (repeatable)'
+      )
       console.log('')
       console.log('Examples:')
       console.log('  node src/main.js scrape https://medium.com/@username')
@@ -162,6 +607,26 @@ const runCLI = async () => {
       console.log(
         '  node src/main.js scrape https://medium.com/@username --debug'
       )
+      console.log(
+        '  node src/main.js scrape https://medium.com/@username --from 2024-01-01 --tag devops'
+      )
+      console.log(
+        '  node src/main.js scrape-publication https://medium.com/our-pub --author @jane'
+      )
+      console.log(
+        '  node src/main.js post https://medium.com/@username/post-title-1a2b3c4d5e6f'
+      )
+      console.log('  node src/main.js urls reading-list.txt')
+      console.log(
+        '  node src/main.js lists https://medium.com/@username --scrape-stories'
+      )
+      console.log('  node src/main.js auth import-cookies medium-cookies.txt')
+      console.log('  node src/main.js auth --profile alice')
+      console.log(
+        '  node src/main.js scrape https://medium.com/@alice --profile alice'
+      )
+      console.log('  node src/main.js status --all')
+      console.log('  node src/main.js import-archive medium-export.zip')
     }
   }
 }
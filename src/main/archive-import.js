@@ -0,0 +1,157 @@
+// Offline import of Medium's export ZIP through the regular post pipeline
+import { isArchivePostEntry, parseArchivePost } from '../archive-parser.js'
+import { resolveImageOptions } from '../config.js'
+import { initializeOutputDirectories } from './initialization.js'
+import { loadChangeBaseline } from './post-discovery.js'
+import { createPostProcessor, reserveOutputNames } from './post-processing.js'
+import { processBatchConcurrently } from './batch-processing.js'
+import {
+  carryOverPostHashes,
+  saveScrapingMetadata,
+  summarizeChanges,
+} from './metadata.js'
+
+// Read every posts/*.html entry of the export as { name, html }
+export const readArchiveEntries = async archivePath => {
+  const { default: AdmZip } = await import('adm-zip')
+  const zip = new AdmZip(archivePath)
+
+  return zip
+    .getEntries()
+    .filter(entry => !entry.isDirectory && isArchivePostEntry(entry.entryName))
+    .map(entry => ({
+      name: entry.entryName,
+      html: entry.getData().toString('utf8'),
+    }))
+}
+
+// Stands in for the scraper service so parsed posts take the same path as
+// scraped ones
+const createArchiveSource = parsedPosts => {
+  const byUrl = new Map(parsedPosts.map(post => [post.url, post]))
+
+  return {
+    extractPostContent: async url =>
+      byUrl.get(url) || { success: false, error: `Unknown post ${url}` },
+  }
+}
+
+export const createArchiveImporter = ({
+  converter,
+  storage,
+  config,
+  logger,
+  readArchive = readArchiveEntries,
+}) => {
+  const importArchive = async (archivePath, options = {}) => {
+    const startTime = Date.now()
+
+    try {
+      logger.info(`Reading Medium archive ${archivePath}...`)
+      const entries = await readArchive(archivePath)
+
+      const readPosts = entries.map(entry =>
+        parseArchivePost(entry.html, entry.name)
+      )
+      const parsedPosts = readPosts
+        .filter(post => post.success)
+        .filter(post => !(options.skipDrafts && post.isDraft))
+      const draftCount = parsedPosts.filter(post => post.isDraft).length
+      logger.success(
+        `Found ${parsedPosts.length} posts in the archive (${draftCount} drafts)`
+      )
+
+      // Entries without a body (e.g. empty drafts) would only fail in the
+      // batch and trip its circuit breaker, so they are skipped up front
+      const unreadable = readPosts
+        .map((post, index) => ({ ...post, entryName: entries[index].name }))
+        .filter(post => !post.success)
+        .map(({ url, error, entryName }) => {
+          logger.warn(`Skipped ${entryName}: ${error}`)
+          return {
+            url,
+            title: entryName,
+            skipped: true,
+            reason: error,
+            success: false,
+          }
+        })
+
+      const directories = await initializeOutputDirectories(storage)
+      logger.success(`Directories created: ${directories.output}`)
+
+      const posts = parsedPosts.map(post => ({
+        url: post.url,
+        title: post.title,
+        publishDate: post.publishDate,
+        postId: post.postId,
+      }))
+      const { existingMetadata } = await loadChangeBaseline(posts, storage)
+
+      const postProcessor = createPostProcessor({
+        scraperService: createArchiveSource(parsedPosts),
+        converter,
+        storage,
+        baseline: {
+          existingMetadata,
+          skipUnchanged: Boolean(options.incremental),
+        },
+        namingScheme: config.namingScheme,
+        groupByPublication: config.groupByPublication,
+        imageOptions: resolveImageOptions(config),
+      })
+
+      // Every post is parsed already, so names are claimed before saving and
+      // colliding titles resolve the same way on every import
+      await reserveOutputNames(storage, parsedPosts, {
+        namingScheme: config.namingScheme,
+        groupByPublication: config.groupByPublication,
+      })
+
+      // Nothing is fetched from Medium, so there is no need to pace requests
+      const batchResult = await processBatchConcurrently(
+        posts,
+        postProcessor,
+        { ...config, requestDelay: 0 },
+        logger
+      )
+
+      const metadata = await saveScrapingMetadata(storage, {
+        profileUrl: null,
+        source: archivePath,
+        username: parsedPosts.find(post => post.author)?.author || null,
+        totalPostsFound: posts.length + unreadable.length,
+        processedCount: batchResult.processedCount,
+        successCount: batchResult.successCount,
+        failureCount: batchResult.failureCount,
+        skippedCount: batchResult.skippedCount + unreadable.length,
+        results: [...batchResult.results, ...unreadable],
+        changes: summarizeChanges(batchResult.results),
+        duration: Date.now() - startTime,
+        postHashes: carryOverPostHashes(existingMetadata),
+      })
+
+      const duration = Math.round((Date.now() - startTime) / 1000)
+      logger.success(`Import completed in ${duration} seconds`)
+      logger.info(
+        `Results: ${batchResult.successCount} successful, ${batchResult.failureCount} failed`
+      )
+
+      return {
+        success: true,
+        ...metadata,
+      }
+    } catch (error) {
+      logger.error(`Archive import failed: ${error.message}`)
+      return {
+        success: false,
+        error: error.message,
+        duration: Date.now() - startTime,
+      }
+    }
+  }
+
+  return { importArchive }
+}
+
+export default createArchiveImporter
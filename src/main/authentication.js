@@ -2,6 +2,9 @@
 
 export const validateAuthentication = async authService => {
   const authStatus = await authService.getAuthStatus()
+  if (authStatus.error) {
+    throw new Error(authStatus.error)
+  }
   if (!authStatus.authenticated) {
     throw new Error('Authentication required. Please run authentication first.')
   }
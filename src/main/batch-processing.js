@@ -1,4 +1,5 @@
 import { createErrorAwareOperation } from '../error-handling.js'
+import { ChangeStatus } from '../storage.js'
 
 // Batch processing utilities for handling multiple posts
 
@@ -21,70 +22,157 @@ export const createBatchProcessor = (config, logger) => {
   return errorAwareOperation
 }
 
+const delayBetweenRequests = config =>
+  new Promise(resolve => setTimeout(resolve, config.requestDelay ?? 2000))
+
+// Posts known only by URL have no title until they are extracted
+const describePost = post => post.title || post.url
+
+// Turn an error-aware operation result into a batch result entry
+const createResultEntry = (post, result, logger) => {
+  if (result.success && result.result.filtered) {
+    logger.info(`Filtered: ${describePost(post)} (${result.result.reason})`)
+    return result.result
+  }
+
+  if (result.success) {
+    if (result.result.changeStatus === ChangeStatus.UNCHANGED) {
+      logger.info(`Unchanged: ${result.result.slug}`)
+    } else {
+      logger.success(
+        `Saved: ${result.result.slug} (${result.result.imagesDownloaded} images)`
+      )
+    }
+    return { ...result.result, success: true }
+  }
+
+  if (result.skipped) {
+    return {
+      url: post.url,
+      title: post.title,
+      skipped: true,
+      reason: result.error,
+      success: false,
+    }
+  }
+
+  logger.error(`Failed to process "${describePost(post)}": ${result.error}`)
+  return {
+    url: post.url,
+    title: post.title,
+    error: result.error,
+    success: false,
+  }
+}
+
+const summarizeResults = (processedCount, results) => ({
+  processedCount,
+  successCount: results.filter(result => result.success).length,
+  failureCount: results.filter(
+    result => !result.success && !result.skipped && !result.filtered
+  ).length,
+  skippedCount: results.filter(result => result.skipped).length,
+  filteredCount: results.filter(result => result.filtered).length,
+  results,
+})
+
 export const processBatch = async (posts, processor, config, logger) => {
   const errorAwareOperation = createBatchProcessor(config, logger)
   const results = []
   let processedCount = 0
-  let successCount = 0
-  let failureCount = 0
-  let skippedCount = 0
 
   for (const post of posts) {
     processedCount++
-    logger.progress(processedCount, posts.length, `Processing: ${post.title}`)
+    logger.progress(
+      processedCount,
+      posts.length,
+      `Processing: ${describePost(post)}`
+    )
 
     const result = await errorAwareOperation.execute(
       () => processor.process(post),
-      `Post: ${post.title}`
+      `Post: ${describePost(post)}`
     )
 
-    // Handle the result from error-aware operation
-    if (result.success) {
-      successCount++
-      results.push({ ...result.result, success: true })
-      logger.success(
-        `Saved: ${result.result.slug} (${result.result.imagesDownloaded} images)`
-      )
-    } else if (result.skipped) {
-      skippedCount++
-      results.push({
-        url: post.url,
-        title: post.title,
-        skipped: true,
-        reason: result.error,
-        success: false,
-      })
-    } else {
-      failureCount++
-      results.push({
-        url: post.url,
-        title: post.title,
-        error: result.error,
-        success: false,
-      })
-      logger.error(`Failed to process "${post.title}": ${result.error}`)
-    }
+    results.push(createResultEntry(post, result, logger))
 
     // Add delay between requests to be respectful
     if (processedCount < posts.length) {
-      await new Promise(resolve =>
-        setTimeout(resolve, config.requestDelay || 2000)
+      await delayBetweenRequests(config)
+    }
+  }
+
+  return summarizeResults(processedCount, results)
+}
+
+// Process posts with a bounded pool of workers sharing one error-aware
+// operation, so the consecutive-failure circuit spans every worker.
+// Results keep the order of the input posts, and `onResult` is awaited as
+// each post completes.
+export const processBatchConcurrently = async (
+  posts,
+  processor,
+  config,
+  logger,
+  { onResult } = {}
+) => {
+  const concurrency = Math.max(
+    1,
+    Math.min(config.concurrency || 1, posts.length)
+  )
+  const errorAwareOperation = createBatchProcessor(config, logger)
+  const results = new Array(posts.length)
+  let nextIndex = 0
+  let processedCount = 0
+  let fatalError = null
+
+  const runWorker = async () => {
+    while (!fatalError && nextIndex < posts.length) {
+      const index = nextIndex++
+      const post = posts[index]
+
+      processedCount++
+      logger.progress(
+        processedCount,
+        posts.length,
+        `Processing: ${describePost(post)}`
       )
+
+      try {
+        const result = await errorAwareOperation.execute(
+          () => processor.process(post),
+          `Post: ${describePost(post)}`
+        )
+        results[index] = createResultEntry(post, result, logger)
+
+        if (onResult) {
+          await onResult(post, results[index])
+        }
+      } catch (error) {
+        // Circuit breaker tripped - stop every worker from taking more posts
+        fatalError = fatalError || error
+        return
+      }
+
+      // Each worker waits between its own requests to be respectful
+      if (!fatalError && nextIndex < posts.length) {
+        await delayBetweenRequests(config)
+      }
     }
   }
 
-  return {
-    processedCount,
-    successCount,
-    failureCount,
-    skippedCount,
-    results,
+  await Promise.all(Array.from({ length: concurrency }, runWorker))
+
+  if (fatalError) {
+    throw fatalError
   }
+
+  return summarizeResults(processedCount, results)
 }
 
 export const createBatchProcessingService = (config, logger) => {
   return {
     process: (posts, processor) =>
-      processBatch(posts, processor, config, logger),
+      processBatchConcurrently(posts, processor, config, logger),
   }
 }
@@ -1,27 +1,73 @@
+import { ChangeStatus, getPostKey } from '../storage.js'
+
 // Metadata management utilities
 
 export const createScrapingMetadata = ({
   profileUrl,
+  source,
   username,
   totalPostsFound,
   processedCount,
   successCount,
   failureCount,
   skippedCount,
+  filteredCount = 0,
   results,
+  changes,
   duration,
+  postHashes,
+  discoveredFrom,
 }) => {
   return {
     scrapedAt: new Date().toISOString(),
     profileUrl,
+    ...(source && { source }),
     username,
     totalPostsFound,
     postsProcessed: processedCount,
     postsSuccessful: successCount,
     postsFailed: failureCount,
     postsSkipped: skippedCount,
+    postsFiltered: filteredCount,
+    changes,
     duration,
     results,
+    // Digests of earlier posts to keep alongside this run's
+    ...(postHashes && { postHashes }),
+    // Profile or publication that listed this run's posts
+    ...(discoveredFrom && { discoveredFrom }),
+  }
+}
+
+// Digests recorded by earlier runs, less those of posts that are gone.
+// Posts that fail or are filtered this time keep their digest and name.
+export const carryOverPostHashes = (existingMetadata, removedPosts = []) => {
+  const postHashes = { ...existingMetadata?.postHashes }
+  removedPosts.forEach(post => delete postHashes[post.postId])
+  return postHashes
+}
+
+// Earlier runs' results for posts this run did not process, then this run's
+export const mergeResults = (earlierResults = [], results) => {
+  const keys = new Set(results.map(getPostKey))
+  return [
+    ...earlierResults.filter(result => !keys.has(getPostKey(result))),
+    ...results,
+  ]
+}
+
+// Tally new, modified, unchanged and removed posts for the run summary
+export const summarizeChanges = (results, removedPosts = []) => {
+  const countByStatus = status =>
+    results.filter(result => result.success && result.changeStatus === status)
+      .length
+
+  return {
+    new: countByStatus(ChangeStatus.NEW),
+    modified: countByStatus(ChangeStatus.MODIFIED),
+    unchanged: countByStatus(ChangeStatus.UNCHANGED),
+    removed: removedPosts.length,
+    removedPosts,
   }
 }
 
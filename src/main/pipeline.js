@@ -1,14 +1,37 @@
 // Main scraping pipeline composed of smaller functions
 
+import path from 'path'
+import { URL } from 'url'
 import { validateAuthentication } from './authentication.js'
+import { resolveImageOptions } from '../config.js'
+import { urlValidator } from '../utils.js'
+import { LISTS_DIRECTORY, getPostKey } from '../storage.js'
+import { toMarkdownPath } from '../asset-store.js'
+import { formatListIndex } from '../lists.js'
+import { HIGHLIGHTS_DIRECTORY, formatStoryHighlights } from '../highlights.js'
+import { resolveOutputName } from '../naming.js'
+import { getListSlug } from '../scraper/lists-discovery.js'
 import { initializeOutputDirectories } from './initialization.js'
+import { discoverPostsWithRetry, loadChangeBaseline } from './post-discovery.js'
+import { createPostProcessor, reserveOutputNames } from './post-processing.js'
+import { processBatchConcurrently } from './batch-processing.js'
 import {
-  discoverPostsWithRetry,
-  filterPostsForIncremental,
-} from './post-discovery.js'
-import { createPostProcessor } from './post-processing.js'
-import { processBatch } from './batch-processing.js'
-import { saveScrapingMetadata } from './metadata.js'
+  carryOverPostHashes,
+  mergeResults,
+  saveScrapingMetadata,
+  summarizeChanges,
+} from './metadata.js'
+import { filterDiscoveredPosts, resolveFilters } from './post-filtering.js'
+import { toUrlPosts } from './url-list.js'
+import {
+  JournalStatus,
+  createJournal,
+  createProgressTracker,
+  getPendingPosts,
+  getSettledResults,
+  mergeDiscoveredPosts,
+  recordPostResult,
+} from './progress-journal.js'
 
 // Compose the main scraping pipeline from smaller functions
 export const createScrapePipeline = ({
@@ -19,52 +42,211 @@ export const createScrapePipeline = ({
   config,
   logger,
 }) => {
-  const postProcessor = createPostProcessor({
-    scraperService,
-    converter,
-    storage,
-  })
+  // Steps 1-2: shared setup for fresh and resumed runs
+  const prepareRun = async options => {
+    // Step 1: Validate authentication
+    logger.info('Checking authentication status...')
+    await validateAuthentication(authService)
+    logger.success('Authentication verified')
+
+    // Step 2: Initialize output directories
+    logger.info('Initializing output directories...')
+    const directories = await initializeOutputDirectories(storage)
+    logger.success(`Directories created: ${directories.output}`)
+
+    // Launch one browser for the whole run; every post leases a page from it
+    await scraperService.open?.({ headless: options.headless !== false })
+  }
+
+  // Configured custom domains, plus the domain of a publication hosted on
+  // its own domain
+  const resolveCustomDomains = (url, options) => {
+    const customDomains = config.customDomains || []
+    const publicationUrl =
+      options.publication && urlValidator.normalizePublicationUrl(url)
+    if (!publicationUrl) return customDomains
+
+    const { hostname } = new URL(publicationUrl)
+    return hostname === 'medium.com'
+      ? customDomains
+      : [...new Set([...customDomains, hostname])]
+  }
+
+  const discoverPosts = async (profileUrl, options) => {
+    logger.info(`Discovering posts from ${profileUrl}...`)
+    const discoveryResult = await discoverPostsWithRetry(
+      scraperService,
+      profileUrl,
+      {
+        maxScrollAttempts: options.maxScrollAttempts || 10,
+        discovery: options.discovery || config.discovery,
+        feedFile: options.feedFile,
+        strategies: options.strategies || config.discoveryStrategies,
+        debug: options.debug,
+        publication: options.publication,
+        customDomains: resolveCustomDomains(profileUrl, options),
+      }
+    )
+    logger.success(`Found ${discoveryResult.posts.length} posts to process`)
+    return discoveryResult
+  }
+
+  // Steps 5-6: process posts, journaling each one, then save metadata
+  const processAndRecord = async ({
+    profileUrl,
+    username,
+    posts,
+    tracker,
+    baseline,
+    filters,
+    settledResults = [],
+    earlierResults = [],
+    startTime,
+    customDomains,
+    source,
+    discoveredFrom = null,
+    responsesFormat,
+  }) => {
+    const postProcessor = createPostProcessor({
+      scraperService,
+      converter,
+      storage,
+      baseline,
+      filters,
+      namingScheme: config.namingScheme,
+      groupByPublication: config.groupByPublication,
+      imageOptions: resolveImageOptions(config),
+      customDomains,
+      responsesFormat: responsesFormat || config.responsesFormat,
+    })
+
+    // Step 5: Process posts in batch, up to config.concurrency at a time
+    await reserveOutputNames(storage, posts, {
+      namingScheme: config.namingScheme,
+      groupByPublication: config.groupByPublication,
+    })
+    const batchResult = await processBatchConcurrently(
+      posts,
+      postProcessor,
+      config,
+      logger,
+      {
+        onResult: tracker
+          ? (post, result) =>
+              tracker
+                .record(post, result)
+                .catch(error => logger.warn(error.message))
+          : undefined,
+      }
+    )
+
+    if (tracker) {
+      await tracker.complete().catch(error => logger.warn(error.message))
+    }
+
+    // Shared images of posts that are gone are no longer linked from them.
+    // Only a complete discovery of the posts' own source reports removals.
+    const removedKeys = (baseline.removedPosts || []).map(post => post.postId)
+    if (removedKeys.length > 0 && storage.releaseAssetReferences) {
+      const releaseResult = await storage.releaseAssetReferences(removedKeys)
+      if (!releaseResult.success) {
+        logger.warn(releaseResult.error)
+      }
+    }
+
+    // Step 6: Save operation metadata, including posts settled before this
+    // batch (by earlier runs or by discovery-time filters)
+    const results = [...settledResults, ...batchResult.results]
+    const changes = summarizeChanges(results, baseline.removedPosts)
+    const metadata = await saveScrapingMetadata(storage, {
+      profileUrl,
+      source,
+      username,
+      totalPostsFound: posts.length + settledResults.length,
+      processedCount: batchResult.processedCount,
+      successCount: results.filter(result => result.success).length,
+      failureCount: batchResult.failureCount,
+      skippedCount: results.filter(result => result.skipped).length,
+      filteredCount: results.filter(result => result.filtered).length,
+      results: mergeResults(earlierResults, results),
+      changes,
+      duration: Date.now() - startTime,
+      postHashes: carryOverPostHashes(
+        baseline.existingMetadata,
+        baseline.removedPosts
+      ),
+      discoveredFrom,
+    })
+
+    // Summary
+    const duration = Math.round((Date.now() - startTime) / 1000)
+    logger.success(`Scraping completed in ${duration} seconds`)
+    logger.info(
+      `Results: ${batchResult.successCount} successful, ${batchResult.failureCount} failed, ${batchResult.skippedCount} skipped, ${metadata.postsFiltered} filtered`
+    )
+    logger.info(
+      `Changes: ${changes.new} new, ${changes.modified} modified, ${changes.unchanged} unchanged, ${changes.removed} removed`
+    )
+
+    return {
+      success: true,
+      ...metadata,
+    }
+  }
+
+  const startTracker = async journal => {
+    if (config.resumeEnabled === false) {
+      return null
+    }
+
+    const tracker = createProgressTracker(storage, journal)
+    await tracker.start()
+    return tracker
+  }
 
   const scrapeProfile = async (profileUrl, options = {}) => {
     const startTime = Date.now()
+    const removeInterruptHandler = closeBrowserOnInterrupt(
+      scraperService,
+      logger
+    )
 
     try {
-      logger.info('Starting Medium profile scraping...')
+      logger.info(
+        `Starting Medium ${options.publication ? 'publication' : 'profile'} scraping...`
+      )
 
       const incrementalMode = options.incremental || config.resumeEnabled
 
-      // Step 1: Validate authentication
-      logger.info('Checking authentication status...')
-      await validateAuthentication(authService)
-      logger.success('Authentication verified')
+      const { journal: previousJournal } = await storage.loadProgress()
+      if (previousJournal?.status === JournalStatus.IN_PROGRESS) {
+        logger.warn(
+          `An interrupted run of ${previousJournal.profileUrl} was found - use the resume command to continue it instead of starting over`
+        )
+      }
 
-      // Step 2: Initialize output directories
-      logger.info('Initializing output directories...')
-      const directories = await initializeOutputDirectories(storage)
-      logger.success(`Directories created: ${directories.output}`)
+      await prepareRun(options)
 
       // Step 3: Discover all posts
-      logger.info(`Discovering posts from ${profileUrl}...`)
-      const discoveryResult = await discoverPostsWithRetry(
-        scraperService,
-        profileUrl,
-        {
-          maxScrollAttempts: options.maxScrollAttempts || 10,
-        }
-      )
-
-      let posts = discoveryResult.posts
-      logger.success(`Found ${posts.length} posts to process`)
-
-      // Step 4: Filter posts for incremental mode
-      if (incrementalMode) {
-        logger.info('Checking for posts that need updating...')
-        const { posts: filteredPosts, skippedCount } =
-          await filterPostsForIncremental(posts, storage, incrementalMode)
+      const discoveryResult = await discoverPosts(profileUrl, options)
+      const posts = discoveryResult.posts
+      // Discovery normalizes the URL, so every form of it names one source
+      const sourceUrl = discoveryResult.profileUrl || profileUrl
 
-        posts = filteredPosts
+      // Step 4: Load previous content digests so changes can be detected
+      const { existingMetadata, removedPosts } = await loadChangeBaseline(
+        posts,
+        storage,
+        { source: sourceUrl, partial: discoveryResult.isPartial }
+      )
+      if (discoveryResult.isPartial) {
+        logger.info(
+          'The RSS feed lists only recent posts - older posts are not reported as removed'
+        )
+      }
+      if (incrementalMode && existingMetadata) {
         logger.info(
-          `Incremental mode: ${posts.length} posts need updating, ${skippedCount} skipped`
+          'Incremental mode: unchanged posts will be detected and not rewritten'
         )
       }
 
@@ -73,34 +255,201 @@ export const createScrapePipeline = ({
         return createEmptyResult(startTime)
       }
 
-      // Step 5: Process posts in batch
-      const batchResult = await processBatch(
+      // Drop posts whose listed date is already known to be out of range
+      const filters = resolveFilters(config, options)
+      const { posts: candidatePosts, filtered } = filterDiscoveredPosts(
         posts,
-        postProcessor,
-        config,
-        logger
+        filters
+      )
+      if (filtered.length > 0) {
+        logger.info(
+          `Filtered ${filtered.length} posts by publish date or author`
+        )
+      }
+
+      // Journal the discovered posts before processing so a crash can resume
+      const tracker = await startTracker(
+        filtered.reduce(
+          (journal, result) => recordPostResult(journal, result, result),
+          createJournal({
+            profileUrl: sourceUrl,
+            username: discoveryResult.username,
+            posts,
+            publication: options.publication,
+            partial: discoveryResult.isPartial,
+          })
+        )
       )
 
-      // Step 6: Save operation metadata
-      const metadata = await saveScrapingMetadata(storage, {
-        profileUrl,
+      return await processAndRecord({
+        profileUrl: sourceUrl,
+        discoveredFrom: sourceUrl,
         username: discoveryResult.username,
-        totalPostsFound: posts.length,
-        ...batchResult,
-        duration: Date.now() - startTime,
+        posts: candidatePosts,
+        tracker,
+        filters,
+        settledResults: filtered,
+        baseline: {
+          existingMetadata,
+          removedPosts,
+          skipUnchanged: Boolean(incrementalMode),
+        },
+        startTime,
+        customDomains: resolveCustomDomains(sourceUrl, options),
+        responsesFormat: options.responsesFormat,
       })
+    } catch (error) {
+      logger.error(`Scraping failed: ${error.message}`)
+      return {
+        success: false,
+        error: error.message,
+        duration: Date.now() - startTime,
+      }
+    } finally {
+      removeInterruptHandler()
+      await scraperService.close?.()
+    }
+  }
+
+  // Continue the last interrupted run from its progress journal
+  const resumeProfile = async (options = {}) => {
+    const startTime = Date.now()
+    const removeInterruptHandler = closeBrowserOnInterrupt(
+      scraperService,
+      logger
+    )
+
+    try {
+      const progressResult = await storage.loadProgress()
+      if (!progressResult.success) {
+        throw new Error(progressResult.error)
+      }
+
+      let journal = progressResult.journal
+      if (!journal) {
+        throw new Error(
+          'No interrupted run found. Start one with the scrape command.'
+        )
+      }
+
+      if (journal.status === JournalStatus.COMPLETED && !options.rediscover) {
+        logger.info('The last run already completed - nothing to resume')
+        return createEmptyResult(startTime)
+      }
+
+      logger.info(`Resuming scrape of ${journal.profileUrl}...`)
+
+      await prepareRun(options)
+
+      // Only re-run discovery when asked, keeping known post statuses
+      if (options.rediscover) {
+        const discoveryResult = await discoverPosts(journal.profileUrl, {
+          ...options,
+          publication: journal.publication,
+        })
+        journal = {
+          ...mergeDiscoveredPosts(journal, discoveryResult.posts),
+          partial: journal.partial && discoveryResult.isPartial,
+        }
+      }
 
-      // Summary
-      const duration = Math.round((Date.now() - startTime) / 1000)
-      logger.success(`Scraping completed in ${duration} seconds`)
+      const posts = getPendingPosts(journal)
       logger.info(
-        `Results: ${batchResult.successCount} successful, ${batchResult.failureCount} failed, ${batchResult.skippedCount} skipped`
+        `${posts.length} of ${journal.posts.length} posts left to process`
+      )
+
+      const tracker = await startTracker({
+        ...journal,
+        status: JournalStatus.IN_PROGRESS,
+      })
+
+      const { existingMetadata, removedPosts } = await loadChangeBaseline(
+        journal.posts,
+        storage,
+        { source: journal.profileUrl, partial: journal.partial }
       )
 
+      return await processAndRecord({
+        profileUrl: journal.profileUrl,
+        discoveredFrom: journal.profileUrl,
+        username: journal.username,
+        posts,
+        tracker,
+        baseline: {
+          existingMetadata,
+          removedPosts,
+          skipUnchanged: Boolean(options.incremental || config.resumeEnabled),
+        },
+        filters: resolveFilters(config, options),
+        settledResults: getSettledResults(journal),
+        startTime,
+        customDomains: resolveCustomDomains(journal.profileUrl, {
+          publication: journal.publication,
+        }),
+        responsesFormat: options.responsesFormat,
+      })
+    } catch (error) {
+      logger.error(`Resume failed: ${error.message}`)
       return {
-        success: true,
-        ...metadata,
+        success: false,
+        error: error.message,
+        duration: Date.now() - startTime,
+      }
+    } finally {
+      removeInterruptHandler()
+      await scraperService.close?.()
+    }
+  }
+
+  // Publications are scraped like profiles, with posts found in the archive
+  const scrapePublication = (publicationUrl, options = {}) =>
+    scrapeProfile(publicationUrl, { ...options, publication: true })
+
+  // Process posts known by URL alone. Posts saved by earlier runs keep
+  // their metadata, and a profile's URL and username stay recorded, so one
+  // post can be re-pulled without losing track of the rest.
+  const processUrlPosts = async (posts, options, startTime) => {
+    const { existingMetadata } = await loadChangeBaseline(posts, storage)
+
+    return processAndRecord({
+      profileUrl: existingMetadata?.profileUrl ?? null,
+      source: options.source || 'urls',
+      username: existingMetadata?.username ?? null,
+      earlierResults: existingMetadata?.results || [],
+      posts,
+      tracker: null,
+      filters: resolveFilters(config, options),
+      baseline: {
+        existingMetadata,
+        removedPosts: [],
+        skipUnchanged: Boolean(options.incremental || config.resumeEnabled),
+      },
+      startTime,
+      customDomains: config.customDomains || [],
+      responsesFormat: options.responsesFormat,
+    })
+  }
+
+  // Scrape the given post URLs without discovery
+  const scrapeUrls = async (urls, options = {}) => {
+    const startTime = Date.now()
+    const removeInterruptHandler = closeBrowserOnInterrupt(
+      scraperService,
+      logger
+    )
+
+    try {
+      const customDomains = config.customDomains || []
+      const { posts, invalid } = toUrlPosts(urls, customDomains)
+      invalid.forEach(url => logger.warn(`Skipping non-post URL: ${url}`))
+      if (posts.length === 0) {
+        throw new Error('No Medium post URLs to scrape')
       }
+
+      logger.info(`Starting scraping of ${posts.length} post URLs...`)
+      await prepareRun(options)
+
+      return await processUrlPosts(posts, options, startTime)
     } catch (error) {
       logger.error(`Scraping failed: ${error.message}`)
       return {
@@ -108,10 +457,206 @@ export const createScrapePipeline = ({
         error: error.message,
         duration: Date.now() - startTime,
       }
+    } finally {
+      removeInterruptHandler()
+      await scraperService.close?.()
     }
   }
 
-  return { scrapeProfile }
+  const scrapePost = (postUrl, options = {}) => scrapeUrls([postUrl], options)
+
+  // Write an index of each of a profile's Medium Lists, and with
+  // options.scrapeStories save the stories they reference too
+  const exportLists = async (profileUrl, options = {}) => {
+    const startTime = Date.now()
+    const removeInterruptHandler = closeBrowserOnInterrupt(
+      scraperService,
+      logger
+    )
+
+    try {
+      logger.info(`Exporting Medium Lists of ${profileUrl}...`)
+      await prepareRun(options)
+
+      const listsResult = await scraperService.discoverLists(profileUrl, {
+        lists: options.lists,
+        debug: options.debug,
+        customDomains: config.customDomains || [],
+      })
+      if (!listsResult.success) {
+        throw new Error(listsResult.error)
+      }
+      const { lists } = listsResult
+      logger.success(`Found ${lists.length} lists`)
+
+      // Stories are saved like any other post, then linked from the indexes
+      let storiesResult = null
+      const savedPaths = new Map()
+      if (options.scrapeStories) {
+        const { posts } = toUrlPosts(
+          lists.flatMap(list => list.stories.map(story => story.url)),
+          config.customDomains || []
+        )
+        storiesResult =
+          posts.length > 0
+            ? await processUrlPosts(
+                posts,
+                { ...options, source: listsResult.profileUrl },
+                startTime
+              )
+            : null
+
+        // Saved URLs may be canonical ones, so stories are matched by post ID
+        const listsDir = path.join(storage.outputDir, LISTS_DIRECTORY)
+        const savedByKey = new Map(
+          (storiesResult?.results || [])
+            .filter(result => result.success && result.filename)
+            .map(result => [
+              getPostKey(result),
+              toMarkdownPath(listsDir, result.filename),
+            ])
+        )
+        lists
+          .flatMap(list => list.stories)
+          .filter(story => savedByKey.has(getPostKey(story)))
+          .forEach(story =>
+            savedPaths.set(story.url, savedByKey.get(getPostKey(story)))
+          )
+      }
+
+      const exported = []
+      for (const list of lists) {
+        const saveResult = await storage.saveListIndex(
+          getListSlug(list.url),
+          formatListIndex(list, savedPaths)
+        )
+        if (!saveResult.success) {
+          throw new Error(saveResult.error)
+        }
+        exported.push({
+          title: list.title,
+          url: list.url,
+          stories: list.stories.length,
+          filename: saveResult.filePath,
+        })
+        logger.info(`${list.title}: ${list.stories.length} stories`)
+      }
+
+      logger.success(`Exported ${exported.length} lists`)
+      return {
+        success: true,
+        lists: exported,
+        stories: storiesResult,
+        duration: Date.now() - startTime,
+      }
+    } catch (error) {
+      logger.error(`List export failed: ${error.message}`)
+      return {
+        success: false,
+        error: error.message,
+        duration: Date.now() - startTime,
+      }
+    } finally {
+      removeInterruptHandler()
+      await scraperService.close?.()
+    }
+  }
+
+  // Save the signed-in reader's highlights as one markdown file per source
+  // story, under output/highlights/ in the same layout as posts
+  const exportHighlights = async (options = {}) => {
+    const startTime = Date.now()
+    const removeInterruptHandler = closeBrowserOnInterrupt(
+      scraperService,
+      logger
+    )
+
+    try {
+      logger.info('Collecting highlights...')
+      await prepareRun(options)
+
+      const highlightsResult = await scraperService.discoverHighlights({
+        debug: options.debug,
+        customDomains: config.customDomains || [],
+      })
+      if (!highlightsResult.success) {
+        throw new Error(highlightsResult.error)
+      }
+      const { stories } = highlightsResult
+      logger.success(
+        `Found ${highlightsResult.totalCount} highlights in ${stories.length} stories`
+      )
+
+      // Stories with the same title get distinct files, claimed like posts
+      const outputNames = await storage.reserveOutputNames(
+        stories.map(story => ({
+          ...story,
+          outputName: [
+            HIGHLIGHTS_DIRECTORY,
+            resolveOutputName(story, config.namingScheme),
+          ].join('/'),
+        }))
+      )
+
+      const saved = []
+      for (const [index, story] of stories.entries()) {
+        const saveResult = await storage.savePost(
+          { outputName: outputNames[index] },
+          formatStoryHighlights(story)
+        )
+        if (!saveResult.success) {
+          throw new Error(saveResult.error)
+        }
+        saved.push({
+          title: story.title,
+          url: story.url,
+          highlights: story.highlights.length,
+          filename: saveResult.filePath,
+        })
+      }
+
+      logger.success(`Saved highlights of ${saved.length} stories`)
+      return {
+        success: true,
+        stories: saved,
+        totalHighlights: highlightsResult.totalCount,
+        duration: Date.now() - startTime,
+      }
+    } catch (error) {
+      logger.error(`Highlights export failed: ${error.message}`)
+      return {
+        success: false,
+        error: error.message,
+        duration: Date.now() - startTime,
+      }
+    } finally {
+      removeInterruptHandler()
+      await scraperService.close?.()
+    }
+  }
+
+  return {
+    scrapeProfile,
+    scrapePublication,
+    resumeProfile,
+    scrapePost,
+    scrapeUrls,
+    exportLists,
+    exportHighlights,
+  }
+}
+
+// Close the shared browser before exiting on Ctrl+C so no Chromium
+// processes are left behind
+const closeBrowserOnInterrupt = (scraperService, logger) => {
+  const onInterrupt = async () => {
+    logger.warn('Interrupted - closing browser...')
+    await scraperService.close?.()
+    process.exit(130)
+  }
+
+  process.once('SIGINT', onInterrupt)
+  return () => process.removeListener('SIGINT', onInterrupt)
 }
 
 const createEmptyResult = startTime => ({
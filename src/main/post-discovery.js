@@ -12,29 +12,27 @@ export const discoverPostsWithRetry = async (
   return result
 }
 
-export const filterPostsForIncremental = async (
-  posts,
-  storage,
-  incrementalMode
-) => {
-  if (!incrementalMode) {
-    return { posts, skippedCount: 0 }
-  }
-
+// Load the previous run's content digests and find posts that have
+// disappeared since. New, modified and unchanged posts can only be told
+// apart once their content is extracted, so that happens per post. Only
+// posts discovered from options.source can go missing from it, and after
+// partial discovery nothing counts as removed.
+export const loadChangeBaseline = async (posts, storage, options = {}) => {
   const metadataResult = await storage.loadMetadata()
   if (!metadataResult.success || !metadataResult.metadata) {
-    return { posts, skippedCount: 0 }
+    return { existingMetadata: null, removedPosts: [] }
   }
 
-  const postsNeedingUpdate = await storage.getPostsNeedingUpdate(
-    posts,
-    metadataResult.metadata
-  )
-  const skippedCount = posts.length - postsNeedingUpdate.length
-
   return {
-    posts: postsNeedingUpdate,
-    skippedCount,
+    existingMetadata: metadataResult.metadata,
+    removedPosts:
+      options.partial || !options.source
+        ? []
+        : storage.getRemovedPosts(
+            posts,
+            metadataResult.metadata,
+            options.source
+          ),
   }
 }
 
@@ -42,7 +40,6 @@ export const createPostDiscoveryService = (scraperService, storage) => {
   return {
     discover: (profileUrl, options) =>
       discoverPostsWithRetry(scraperService, profileUrl, options),
-    filterForIncremental: (posts, incrementalMode) =>
-      filterPostsForIncremental(posts, storage, incrementalMode),
+    loadChangeBaseline: posts => loadChangeBaseline(posts, storage),
   }
 }
@@ -0,0 +1,112 @@
+// Date, tag and author filtering for discovered and extracted posts
+import { parsePublishDate } from '../utils.js'
+
+const normalizeTag = tag =>
+  String(tag).trim().toLowerCase().replace(/\s+/g, '-')
+
+// Returns true/false, or null when the publish date is unknown
+export const matchesDateFilter = (publishDate, dateFilter) => {
+  if (!dateFilter || (!dateFilter.from && !dateFilter.to)) return true
+
+  const date = parsePublishDate(publishDate)
+  if (!date) return null
+
+  if (dateFilter.from && date < dateFilter.from) return false
+  if (dateFilter.to && date > dateFilter.to) return false
+  return true
+}
+
+// A post matches when it carries any of the requested tags
+export const matchesTagFilter = (tags, tagFilter) => {
+  if (!tagFilter || tagFilter.length === 0) return true
+
+  const wanted = new Set(tagFilter.map(normalizeTag))
+  return (tags || []).some(tag => wanted.has(normalizeTag(tag)))
+}
+
+const normalizeAuthor = author =>
+  String(author).trim().toLowerCase().replace(/^@/, '')
+
+// A post matches when its author name or @username is in the list. Returns
+// null when the author is unknown.
+export const matchesAuthorFilter = (post, authorFilter) => {
+  if (!authorFilter || authorFilter.length === 0) return true
+
+  const authors = [post.author, post.authorUsername].filter(Boolean)
+  if (authors.length === 0) return null
+
+  const wanted = new Set(authorFilter.map(normalizeAuthor))
+  return authors.some(author => wanted.has(normalizeAuthor(author)))
+}
+
+const describeAuthorFilter = authorFilter => `not by ${authorFilter.join(', ')}`
+
+const describeDateFilter = dateFilter =>
+  `outside date range ${dateFilter.from || '…'} to ${dateFilter.to || '…'}`
+
+export const createFilteredResult = (post, reason) => ({
+  url: post.url,
+  title: post.title,
+  filtered: true,
+  reason,
+  success: false,
+})
+
+// CLI options take precedence over scraper-config.json
+export const resolveFilters = (config, options = {}) => ({
+  dateFilter: options.dateFilter || config.dateFilter || null,
+  tagFilter:
+    options.tagFilter && options.tagFilter.length > 0
+      ? options.tagFilter
+      : config.tagFilter || [],
+  authorFilter:
+    options.authorFilter && options.authorFilter.length > 0
+      ? options.authorFilter
+      : config.authorFilter || [],
+})
+
+// Discovery-time pass: drop posts whose listed date or author is known not
+// to match. Posts with unknown dates or authors go on to extraction.
+export const filterDiscoveredPosts = (posts, filters) => {
+  const kept = []
+  const filtered = []
+
+  posts.forEach(post => {
+    if (matchesDateFilter(post.publishDate, filters.dateFilter) === false) {
+      filtered.push(
+        createFilteredResult(post, describeDateFilter(filters.dateFilter))
+      )
+    } else if (matchesAuthorFilter(post, filters.authorFilter) === false) {
+      filtered.push(
+        createFilteredResult(post, describeAuthorFilter(filters.authorFilter))
+      )
+    } else {
+      kept.push(post)
+    }
+  })
+
+  return { posts: kept, filtered }
+}
+
+// Extraction-time pass with exact dates, tags and authors. Returns the reason the
+// post is filtered, or null when it should be kept.
+export const getFilterReason = (contentResult, filters) => {
+  if (!filters) return null
+
+  if (
+    matchesDateFilter(contentResult.publishDate, filters.dateFilter) === false
+  ) {
+    return describeDateFilter(filters.dateFilter)
+  }
+
+  if (!matchesTagFilter(contentResult.tags, filters.tagFilter)) {
+    return `no matching tags (${filters.tagFilter.join(', ')})`
+  }
+
+  // An author that is still unknown cannot be ruled out
+  if (matchesAuthorFilter(contentResult, filters.authorFilter) === false) {
+    return describeAuthorFilter(filters.authorFilter)
+  }
+
+  return null
+}
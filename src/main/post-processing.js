@@ -1,17 +1,40 @@
+import path from 'path'
 import { ScraperError, ErrorTypes } from '../error-handling.js'
+import { countResponses, formatResponses } from '../responses.js'
+import { createSlug, resolveOutputName } from '../naming.js'
+import { ChangeStatus, computeContentHash, getPostKey } from '../storage.js'
+import { createFilteredResult, getFilterReason } from './post-filtering.js'
 
 // Individual post processing utilities
 
-export const processPostContent = async (scraperService, post) => {
-  const contentResult = await scraperService.extractPostContent(post.url)
+export const processPostContent = async (
+  scraperService,
+  post,
+  { customDomains = [], responses = false } = {}
+) => {
+  const contentResult = await scraperService.extractPostContent(post.url, {
+    customDomains,
+    responses,
+  })
   if (!contentResult.success) {
     throw new ScraperError(contentResult.error, ErrorTypes.PARSING)
   }
-  return contentResult
+
+  // Listings such as a publication's archive name each post's author; keep
+  // that when the post page has no byline
+  return {
+    ...contentResult,
+    author: contentResult.author || post.author,
+    authorUsername: contentResult.authorUsername || post.authorUsername,
+  }
 }
 
-export const convertPostToMarkdown = async (converter, contentResult) => {
-  const conversionResult = await converter.convertPost(contentResult)
+export const convertPostToMarkdown = async (
+  converter,
+  contentResult,
+  options = {}
+) => {
+  const conversionResult = await converter.convertPost(contentResult, options)
   if (!conversionResult.success) {
     throw new ScraperError(conversionResult.error, ErrorTypes.PARSING)
   }
@@ -21,15 +44,20 @@ export const convertPostToMarkdown = async (converter, contentResult) => {
 export const savePostWithImages = async (
   storage,
   contentResult,
-  conversionResult
+  conversionResult,
+  postId,
+  imageOptions = {}
 ) => {
   const saveResult = await storage.savePostWithImages(
     {
       ...contentResult,
+      postId,
       slug: conversionResult.slug,
+      outputName: conversionResult.outputName,
     },
     conversionResult.markdown,
-    conversionResult.referencedImages
+    conversionResult.referencedImages,
+    imageOptions
   )
 
   if (!saveResult.success) {
@@ -41,27 +69,182 @@ export const savePostWithImages = async (
     title: contentResult.title,
     slug: conversionResult.slug,
     filename: saveResult.markdownFile,
+    outputName: saveResult.outputName,
     imagesDownloaded: saveResult.imagesDownloaded || 0,
+    imagesInlined: saveResult.imagesInlined || 0,
     postDir: saveResult.postDir,
   }
 }
 
+// Optional step: write the responses read with the post next to it, as
+// responses.md or responses.json
+export const saveResponses = async (
+  storage,
+  contentResult,
+  postDir,
+  format
+) => {
+  if (!format || !contentResult.responseThread || !postDir) return {}
+
+  const { filename, content } = formatResponses(
+    format,
+    {
+      title: contentResult.title,
+      url: contentResult.canonicalUrl || contentResult.mediumUrl,
+    },
+    contentResult.responseThread
+  )
+  const saveResult = await storage.saveResponses(postDir, filename, content)
+  if (!saveResult.success) {
+    throw new ScraperError(saveResult.error, ErrorTypes.FILE_SYSTEM)
+  }
+
+  return {
+    responsesFile: saveResult.filePath,
+    responsesSaved: countResponses(contentResult.responseThread),
+  }
+}
+
+// Claim output names for a batch before processing it, from the titles the
+// listing shows, so colliding names do not depend on which post finishes
+// first. Posts listed without a title claim theirs when saved.
+export const reserveOutputNames = async (
+  storage,
+  posts,
+  { namingScheme, groupByPublication } = {}
+) => {
+  const titledPosts = posts.filter(post => post.title)
+  if (!storage.reserveOutputNames || titledPosts.length === 0) return []
+
+  return storage.reserveOutputNames(
+    titledPosts.map(post => ({
+      ...post,
+      outputName: resolveOutputName(
+        { ...post, slug: createSlug(post.title) },
+        namingScheme,
+        { groupByPublication }
+      ),
+    }))
+  )
+}
+
+// Compare the converted post with the previous run's digest
+export const detectPostChange = (storage, post, conversionResult, baseline) => {
+  const postId = getPostKey(post)
+  const contentHash = computeContentHash(conversionResult.content)
+  const changeStatus = storage.getChangeStatus(
+    { postId, contentHash },
+    baseline.existingMetadata
+  )
+
+  return { postId, contentHash, changeStatus }
+}
+
 export const processPost = async (
   post,
-  { scraperService, converter, storage }
+  {
+    scraperService,
+    converter,
+    storage,
+    baseline = {},
+    filters,
+    namingScheme,
+    groupByPublication,
+    imageOptions,
+    customDomains,
+    responsesFormat,
+  }
 ) => {
   // Step 1: Extract detailed content and metadata
-  const contentResult = await processPostContent(scraperService, post)
+  const contentResult = await processPostContent(scraperService, post, {
+    customDomains,
+    responses: Boolean(responsesFormat),
+  })
+
+  // Apply date and tag filters now that exact values are known
+  const filterReason = getFilterReason(contentResult, filters)
+  if (filterReason) {
+    return createFilteredResult(
+      { url: post.url, title: contentResult.title || post.title },
+      filterReason
+    )
+  }
 
   // Step 2: Convert HTML to markdown with frontmatter
-  const conversionResult = await convertPostToMarkdown(converter, contentResult)
+  const conversionResult = await convertPostToMarkdown(
+    converter,
+    contentResult,
+    { namingScheme, groupByPublication, customDomains }
+  )
+
+  // Step 3: Skip writing posts whose content has not changed. Their
+  // responses may still have, so those are rewritten.
+  const change = detectPostChange(storage, post, conversionResult, baseline)
+  if (
+    baseline.skipUnchanged &&
+    change.changeStatus === ChangeStatus.UNCHANGED
+  ) {
+    const previous = baseline.existingMetadata.postHashes[change.postId]
+    return {
+      url: contentResult.canonicalUrl || contentResult.mediumUrl || post.url,
+      title: contentResult.title,
+      slug: conversionResult.slug,
+      filename: previous.filename,
+      imagesDownloaded: 0,
+      ...(await saveResponses(
+        storage,
+        contentResult,
+        previous.filename && path.dirname(previous.filename),
+        responsesFormat
+      )),
+      ...change,
+    }
+  }
+
+  // Step 4: Save post with images, handled as the image strategy says
+  const saved = await savePostWithImages(
+    storage,
+    contentResult,
+    conversionResult,
+    change.postId,
+    imageOptions
+  )
 
-  // Step 3: Save post with images
-  return await savePostWithImages(storage, contentResult, conversionResult)
+  // Step 5: Write the post's responses when they were asked for
+  const responses = await saveResponses(
+    storage,
+    contentResult,
+    saved.postDir,
+    responsesFormat
+  )
+  return { ...saved, ...responses, ...change }
 }
 
-export const createPostProcessor = ({ scraperService, converter, storage }) => {
+export const createPostProcessor = ({
+  scraperService,
+  converter,
+  storage,
+  baseline,
+  filters,
+  namingScheme,
+  groupByPublication,
+  imageOptions,
+  customDomains,
+  responsesFormat,
+}) => {
   return {
-    process: post => processPost(post, { scraperService, converter, storage }),
+    process: post =>
+      processPost(post, {
+        scraperService,
+        converter,
+        storage,
+        baseline,
+        filters,
+        namingScheme,
+        groupByPublication,
+        imageOptions,
+        customDomains,
+        responsesFormat,
+      }),
   }
 }
@@ -0,0 +1,147 @@
+// Progress journal utilities for resuming interrupted runs
+
+export const JournalStatus = {
+  IN_PROGRESS: 'in-progress',
+  COMPLETED: 'completed',
+}
+
+export const PostStatus = {
+  PENDING: 'pending',
+  SUCCESS: 'success',
+  FAILED: 'failed',
+  SKIPPED: 'skipped',
+  FILTERED: 'filtered',
+}
+
+const toJournalEntry = post => ({
+  url: post.url,
+  title: post.title,
+  publishDate: post.publishDate || null,
+  ...(post.author && { author: post.author }),
+  ...(post.authorUsername && { authorUsername: post.authorUsername }),
+  status: PostStatus.PENDING,
+})
+
+const getPostStatus = result => {
+  if (result.success) return PostStatus.SUCCESS
+  if (result.skipped) return PostStatus.SKIPPED
+  if (result.filtered) return PostStatus.FILTERED
+  return PostStatus.FAILED
+}
+
+export const createJournal = ({
+  profileUrl,
+  username,
+  posts,
+  publication,
+  partial,
+}) => {
+  const now = new Date().toISOString()
+
+  return {
+    profileUrl,
+    username,
+    ...(publication && { publication: true }),
+    ...(partial && { partial: true }),
+    status: JournalStatus.IN_PROGRESS,
+    startedAt: now,
+    updatedAt: now,
+    posts: posts.map(toJournalEntry),
+  }
+}
+
+// Add newly discovered posts without touching the status of known ones
+export const mergeDiscoveredPosts = (journal, posts) => {
+  const knownUrls = new Set(journal.posts.map(entry => entry.url))
+  const newEntries = posts
+    .filter(post => !knownUrls.has(post.url))
+    .map(toJournalEntry)
+
+  return {
+    ...journal,
+    posts: [...journal.posts, ...newEntries],
+  }
+}
+
+export const recordPostResult = (journal, post, result) => ({
+  ...journal,
+  updatedAt: new Date().toISOString(),
+  posts: journal.posts.map(entry =>
+    entry.url === post.url
+      ? {
+          ...entry,
+          status: getPostStatus(result),
+          outputPath: result.filename || null,
+          error: result.error || result.reason || null,
+          completedAt: new Date().toISOString(),
+          result,
+        }
+      : entry
+  ),
+})
+
+export const completeJournal = journal => ({
+  ...journal,
+  status: JournalStatus.COMPLETED,
+  updatedAt: new Date().toISOString(),
+})
+
+// Posts that still need processing: never attempted or failed last time
+export const getPendingPosts = journal =>
+  journal.posts
+    .filter(
+      entry =>
+        entry.status === PostStatus.PENDING ||
+        entry.status === PostStatus.FAILED
+    )
+    .map(({ url, title, publishDate, author, authorUsername }) => ({
+      url,
+      title,
+      publishDate,
+      ...(author && { author }),
+      ...(authorUsername && { authorUsername }),
+    }))
+
+// Results recorded by earlier runs, for posts not being processed again
+export const getSettledResults = journal =>
+  journal.posts
+    .filter(
+      entry =>
+        entry.status === PostStatus.SUCCESS ||
+        entry.status === PostStatus.SKIPPED ||
+        entry.status === PostStatus.FILTERED
+    )
+    .map(entry => entry.result)
+
+// Keeps the journal on disk in step with each completed post. Writes are
+// chained so concurrent workers never interleave them.
+export const createProgressTracker = (storage, initialJournal) => {
+  let journal = initialJournal
+  let pendingWrite = Promise.resolve()
+
+  const persist = () => {
+    const snapshot = journal
+    pendingWrite = pendingWrite
+      .catch(() => {}) // An earlier failed write must not block later ones
+      .then(async () => {
+        const result = await storage.saveProgress(snapshot)
+        if (!result.success) {
+          throw new Error(result.error)
+        }
+      })
+    return pendingWrite
+  }
+
+  return {
+    start: () => persist(),
+    record: (post, result) => {
+      journal = recordPostResult(journal, post, result)
+      return persist()
+    },
+    complete: () => {
+      journal = completeJournal(journal)
+      return persist()
+    },
+    getJournal: () => journal,
+  }
+}
@@ -0,0 +1,37 @@
+// Post URLs given directly on the command line or in a file, bypassing
+// discovery
+import { isValidPostUrl } from '../scraper/post-extractor.js'
+import { CUSTOM_DOMAIN_PAGES, normalizeCustomDomain } from '../utils.js'
+
+// One URL per line; blank lines and lines starting with # are ignored
+export const parseUrlList = text =>
+  text
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'))
+
+// Turn URLs into the post entries discovery would have produced, without
+// tracking parameters and duplicates. URLs that are not posts are returned
+// separately so they can be reported.
+export const toUrlPosts = (urls, customDomains = []) => {
+  const domains = customDomains.map(normalizeCustomDomain)
+  const seenUrls = new Set()
+  const posts = []
+  const invalid = []
+
+  urls.forEach(rawUrl => {
+    const url = rawUrl.split('#')[0].split('?')[0]
+    if (!isValidPostUrl(url, domains, CUSTOM_DOMAIN_PAGES)) {
+      invalid.push(rawUrl)
+      return
+    }
+    if (seenUrls.has(url)) return
+
+    seenUrls.add(url)
+    // The title is only known once the post is extracted, so no output name
+    // is reserved for it up front; until then logs show the URL
+    posts.push({ url, title: null, publishDate: null })
+  })
+
+  return { posts, invalid }
+}
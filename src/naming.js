@@ -0,0 +1,118 @@
+// Output naming for saved posts: built-in schemes and path templates
+import { parsePublishDate, urlValidator } from './utils.js'
+
+export const NAMING_SCHEMES = ['slug', 'title', 'date-slug']
+
+const TEMPLATE_TOKENS = [
+  'yyyy',
+  'mm',
+  'dd',
+  'slug',
+  'title',
+  'id',
+  'publication',
+]
+
+// Tokens that tell posts apart; a template needs at least one of them
+const IDENTIFYING_TOKENS = ['slug', 'title', 'id']
+
+export const isNamingTemplate = scheme =>
+  typeof scheme === 'string' && /\{[a-z]+\}/.test(scheme)
+
+// Validate a scheme name or a template such as {yyyy}/{mm}/{slug}
+export const validateNamingScheme = scheme => {
+  if (NAMING_SCHEMES.includes(scheme)) {
+    return []
+  }
+
+  if (!isNamingTemplate(scheme)) {
+    return [
+      `namingScheme must be one of: ${NAMING_SCHEMES.join(', ')} or a template like {yyyy}/{mm}/{slug}`,
+    ]
+  }
+
+  const tokens = [...scheme.matchAll(/\{([a-z]+)\}/g)].map(match => match[1])
+  const errors = tokens
+    .filter(token => !TEMPLATE_TOKENS.includes(token))
+    .map(
+      token =>
+        `namingScheme template token {${token}} is not one of: ${TEMPLATE_TOKENS.join(', ')}`
+    )
+
+  if (!tokens.some(token => IDENTIFYING_TOKENS.includes(token))) {
+    errors.push('namingScheme template must include {slug}, {title} or {id}')
+  }
+
+  if (scheme.split('/').some(segment => segment === '..')) {
+    errors.push('namingScheme template must not contain ".." segments')
+  }
+
+  return errors
+}
+
+// URL-style slug used for file and image names
+export const createSlug = title =>
+  (title || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9\s-]/g, '')
+    .replace(/\s+/g, '-')
+    .replace(/-+/g, '-')
+    .replace(/^-|-$/g, '') || 'untitled'
+
+// Keep a path segment readable but safe on every file system
+const sanitizeSegment = segment =>
+  segment
+    .replace(/[\\/:*?"<>|]/g, '')
+    .replace(/\s+/g, ' ')
+    .replace(/^[.\s]+|[.\s]+$/g, '')
+    .slice(0, 100)
+
+const getTemplate = (scheme, date) => {
+  if (scheme === 'title') return '{title}'
+  if (scheme === 'date-slug') return date ? '{yyyy}-{mm}-{dd}-{slug}' : '{slug}'
+  if (isNamingTemplate(scheme)) return scheme
+  return '{slug}'
+}
+
+// Directory name for a post's publication: its URL slug or custom domain,
+// else the slugged name. Empty for posts outside a publication.
+export const getPublicationDirectory = postData =>
+  urlValidator.extractPublicationSlug(postData.publicationUrl || '') ||
+  (postData.publication ? createSlug(postData.publication) : '')
+
+// Resolve a post's output path relative to the output directory. The last
+// segment names both the post directory and its markdown file. With
+// groupByPublication, publication posts go under a directory per publication.
+export const resolveOutputName = (postData, scheme = 'slug', options = {}) => {
+  const slug = postData.slug || createSlug(postData.title)
+  const date = parsePublishDate(postData.publishDate)
+  const [yyyy, mm, dd] = date ? date.split('-') : ['undated', '00', '00']
+
+  const values = {
+    yyyy,
+    mm,
+    dd,
+    slug,
+    title: postData.title || 'Untitled',
+    id:
+      postData.postId ||
+      urlValidator.extractPostId(postData.canonicalUrl || postData.url || '') ||
+      slug,
+    publication: getPublicationDirectory(postData),
+  }
+
+  const template = getTemplate(scheme, date)
+  const outputName = (
+    options.groupByPublication ? `{publication}/${template}` : template
+  )
+    .split('/')
+    .map(segment =>
+      sanitizeSegment(
+        segment.replace(/\{([a-z]+)\}/g, (token, name) => values[name] ?? '')
+      )
+    )
+    .filter(Boolean)
+    .join('/')
+
+  return outputName || slug
+}
@@ -0,0 +1,104 @@
+// Named auth profiles, for archiving several accounts from one machine. Each
+// profile lives in profiles/<name>/ with its own OAuth tokens, Medium
+// session, scraper-config.json overrides and default output directory.
+import { promises as fs, existsSync } from 'fs'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { createAuthService, createPassphraseSource } from './auth.js'
+import { getCurrentConfig, validateConfig } from './config.js'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+
+export const PROFILES_DIRECTORY = path.join(__dirname, '..', 'profiles')
+
+// The credentials in the project root, used when no profile is given
+export const DEFAULT_PROFILE = 'default'
+
+const PROFILE_CONFIG_FILE = 'scraper-config.json'
+
+// Profile names become directory names
+export const validateProfileName = name => {
+  if (typeof name !== 'string' || !/^[a-z0-9][a-z0-9_-]*$/i.test(name)) {
+    return `Invalid profile name "${name}" - use letters, digits, - and _`
+  }
+  if (name === DEFAULT_PROFILE) {
+    return `"${DEFAULT_PROFILE}" names the credentials used without --profile`
+  }
+  return null
+}
+
+export const getProfileDirectory = (name, profilesDir = PROFILES_DIRECTORY) =>
+  path.join(profilesDir, name)
+
+// A profile's name, directory and configuration: the shared configuration
+// with the profile's output directory and its own overrides on top.
+// A relative outputDirectory is resolved against the profile directory.
+export const loadProfile = async (name, options = {}) => {
+  const nameError = validateProfileName(name)
+  if (nameError) {
+    throw new Error(nameError)
+  }
+
+  const directory = getProfileDirectory(name, options.profilesDir)
+  const configPath = path.join(directory, PROFILE_CONFIG_FILE)
+  const overrides = existsSync(configPath)
+    ? JSON.parse(await fs.readFile(configPath, 'utf8'))
+    : {}
+
+  const config = {
+    ...(options.baseConfig || (await getCurrentConfig())),
+    ...overrides,
+  }
+  config.outputDirectory = path.resolve(
+    directory,
+    overrides.outputDirectory || 'output'
+  )
+
+  const validation = validateConfig(config)
+  if (!validation.isValid) {
+    throw new Error(
+      `Invalid configuration for profile ${name}: ${validation.errors.join(', ')}`
+    )
+  }
+
+  return { name, directory, config }
+}
+
+// Names of the profiles created so far, alphabetically
+export const listProfiles = async (profilesDir = PROFILES_DIRECTORY) => {
+  if (!existsSync(profilesDir)) {
+    return []
+  }
+
+  const entries = await fs.readdir(profilesDir, { withFileTypes: true })
+  return entries
+    .filter(entry => entry.isDirectory())
+    .map(entry => entry.name)
+    .filter(name => !validateProfileName(name))
+    .sort()
+}
+
+// Authentication status of the default credentials and of every profile,
+// asking for the credentials passphrase at most once
+export const getProfileStatuses = async (options = {}) => {
+  const profilesDir = options.profilesDir || PROFILES_DIRECTORY
+  const getPassphrase = options.getPassphrase || createPassphraseSource()
+  const profiles = [
+    { name: DEFAULT_PROFILE, credentialsDir: options.credentialsDir },
+    ...(await listProfiles(profilesDir)).map(name => ({
+      name,
+      credentialsDir: getProfileDirectory(name, profilesDir),
+    })),
+  ]
+
+  const statuses = []
+  for (const profile of profiles) {
+    const auth = createAuthService({
+      credentialsDir: profile.credentialsDir,
+      getPassphrase,
+    })
+    statuses.push({ profile: profile.name, ...(await auth.getAuthStatus()) })
+  }
+  return statuses
+}
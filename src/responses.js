@@ -0,0 +1,68 @@
+// Output formats for a post's responses, written next to the post
+
+export const RESPONSE_FORMATS = ['markdown', 'json']
+
+export const RESPONSE_FILENAMES = {
+  markdown: 'responses.md',
+  json: 'responses.json',
+}
+
+export const validateResponsesFormat = format =>
+  format == null || RESPONSE_FORMATS.includes(format)
+    ? []
+    : [`responsesFormat must be null or one of: ${RESPONSE_FORMATS.join(', ')}`]
+
+export const countResponses = responses =>
+  responses.reduce(
+    (count, response) => count + 1 + countResponses(response.replies),
+    0
+  )
+
+// Replies are quoted one level deeper than the response they answer
+const formatResponse = (response, depth) => {
+  const prefix = '> '.repeat(depth)
+  const byline = [`**${response.author || 'Unknown'}**`, response.date]
+    .filter(Boolean)
+    .join(' · ')
+  const replies = response.replies.flatMap(reply => [
+    prefix.trimEnd(),
+    ...formatResponse(reply, depth + 1),
+  ])
+
+  return [
+    ...[byline, '', ...response.text.split('\n')].map(line =>
+      `${prefix}${line}`.trimEnd()
+    ),
+    ...replies,
+  ]
+}
+
+export const formatResponsesMarkdown = (post, responses) =>
+  [
+    `# Responses to "${post.title}"`,
+    '',
+    `${countResponses(responses)} responses on ${post.url}`,
+    ...responses.flatMap(response => ['', ...formatResponse(response, 0)]),
+    '',
+  ].join('\n')
+
+// Nested the same way as the page, for static comment systems
+export const formatResponsesJson = (post, responses) =>
+  JSON.stringify(
+    {
+      post: { title: post.title, url: post.url },
+      count: countResponses(responses),
+      responses,
+    },
+    null,
+    2
+  )
+
+// { filename, content } for the configured format
+export const formatResponses = (format, post, responses) => ({
+  filename: RESPONSE_FILENAMES[format],
+  content:
+    format === 'json'
+      ? formatResponsesJson(post, responses)
+      : formatResponsesMarkdown(post, responses),
+})
@@ -1,9 +1,13 @@
 import puppeteer from 'puppeteer'
 import { withRetry, ScraperError, ErrorTypes } from '../error-handling.js'
-import { USER_AGENT, BROWSER_ARGS } from '../constants.js'
+import { USER_AGENT, BROWSER_ARGS, TIMEOUTS, LIMITS } from '../constants.js'
+
+// Factory function for creating browser management service. Pages are
+// given the cookies from dependencies.getSessionCookies, so they browse
+// Medium with the signed-in session.
+export const createBrowserManager = (dependencies = {}) => {
+  const getSessionCookies = dependencies.getSessionCookies || (async () => [])
 
-// Factory function for creating browser management service
-export const createBrowserManager = () => {
   const launch = withRetry(async (options = {}) => {
     try {
       const browser = await puppeteer.launch({
@@ -26,6 +30,11 @@ export const createBrowserManager = () => {
     try {
       const page = await browser.newPage()
       await page.setUserAgent(USER_AGENT)
+
+      const cookies = await getSessionCookies()
+      if (cookies.length > 0) {
+        await page.setCookie(...cookies)
+      }
       return page
     } catch (error) {
       throw new ScraperError(
@@ -67,4 +76,162 @@ export const createBrowserManager = () => {
   }
 }
 
+// Factory function for a long-lived browser that leases pages to callers.
+// One Chromium instance serves the whole run; pages that crash, hang or
+// error are closed instead of being returned to the idle pool.
+export const createBrowserPool = (
+  browserManager = createBrowserManager(),
+  options = {}
+) => {
+  const leaseTimeout = options.leaseTimeout || TIMEOUTS.PAGE_LEASE
+  const maxIdlePages = options.maxIdlePages || LIMITS.MAX_IDLE_PAGES
+
+  let browserPromise = null
+  const idlePages = []
+  const leasedPages = new Set()
+  const brokenPages = new WeakSet()
+
+  const isBrowserAlive = browser => browser.isConnected?.() !== false
+
+  const isPageUsable = page =>
+    !brokenPages.has(page) && page.isClosed?.() !== true
+
+  // Start a launch every caller shares, first closing a browser that died
+  // so its Chromium process does not linger. A failed launch is forgotten
+  // so the next caller tries again.
+  const startLaunch = (launchOptions, deadBrowser = null) => {
+    const launching = (async () => {
+      if (deadBrowser) {
+        await browserManager.close(deadBrowser)
+      }
+      return browserManager.launch({ headless: true, ...launchOptions })
+    })()
+
+    browserPromise = launching
+    launching.catch(() => {
+      if (browserPromise === launching) {
+        browserPromise = null
+      }
+    })
+    return launching
+  }
+
+  // Launch the browser once; concurrent callers share the same launch
+  const open = async (launchOptions = {}) => {
+    if (!browserPromise) {
+      return startLaunch(launchOptions)
+    }
+
+    const current = browserPromise
+    const browser = await current
+    if (isBrowserAlive(browser)) {
+      return browser
+    }
+
+    // Browser crashed or was killed - the first caller to notice drops its
+    // pages and relaunches; callers that awaited the same browser share it
+    if (browserPromise === current) {
+      idlePages.length = 0
+      return startLaunch(launchOptions, browser)
+    }
+    // A relaunch that already failed is retried by the next caller
+    return browserPromise || open(launchOptions)
+  }
+
+  const acquirePage = async (launchOptions = {}) => {
+    const browser = await open(launchOptions)
+
+    while (idlePages.length > 0) {
+      const page = idlePages.pop()
+      if (isPageUsable(page)) {
+        leasedPages.add(page)
+        return page
+      }
+      await browserManager.closePage(page)
+    }
+
+    const page = await browserManager.createPage(browser)
+    page.on?.('error', () => brokenPages.add(page))
+    leasedPages.add(page)
+    return page
+  }
+
+  const releasePage = async (page, { recycle = false } = {}) => {
+    if (!page) return
+
+    leasedPages.delete(page)
+
+    if (recycle || !isPageUsable(page) || idlePages.length >= maxIdlePages) {
+      brokenPages.add(page)
+      await browserManager.closePage(page)
+      return
+    }
+
+    idlePages.push(page)
+  }
+
+  // Run an operation with a leased page, recycling the page if it fails or
+  // does not finish within the lease timeout
+  const withPage = async (operation, { timeout, launchOptions } = {}) => {
+    const page = await acquirePage(launchOptions)
+    const timeoutMs = timeout || leaseTimeout
+    let timer = null
+
+    try {
+      const leaseExpired = new Promise((_, reject) => {
+        timer = setTimeout(
+          () =>
+            reject(
+              new ScraperError(
+                `Page lease timed out after ${timeoutMs}ms`,
+                ErrorTypes.NETWORK,
+                null,
+                true
+              )
+            ),
+          timeoutMs
+        )
+      })
+
+      const result = await Promise.race([operation(page), leaseExpired])
+      await releasePage(page)
+      return result
+    } catch (error) {
+      await releasePage(page, { recycle: true })
+      throw error
+    } finally {
+      clearTimeout(timer)
+    }
+  }
+
+  const close = async () => {
+    const pages = [...idlePages, ...leasedPages]
+    idlePages.length = 0
+    leasedPages.clear()
+
+    for (const page of pages) {
+      await browserManager.closePage(page)
+    }
+
+    if (browserPromise) {
+      const pending = browserPromise
+      browserPromise = null
+      try {
+        await browserManager.close(await pending)
+      } catch {
+        // Launch never succeeded - nothing to close
+      }
+    }
+  }
+
+  return {
+    open,
+    acquirePage,
+    releasePage,
+    withPage,
+    close,
+    isOpen: () => browserPromise !== null,
+  }
+}
+
 export default createBrowserManager
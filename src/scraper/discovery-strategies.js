@@ -0,0 +1,259 @@
+// Named strategies for finding posts on a profile page. Each strategy is a
+// self-contained (document, context) => candidates function: it is shipped
+// into the browser as source text, so it must not reference anything outside
+// its own body. context holds { selectors, isValidPostUrl, excludedPaths }.
+
+// Strategy 1: Traditional article elements
+export const articleStrategy = {
+  name: 'article',
+  extract: (document, { selectors, isValidPostUrl }) =>
+    Array.from(document.querySelectorAll(selectors.ARTICLE))
+      .map(article => {
+        const titleElement = article.querySelector(selectors.TITLES)
+        const linkElement = article.querySelector(selectors.MEDIUM_LINKS)
+        const dateElement = article.querySelector(selectors.DATES)
+        if (!titleElement || !linkElement) return null
+
+        return {
+          title: titleElement.textContent?.trim() || 'Untitled',
+          url: linkElement.href,
+          publishDate:
+            dateElement?.textContent?.trim() ||
+            dateElement?.getAttribute('datetime') ||
+            null,
+        }
+      })
+      .filter(post => post && isValidPostUrl(post.url)),
+}
+
+// Strategy 2: Direct link-based extraction (including publication posts)
+export const linkStrategy = {
+  name: 'link',
+  extract: (document, { selectors, isValidPostUrl }) =>
+    Array.from(document.querySelectorAll(selectors.MEDIUM_LINKS))
+      .filter(link => isValidPostUrl(link.href))
+      .map(link => {
+        // Find associated title (look in parent containers)
+        const container = link.closest('div, article, section')
+        const titleElement =
+          container?.querySelector(selectors.TITLES) ||
+          link.querySelector('h1, h2, h3, h4, h5')
+        const title =
+          titleElement?.textContent?.trim() || link.textContent?.trim()
+        if (!title) return null
+
+        return { title, url: link.href, publishDate: null }
+      })
+      .filter(Boolean),
+}
+
+// Strategy 3: Medium's newer data-testid post and story containers
+export const containerStrategy = {
+  name: 'container',
+  extract: (document, { selectors, isValidPostUrl }) =>
+    Array.from(document.querySelectorAll(selectors.POST_CONTAINERS))
+      .map(container => {
+        const titleElement = container.querySelector(selectors.TITLES)
+        const linkElement = container.querySelector(selectors.MEDIUM_LINKS)
+        const dateElement = container.querySelector(selectors.DATES)
+        if (!titleElement || !linkElement) return null
+
+        return {
+          title: titleElement.textContent?.trim() || 'Untitled',
+          url: linkElement.href,
+          publishDate:
+            dateElement?.textContent?.trim() ||
+            dateElement?.getAttribute('datetime') ||
+            null,
+        }
+      })
+      .filter(post => post && isValidPostUrl(post.url)),
+}
+
+// Strategy 4: Comprehensive link search for wrapped/encoded URLs
+export const comprehensiveStrategy = {
+  name: 'comprehensive',
+  extract: (document, { selectors }) =>
+    Array.from(document.querySelectorAll('a[href]'))
+      .filter(
+        link =>
+          link.href.includes('medium.com') &&
+          (link.href.includes('redirect=') ||
+            link.href.includes('actionUrl=') ||
+            /[a-f0-9]{12}/.test(link.href))
+      )
+      .map(link => {
+        // Extract title from the link text or nearby elements
+        let title = link.textContent?.trim() || ''
+        if (title.length < 5) {
+          const container = link.closest('article, div, section')
+          const titleElement = container?.querySelector(selectors.TITLES)
+          title = titleElement?.textContent?.trim() || title
+        }
+
+        // Only include links with a meaningful title
+        return title.length > 5
+          ? { title, url: link.href, publishDate: null }
+          : null
+      })
+      .filter(Boolean),
+}
+
+export const DEFAULT_STRATEGIES = [
+  articleStrategy,
+  linkStrategy,
+  containerStrategy,
+  comprehensiveStrategy,
+]
+
+// Run strategies in order against a document. The first strategy to find a
+// URL claims it, and its name is recorded as the post's source. Like the
+// strategies, this runs in the browser and must stay self-contained.
+export const runStrategies = (document, strategies, context) => {
+  const { isValidPostUrl, excludedPaths } = context
+
+  // Signin and bookmark links wrap the real post URL in a query parameter
+  /* eslint-disable no-undef */
+  const unwrapUrl = url => {
+    const query = new URLSearchParams(url.split('?')[1] || '')
+    if (url.includes('signin') && query.get('redirect')) {
+      return decodeURIComponent(query.get('redirect'))
+    }
+    if (query.get('actionUrl')) {
+      return decodeURIComponent(query.get('actionUrl'))
+    }
+    return url
+  }
+  /* eslint-enable no-undef */
+
+  const posts = []
+  const seenUrls = new Set()
+  const stats = strategies.map(strategy => {
+    const stat = { name: strategy.name, found: 0, added: 0 }
+
+    let candidates
+    try {
+      candidates = strategy.extract(document, context) || []
+    } catch (error) {
+      return { ...stat, error: error.message }
+    }
+
+    stat.found = candidates.length
+    candidates.forEach(candidate => {
+      const url = unwrapUrl(candidate.url || '')
+      const isExcluded = excludedPaths.some(path =>
+        url.toLowerCase().includes(path)
+      )
+      if (seenUrls.has(url) || isExcluded || !isValidPostUrl(url)) return
+
+      seenUrls.add(url)
+      posts.push({
+        ...candidate,
+        url,
+        originalUrl: candidate.url,
+        source: strategy.name,
+      })
+      stat.added++
+    })
+
+    return stat
+  })
+
+  return { posts, stats }
+}
+
+// One debug line per strategy, e.g. "link: 12 found, 3 new"
+export const formatStrategyStats = stats =>
+  stats
+    .map(
+      stat =>
+        `${stat.name}: ${
+          stat.error
+            ? `failed (${stat.error})`
+            : `${stat.found} found, ${stat.added} new`
+        }`
+    )
+    .join('\n')
+
+export const validateDiscoveryStrategies = strategies => {
+  if (strategies == null) return []
+
+  const isNameList =
+    Array.isArray(strategies) &&
+    strategies.length > 0 &&
+    strategies.every(name => typeof name === 'string' && name.trim())
+
+  return isNameList
+    ? []
+    : ['discoveryStrategies must be null or a non-empty list of strategy names']
+}
+
+// Ordered set of named strategies that callers can enable, disable, reorder
+// and extend with their own
+export const createStrategyRegistry = (strategies = DEFAULT_STRATEGIES) => {
+  let entries = []
+
+  const find = name => {
+    const entry = entries.find(candidate => candidate.strategy.name === name)
+    if (!entry) {
+      throw new Error(
+        `Unknown discovery strategy: ${name}. Available: ${list()
+          .map(strategy => strategy.name)
+          .join(', ')}`
+      )
+    }
+    return entry
+  }
+
+  // Add a strategy at the end, or before/after a named one
+  const register = (strategy, position = {}) => {
+    if (!strategy?.name || typeof strategy.extract !== 'function') {
+      throw new Error(
+        'A discovery strategy needs a name and an extract function'
+      )
+    }
+    if (entries.some(entry => entry.strategy.name === strategy.name)) {
+      throw new Error(`Discovery strategy already registered: ${strategy.name}`)
+    }
+
+    const entry = { strategy, enabled: position.enabled !== false }
+    const anchor = position.before || position.after
+    if (!anchor) {
+      entries.push(entry)
+      return
+    }
+
+    const index = entries.indexOf(find(anchor)) + (position.after ? 1 : 0)
+    entries.splice(index, 0, entry)
+  }
+
+  const setEnabled = (name, enabled) => {
+    find(name).enabled = enabled
+  }
+
+  // Move the named strategies to the front, in the given order
+  const setOrder = names => {
+    const ordered = names.map(find)
+    entries = [...ordered, ...entries.filter(entry => !ordered.includes(entry))]
+  }
+
+  const list = () =>
+    entries.map(({ strategy, enabled }) => ({ name: strategy.name, enabled }))
+
+  // Strategies to run: the given names in that order, or every enabled one
+  const resolve = names =>
+    names
+      ? names.map(name => find(name).strategy)
+      : entries.filter(entry => entry.enabled).map(entry => entry.strategy)
+
+  strategies.forEach(strategy => register(strategy))
+
+  return {
+    register,
+    enable: name => setEnabled(name, true),
+    disable: name => setEnabled(name, false),
+    setOrder,
+    list,
+    resolve,
+  }
+}
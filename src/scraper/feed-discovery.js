@@ -0,0 +1,149 @@
+import { promises as fs } from 'fs'
+import { URL } from 'url'
+import {
+  withRetry,
+  classifyHttpError,
+  handleNetworkError,
+  ScraperError,
+} from '../error-handling.js'
+import { decodeHtmlEntities, parsePublishDate, urlValidator } from '../utils.js'
+
+// Discovery modes: the profile's RSS feed, infinite scroll on the profile
+// page, or the feed plus scrolling for anything older than the feed covers
+export const DISCOVERY_MODES = ['scroll', 'rss', 'auto']
+
+// Medium's feed lists at most this many of the latest posts
+export const FEED_WINDOW = 10
+
+export const getFeedUrl = username =>
+  `https://medium.com/feed/${username.startsWith('@') ? username : `@${username}`}`
+
+const unwrapCdata = text => {
+  const match = text.match(/^\s*<!\[CDATA\[([\s\S]*?)\]\]>\s*$/)
+  return match ? match[1] : decodeHtmlEntities(text)
+}
+
+const readTag = (xml, tag) => {
+  const match = xml.match(new RegExp(`<${tag}\\b[^>]*>([\\s\\S]*?)</${tag}>`))
+  return match ? unwrapCdata(match[1]).trim() : null
+}
+
+const readAllTags = (xml, tag) =>
+  [...xml.matchAll(new RegExp(`<${tag}\\b[^>]*>([\\s\\S]*?)</${tag}>`, 'g'))]
+    .map(([, value]) => unwrapCdata(value).trim())
+    .filter(Boolean)
+
+// Feed links carry ?source=rss tracking parameters
+const cleanPostUrl = link => {
+  try {
+    const url = new URL(link)
+    url.search = ''
+    url.hash = ''
+    return url.toString()
+  } catch {
+    return link
+  }
+}
+
+const toIsoDate = value => {
+  const date = new Date(value)
+  return isNaN(date.getTime()) ? null : date.toISOString()
+}
+
+// Turn RSS 2.0 XML into discovered posts, newest first as Medium lists them
+export const parseFeed = xml =>
+  [...xml.matchAll(/<item\b[^>]*>([\s\S]*?)<\/item>/g)]
+    .map(([, item]) => {
+      const url = cleanPostUrl(readTag(item, 'link') || '')
+      const guid = readTag(item, 'guid')
+      const publishDate = toIsoDate(readTag(item, 'pubDate'))
+
+      return {
+        url,
+        title: readTag(item, 'title') || 'Untitled',
+        publishDate,
+        tags: readAllTags(item, 'category'),
+        author: readTag(item, 'dc:creator'),
+        postId:
+          urlValidator.extractPostId(url) || urlValidator.extractPostId(guid),
+        source: 'rss',
+      }
+    })
+    .filter(post => post.url)
+
+const fetchFeed = withRetry(async feedUrl => {
+  try {
+    // Import fetch dynamically since it's not available in all Node versions
+    const fetch = (await import('node-fetch')).default
+    const response = await fetch(feedUrl)
+
+    if (!response.ok) {
+      throw classifyHttpError(response.status, `Failed to load ${feedUrl}`)
+    }
+
+    return await response.text()
+  } catch (error) {
+    if (error instanceof ScraperError) {
+      throw error
+    }
+    throw handleNetworkError(error)
+  }
+})
+
+// Factory function for RSS discovery. A local feed file can stand in for
+// the network, e.g. for offline runs and tests, and options.feedUrl
+// replaces the profile feed, e.g. for custom domains.
+export const createFeedDiscovery = (dependencies = {}) => {
+  const loadFeed = dependencies.fetchFeed || fetchFeed
+  const readFile = dependencies.readFile || (file => fs.readFile(file, 'utf8'))
+
+  const discoverFromFeed = async (username, options = {}) => {
+    const xml = options.feedFile
+      ? await readFile(options.feedFile)
+      : await loadFeed(options.feedUrl || getFeedUrl(username))
+
+    const posts = parseFeed(xml)
+
+    return {
+      posts,
+      // A full window means older posts may exist beyond the feed
+      isComplete: posts.length < FEED_WINDOW,
+      oldestDate: posts.reduce(
+        (oldest, post) =>
+          post.publishDate && (!oldest || post.publishDate < oldest)
+            ? post.publishDate
+            : oldest,
+        null
+      ),
+    }
+  }
+
+  return { discoverFromFeed }
+}
+
+// Keep the feed's posts and add scrolled posts the feed window did not cover
+export const mergeFeedAndScrollPosts = (feedResult, scrolledPosts) => {
+  const feedKeys = new Set(
+    feedResult.posts.flatMap(post => [post.url, post.postId].filter(Boolean))
+  )
+
+  const olderPosts = scrolledPosts.filter(post => {
+    const postId = urlValidator.extractPostId(post.url)
+    if (feedKeys.has(post.url) || (postId && feedKeys.has(postId))) {
+      return false
+    }
+
+    // Listing dates are often relative; keep posts whose age is unknown
+    const date = parsePublishDate(post.publishDate)
+    return (
+      !date ||
+      !feedResult.oldestDate ||
+      date <= feedResult.oldestDate.slice(0, 10)
+    )
+  })
+
+  return [
+    ...feedResult.posts,
+    ...olderPosts.map(post => ({ ...post, source: post.source || 'scroll' })),
+  ]
+}
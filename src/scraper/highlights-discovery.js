@@ -0,0 +1,88 @@
+import { CUSTOM_DOMAIN_PAGES } from '../utils.js'
+import { isValidPostUrl } from './post-extractor.js'
+import { createPageReader } from './page-reader.js'
+
+// The signed-in reader's highlights, newest first, across every story
+export const HIGHLIGHTS_URL = 'https://medium.com/me/highlights'
+
+// Read the highlight cards of the highlights page. Runs in the browser, so
+// it must stay self-contained.
+export const readHighlightsPage = (document, selectors) => {
+  const text = element => element?.textContent?.trim() || null
+
+  return Array.from(document.querySelectorAll(selectors.HIGHLIGHT_ITEMS)).map(
+    item => {
+      const dateElement = item.querySelector(selectors.HIGHLIGHT_DATE)
+
+      return {
+        text: text(item.querySelector(selectors.HIGHLIGHT_TEXT)),
+        note: text(item.querySelector(selectors.HIGHLIGHT_NOTE)),
+        date:
+          dateElement?.getAttribute('datetime') || text(dateElement) || null,
+        storyTitle: text(item.querySelector(selectors.TITLES)),
+        author: text(item.querySelector(selectors.HIGHLIGHT_AUTHOR)),
+        // Every link is kept; the story link is picked outside the browser
+        links: Array.from(item.querySelectorAll('a[href]')).map(
+          link => link.href
+        ),
+      }
+    }
+  )
+}
+
+// A highlight with the URL of the story it was made in, or null when the
+// card names no story
+export const toHighlight = (item, customDomains = []) => {
+  const url = item.links
+    .map(link => link.split('#')[0].split('?')[0])
+    .find(link => isValidPostUrl(link, customDomains, CUSTOM_DOMAIN_PAGES))
+  if (!url || !item.text) return null
+
+  return {
+    text: item.text,
+    note: item.note,
+    date: item.date,
+    story: { title: item.storyTitle || url, url, author: item.author },
+  }
+}
+
+// One entry per source story, in the order the stories first appear, with
+// its highlights oldest first as they were made
+export const groupHighlightsByStory = highlights => {
+  const stories = new Map()
+
+  highlights.forEach(({ story, ...highlight }) => {
+    if (!stories.has(story.url)) {
+      stories.set(story.url, { ...story, highlights: [] })
+    }
+    stories.get(story.url).highlights.unshift(highlight)
+  })
+
+  return [...stories.values()]
+}
+
+// Factory function for reading the highlights page with a browser page
+export const createHighlightsDiscovery = (navigator, scrollHandler) => {
+  // Older highlights load as the page is scrolled
+  const { readWhileScrolling } = createPageReader(navigator, scrollHandler)
+
+  const discoverHighlights = async (page, options = {}) => {
+    await navigator.navigateTo(page, HIGHLIGHTS_URL)
+    await navigator.waitForContent(page, options)
+
+    const items = await readWhileScrolling(
+      page,
+      readHighlightsPage,
+      found => found.length,
+      options
+    )
+
+    return groupHighlightsByStory(
+      items
+        .map(item => toHighlight(item, options.customDomains))
+        .filter(Boolean)
+    )
+  }
+
+  return { discoverHighlights }
+}
@@ -1,43 +1,85 @@
+import { URL } from 'url'
 import { createAuthService } from '../auth.js'
 import { urlValidator } from '../utils.js'
-import { createBrowserManager } from './browser-manager.js'
+import { createBrowserManager, createBrowserPool } from './browser-manager.js'
 import { createPageNavigator } from './page-navigator.js'
 import { createPostExtractor } from './post-extractor.js'
 import { createScrollHandler } from './scroll-handler.js'
-import { DELAYS, LIMITS, DEBUG_CONFIG } from '../constants.js'
+import {
+  createFeedDiscovery,
+  mergeFeedAndScrollPosts,
+} from './feed-discovery.js'
+import { createPublicationDiscovery } from './publication-discovery.js'
+import { createResponsesExtractor } from './responses-extractor.js'
+import { createListsDiscovery, getListSlug } from './lists-discovery.js'
+import { createHighlightsDiscovery } from './highlights-discovery.js'
+import { DELAYS, LIMITS, TIMEOUTS, DEBUG_CONFIG } from '../constants.js'
 
 // Main factory function for scraper service
 export const createScraperService = (dependencies = {}) => {
-  const browserManager = dependencies.browserManager || createBrowserManager()
   const authService = dependencies.authService || createAuthService()
+  const browserManager =
+    dependencies.browserManager ||
+    createBrowserManager({
+      getSessionCookies: async () =>
+        (await authService.getSessionCookies?.()) || [],
+    })
+  const browserPool =
+    dependencies.browserPool || createBrowserPool(browserManager)
   const urlValidatorInstance = dependencies.urlValidator || urlValidator
 
   // Create the navigator and dependent services
   const navigator = dependencies.navigator || createPageNavigator()
   const postExtractor =
-    dependencies.postExtractor || createPostExtractor(navigator)
+    dependencies.postExtractor ||
+    createPostExtractor(navigator, dependencies.strategyRegistry)
   const scrollHandler = dependencies.scrollHandler || createScrollHandler()
-
-  // Discover all posts from a Medium profile
+  const feedDiscovery = dependencies.feedDiscovery || createFeedDiscovery()
+  const publicationDiscovery =
+    dependencies.publicationDiscovery || createPublicationDiscovery(navigator)
+  const responsesExtractor =
+    dependencies.responsesExtractor || createResponsesExtractor(navigator)
+  const listsDiscovery =
+    dependencies.listsDiscovery ||
+    createListsDiscovery(navigator, scrollHandler)
+  const highlightsDiscovery =
+    dependencies.highlightsDiscovery ||
+    createHighlightsDiscovery(navigator, scrollHandler)
+
+  // Discover all posts from a Medium profile, using the discovery mode in
+  // options.discovery: 'scroll' (default), 'rss' or 'auto'. With
+  // options.publication the URL is a publication and its archive is read.
   const discoverPosts = async (profileUrl, options = {}) => {
-    let browser = null
-    let page = null
-
     try {
-      // Validate authentication
-      const isAuthenticated = await authService.isAuthenticated()
+      const discovery = options.discovery || 'scroll'
+
+      // Validate authentication; the public feed needs no login
+      const isAuthenticated =
+        (discovery === 'rss' && !options.publication) ||
+        (await authService.isAuthenticated())
       if (!isAuthenticated) {
         return {
           success: false,
           error:
-            'Authentication required. Please authenticate with Google OAuth first.',
+            'Authentication required. Please run `login` to sign in to Medium first.',
           posts: [],
           totalCount: 0,
         }
       }
 
-      // Normalize and validate Medium profile URL
-      const normalizedUrl = urlValidatorInstance.normalizeProfileUrl(profileUrl)
+      if (options.publication) {
+        return await discoverPublication(profileUrl, options)
+      }
+
+      // Normalize and validate Medium profile URL; profiles on a configured
+      // custom domain are kept as that domain's home page
+      const isCustomDomain = urlValidatorInstance.isCustomDomainUrl(
+        profileUrl,
+        options.customDomains
+      )
+      const normalizedUrl = isCustomDomain
+        ? new URL(profileUrl).origin
+        : urlValidatorInstance.normalizeProfileUrl(profileUrl)
       if (!normalizedUrl) {
         return {
           success: false,
@@ -48,53 +90,24 @@ export const createScraperService = (dependencies = {}) => {
         }
       }
 
-      const username = urlValidatorInstance.extractUsername(normalizedUrl)
-
-      // Launch browser and create page
-      browser = await browserManager.launch({
-        headless: options.headless !== false,
-      })
-      page = await browserManager.createPage(browser)
-
-      // Navigate to profile page
-      await navigator.navigateTo(page, normalizedUrl)
-
-      // Wait for the page to be more fully rendered
-      const waitTime = options.fastMode ? 100 : DELAYS.CONTENT_LOAD
-      await new Promise(resolve => setTimeout(resolve, waitTime))
-
-      // Validate page navigation
-      const currentUrl = page.url()
-      if (currentUrl.includes('error') || currentUrl.includes('404')) {
-        throw new Error(
-          `Profile page not accessible: redirected to ${currentUrl}`
-        )
+      const username = isCustomDomain
+        ? new URL(normalizedUrl).hostname
+        : urlValidatorInstance.extractUsername(normalizedUrl)
+
+      const discoverByMode = {
+        rss: discoverFromFeed,
+        auto: discoverFromFeedAndPage,
+        scroll: discoverByScrolling,
+      }[discovery]
+      if (!discoverByMode) {
+        throw new Error(`Unknown discovery mode: ${discovery}`)
       }
 
-      // Wait for content to load
-      await navigator.waitForContent(page, options)
-
-      // Take a screenshot for debugging if enabled
-      if (options.debug) {
-        await navigator.takeScreenshot(page, {
-          path: DEBUG_CONFIG.SCREENSHOT_PATH,
-          fullPage: DEBUG_CONFIG.FULL_PAGE,
-        })
-      }
-
-      // Collect posts with infinite scroll handling
-      const allPosts = await collectAllPosts(page, options)
-
-      // Filter to only include posts from this user
-      const userPosts = filterUserPosts(allPosts, username)
-
+      const posts = await discoverByMode(normalizedUrl, username, options)
       return {
-        success: true,
-        posts: userPosts,
-        totalCount: userPosts.length,
-        username,
-        profileUrl: normalizedUrl,
-        scrapedAt: new Date().toISOString(),
+        ...createDiscoveryResult(posts, normalizedUrl, username),
+        // The feed holds only the latest posts, so older ones are not missing
+        isPartial: discovery === 'rss',
       }
     } catch (error) {
       return {
@@ -103,13 +116,131 @@ export const createScraperService = (dependencies = {}) => {
         posts: [],
         totalCount: 0,
       }
-    } finally {
-      // Clean up browser resources
-      await browserManager.closePage(page)
-      await browserManager.close(browser)
     }
   }
 
+  const createDiscoveryResult = (posts, normalizedUrl, username) => ({
+    success: true,
+    posts,
+    totalCount: posts.length,
+    username,
+    profileUrl: normalizedUrl,
+    scrapedAt: new Date().toISOString(),
+  })
+
+  const discoverPublication = async (publicationUrl, options) => {
+    const normalizedUrl =
+      urlValidatorInstance.normalizePublicationUrl(publicationUrl)
+    if (!normalizedUrl) {
+      return {
+        success: false,
+        error:
+          'Invalid Medium publication URL. Expected format: https://medium.com/publication or https://publication-domain.com',
+        posts: [],
+        totalCount: 0,
+      }
+    }
+
+    const posts = await publicationDiscovery.discoverFromArchive(
+      operation => withDiscoveryPage(operation, options),
+      normalizedUrl,
+      options
+    )
+
+    return {
+      ...createDiscoveryResult(posts, normalizedUrl, null),
+      publication: urlValidatorInstance.extractPublicationSlug(normalizedUrl),
+    }
+  }
+
+  // Custom domains serve their feed at /feed instead of medium.com/feed/@user
+  const getFeedOptions = (normalizedUrl, options) =>
+    urlValidatorInstance.isCustomDomainUrl(normalizedUrl, options.customDomains)
+      ? { ...options, feedUrl: `${normalizedUrl}/feed` }
+      : options
+
+  const discoverFromFeed = async (normalizedUrl, username, options) => {
+    const feedResult = await feedDiscovery.discoverFromFeed(
+      username,
+      getFeedOptions(normalizedUrl, options)
+    )
+    return feedResult.posts
+  }
+
+  // Lease a page from the shared browser (launched on first use) for one
+  // page's worth of discovery. Walks over many pages lease one per page.
+  const withDiscoveryPage = (operation, options) =>
+    browserPool.withPage(operation, {
+      timeout: TIMEOUTS.DISCOVERY_LEASE,
+      launchOptions: { headless: options.headless !== false },
+    })
+
+  const discoverByScrolling = (normalizedUrl, username, options) =>
+    withDiscoveryPage(
+      page => discoverFromPage(page, normalizedUrl, username, options),
+      options
+    )
+
+  // Take recent posts from the feed and scroll only when the profile has
+  // more posts than the feed window holds
+  const discoverFromFeedAndPage = async (normalizedUrl, username, options) => {
+    let feedResult
+    try {
+      feedResult = await feedDiscovery.discoverFromFeed(
+        username,
+        getFeedOptions(normalizedUrl, options)
+      )
+    } catch (error) {
+      console.warn(`RSS feed unavailable, scrolling instead: ${error.message}`)
+      return discoverByScrolling(normalizedUrl, username, options)
+    }
+
+    if (feedResult.isComplete) {
+      return feedResult.posts
+    }
+
+    const scrolledPosts = await discoverByScrolling(
+      normalizedUrl,
+      username,
+      options
+    )
+    return mergeFeedAndScrollPosts(feedResult, scrolledPosts)
+  }
+
+  const discoverFromPage = async (page, normalizedUrl, username, options) => {
+    // Navigate to profile page
+    await navigator.navigateTo(page, normalizedUrl)
+
+    // Wait for the page to be more fully rendered
+    const waitTime = options.fastMode ? 100 : DELAYS.CONTENT_LOAD
+    await new Promise(resolve => setTimeout(resolve, waitTime))
+
+    // Validate page navigation
+    const currentUrl = page.url()
+    if (currentUrl.includes('error') || currentUrl.includes('404')) {
+      throw new Error(
+        `Profile page not accessible: redirected to ${currentUrl}`
+      )
+    }
+
+    // Wait for content to load
+    await navigator.waitForContent(page, options)
+
+    // Take a screenshot for debugging if enabled
+    if (options.debug) {
+      await navigator.takeScreenshot(page, {
+        path: DEBUG_CONFIG.SCREENSHOT_PATH,
+        fullPage: DEBUG_CONFIG.FULL_PAGE,
+      })
+    }
+
+    // Collect posts with infinite scroll handling
+    const allPosts = await collectAllPosts(page, options)
+
+    // Filter to only include posts from this user
+    return filterUserPosts(allPosts, username, options.customDomains)
+  }
+
   const collectAllPosts = async (page, options) => {
     let allPosts = []
     let previousPostCount = 0
@@ -118,7 +249,11 @@ export const createScraperService = (dependencies = {}) => {
 
     while (attempts < maxAttempts) {
       // Extract posts from current page state
-      const currentPosts = await postExtractor.extractPostsFromPage(page)
+      const currentPosts = await postExtractor.extractPostsFromPage(page, {
+        strategies: options.strategies,
+        debug: options.debug,
+        customDomains: options.customDomains,
+      })
 
       // Merge with existing posts, avoiding duplicates
       const newPosts = currentPosts.filter(
@@ -151,10 +286,15 @@ export const createScraperService = (dependencies = {}) => {
     return allPosts
   }
 
-  const filterUserPosts = (posts, username) => {
+  const filterUserPosts = (posts, username, customDomains = []) => {
     return posts.filter(post => {
       if (!post.url) return false
 
+      // Custom domains only list their own posts
+      if (urlValidatorInstance.isCustomDomainUrl(post.url, customDomains)) {
+        return true
+      }
+
       const urlLower = post.url.toLowerCase()
       const usernameLower = username.toLowerCase()
       const cleanUsername = usernameLower.replace('@', '')
@@ -210,11 +350,10 @@ export const createScraperService = (dependencies = {}) => {
     }
   }
 
-  // Extract detailed content and metadata from individual posts
-  const extractPostContent = async postUrl => {
-    let browser = null
-    let page = null
-
+  // Extract detailed content and metadata from individual posts; posts on
+  // options.customDomains are accepted alongside medium.com. With
+  // options.responses the post's responses are read into responseThread.
+  const extractPostContent = async (postUrl, options = {}) => {
     try {
       // Validate authentication
       const isAuthenticated = await authService.isAuthenticated()
@@ -222,32 +361,47 @@ export const createScraperService = (dependencies = {}) => {
         return {
           success: false,
           error:
-            'Authentication required. Please authenticate with Google OAuth first.',
+            'Authentication required. Please run `login` to sign in to Medium first.',
         }
       }
 
       // Validate Medium post URL
-      if (!postUrl || !postUrl.includes('medium.com')) {
+      const isMediumPost =
+        postUrl?.includes('medium.com') ||
+        urlValidatorInstance.isCustomDomainUrl(postUrl, options.customDomains)
+      if (!isMediumPost) {
         return {
           success: false,
           error: 'Invalid Medium post URL provided',
         }
       }
 
-      browser = await browserManager.launch({ headless: true })
-      page = await browserManager.createPage(browser)
+      const postData = await browserPool.withPage(async page => {
+        // Navigate to post page
+        await navigator.navigateTo(page, postUrl)
 
-      // Navigate to post page
-      await navigator.navigateTo(page, postUrl)
-
-      // Wait for main content to load
-      await navigator.waitForSelector(
-        page,
-        'article, [data-testid="storyContent"]'
-      )
+        // Wait for main content to load
+        await navigator.waitForSelector(
+          page,
+          'article, [data-testid="storyContent"]'
+        )
 
-      // Extract post content
-      const postData = await postExtractor.extractPostContent(page)
+        // Extract post content
+        const content = await postExtractor.extractPostContent(page)
+        if (!options.responses) return content
+
+        // A post is still saved when its responses cannot be read
+        const responseThread = await responsesExtractor
+          .extractResponses(page, {
+            count: content.responses,
+            fastMode: options.fastMode,
+          })
+          .catch(error => {
+            console.warn(`Could not read responses: ${error.message}`)
+            return null
+          })
+        return { ...content, responseThread }
+      })
 
       return {
         success: true,
@@ -259,22 +413,118 @@ export const createScraperService = (dependencies = {}) => {
         success: false,
         error: `Failed to extract post content: ${error.message}`,
       }
-    } finally {
-      await browserManager.closePage(page)
-      await browserManager.close(browser)
+    }
+  }
+
+  // Read a profile's Medium Lists and the stories on each. options.lists
+  // limits it to lists with those slugs.
+  const discoverLists = async (profileUrl, options = {}) => {
+    try {
+      const isAuthenticated = await authService.isAuthenticated()
+      if (!isAuthenticated) {
+        return {
+          success: false,
+          error:
+            'Authentication required. Please run `login` to sign in to Medium first.',
+          lists: [],
+        }
+      }
+
+      const username = urlValidatorInstance.extractUsername(profileUrl)
+      if (!username) {
+        return {
+          success: false,
+          error:
+            'Invalid Medium profile URL. Expected format: https://medium.com/@username',
+          lists: [],
+        }
+      }
+      const normalizedUrl = `https://medium.com/${username}`
+
+      const found = await withDiscoveryPage(
+        page => listsDiscovery.discoverLists(page, normalizedUrl, options),
+        options
+      )
+      const wanted = options.lists
+        ? found.filter(list => options.lists.includes(getListSlug(list.url)))
+        : found
+
+      // Each list is read under its own page lease
+      const lists = []
+      for (const list of wanted) {
+        lists.push(
+          await withDiscoveryPage(
+            page => listsDiscovery.readList(page, list.url, options),
+            options
+          )
+        )
+      }
+
+      return {
+        success: true,
+        lists,
+        username,
+        profileUrl: normalizedUrl,
+      }
+    } catch (error) {
+      return {
+        success: false,
+        error: `Failed to discover lists: ${error.message}`,
+        lists: [],
+      }
+    }
+  }
+
+  // Collect the signed-in reader's highlights, grouped by source story
+  const discoverHighlights = async (options = {}) => {
+    try {
+      const isAuthenticated = await authService.isAuthenticated()
+      if (!isAuthenticated) {
+        return {
+          success: false,
+          error:
+            'Authentication required. Please run `login` to sign in to Medium first.',
+          stories: [],
+        }
+      }
+
+      const stories = await withDiscoveryPage(
+        page => highlightsDiscovery.discoverHighlights(page, options),
+        options
+      )
+
+      return {
+        success: true,
+        stories,
+        totalCount: stories.reduce(
+          (count, story) => count + story.highlights.length,
+          0
+        ),
+      }
+    } catch (error) {
+      return {
+        success: false,
+        error: `Failed to collect highlights: ${error.message}`,
+        stories: [],
+      }
     }
   }
 
   return {
     discoverPosts,
+    discoverLists,
+    discoverHighlights,
     getPostsSummary,
     extractPostContent,
+    open: options => browserPool.open(options),
+    close: () => browserPool.close(),
   }
 }
 
 // Export individual factory functions for testing
 export {
   createBrowserManager,
+  createBrowserPool,
   createPageNavigator,
   createPostExtractor,
   createScrollHandler,
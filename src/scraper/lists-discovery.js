@@ -0,0 +1,142 @@
+import { URL } from 'url'
+import { CUSTOM_DOMAIN_PAGES } from '../utils.js'
+import { isValidPostUrl } from './post-extractor.js'
+import { createPageReader } from './page-reader.js'
+
+// Medium Lists live at medium.com/@user/lists, and each one at
+// medium.com/@user/list/<slug>. Reading lists are lists too.
+
+export const getListsUrl = profileUrl =>
+  `${profileUrl.replace(/\/$/, '')}/lists`
+
+// Without tracking parameters, or null for anything but a list page
+export const normalizeListUrl = href => {
+  try {
+    const url = new URL(href)
+    if (!/^\/@[^/]+\/list\/[^/]+\/?$/.test(url.pathname)) return null
+    return `${url.origin}${url.pathname.replace(/\/$/, '')}`
+  } catch {
+    return null
+  }
+}
+
+// Last path segment of a list URL, used to name its index file
+export const getListSlug = listUrl => listUrl.split('/').pop()
+
+// Read the list cards of a profile's lists page. Runs in the browser, so it
+// must stay self-contained.
+export const readListsPage = (document, selectors) =>
+  Array.from(document.querySelectorAll(selectors.LIST_LINKS)).map(link => {
+    const titleElement =
+      link.querySelector(selectors.TITLES) ||
+      link.closest(selectors.LIST_CARDS)?.querySelector(selectors.TITLES)
+    return {
+      title: (titleElement || link).textContent?.trim() || null,
+      url: link.href,
+    }
+  })
+
+// Read a list page: its title, description and every story with the note
+// the curator left on it. Runs in the browser, so it must stay
+// self-contained.
+export const readListPage = (document, selectors) => {
+  const text = element => element?.textContent?.trim() || null
+
+  const items = Array.from(document.querySelectorAll(selectors.LIST_ITEMS)).map(
+    item => {
+      const titleElement = item.querySelector(selectors.TITLES)
+      const authorElement = item.querySelector(selectors.LIST_ITEM_AUTHOR)
+      const noteElement = item.querySelector(selectors.LIST_ITEM_NOTE)
+
+      return {
+        title: text(titleElement),
+        // Every link is kept; the story link is picked outside the browser
+        links: Array.from(item.querySelectorAll('a[href]')).map(
+          link => link.href
+        ),
+        author: text(authorElement),
+        note: text(noteElement),
+      }
+    }
+  )
+
+  return {
+    title: text(document.querySelector(selectors.LIST_TITLE)),
+    description: text(document.querySelector(selectors.LIST_DESCRIPTION)),
+    items,
+  }
+}
+
+// A list item's story: its first post link, without tracking parameters
+export const toListStory = (item, customDomains = []) => {
+  const url = item.links
+    .map(link => link.split('#')[0].split('?')[0])
+    .find(link => isValidPostUrl(link, customDomains, CUSTOM_DOMAIN_PAGES))
+  if (!url) return null
+
+  return {
+    title: item.title || url,
+    url,
+    author: item.author,
+    note: item.note,
+  }
+}
+
+// Factory function for reading a profile's Medium Lists with a browser page
+export const createListsDiscovery = (navigator, scrollHandler) => {
+  // Lists load more cards and stories as the page is scrolled
+  const { readWhileScrolling } = createPageReader(navigator, scrollHandler)
+
+  // { title, url } of every list on the profile, each listed once
+  const discoverLists = async (page, profileUrl, options = {}) => {
+    await navigator.navigateTo(page, getListsUrl(profileUrl))
+    await navigator.waitForContent(page, options)
+
+    const cards = await readWhileScrolling(
+      page,
+      readListsPage,
+      found => found.length,
+      options
+    )
+
+    const lists = new Map()
+    cards.forEach(card => {
+      const url = normalizeListUrl(card.url)
+      if (url && (!lists.has(url) || !lists.get(url).title)) {
+        lists.set(url, { title: card.title, url })
+      }
+    })
+    return [...lists.values()]
+  }
+
+  // { title, url, description, stories } of one list
+  const readList = async (page, listUrl, options = {}) => {
+    await navigator.navigateTo(page, listUrl)
+    await navigator.waitForContent(page, options)
+
+    const list = await readWhileScrolling(
+      page,
+      readListPage,
+      found => found.items.length,
+      options
+    )
+
+    const seenUrls = new Set()
+    const stories = list.items
+      .map(item => toListStory(item, options.customDomains))
+      .filter(story => {
+        if (!story || seenUrls.has(story.url)) return false
+        seenUrls.add(story.url)
+        return true
+      })
+
+    return {
+      title: list.title || getListSlug(listUrl),
+      url: listUrl,
+      description: list.description,
+      stories,
+    }
+  }
+
+  return { discoverLists, readList }
+}
@@ -0,0 +1,36 @@
+import { LIMITS, SELECTORS } from '../constants.js'
+
+// Runs self-contained (document, selectors) readers in a browser page, for
+// pages read as a whole rather than post by post
+export const createPageReader = (navigator, scrollHandler) => {
+  const read = (page, reader) =>
+    navigator.evaluate(
+      page,
+      (readerSource, selectors) => {
+        /* eslint-disable no-undef */
+        const run = new Function('return (' + readerSource + ')')()
+        return run(document, selectors)
+        /* eslint-enable no-undef */
+      },
+      reader.toString(),
+      SELECTORS
+    )
+
+  // Scroll until count(read result) stops growing, for pages that load
+  // more entries as they are scrolled
+  const readWhileScrolling = async (page, reader, count, options = {}) => {
+    const maxAttempts = options.maxScrollAttempts || LIMITS.MAX_SCROLL_ATTEMPTS
+    let result = await read(page, reader)
+
+    for (let attempt = 0; attempt < maxAttempts; attempt++) {
+      await scrollHandler.scrollToLoadMore(page, options)
+      const next = await read(page, reader)
+      if (count(next) <= count(result)) break
+      result = next
+    }
+
+    return result
+  }
+
+  return { read, readWhileScrolling }
+}
@@ -1,54 +1,103 @@
-import { SELECTORS, LIMITS, EXCLUDED_PATHS } from '../constants.js'
-
-// Factory function for post extraction service
-export const createPostExtractor = navigator => {
-  const isValidPostUrl = url => {
-    if (!url) return false
+import { SELECTORS, EXCLUDED_PATHS } from '../constants.js'
+import {
+  CUSTOM_DOMAIN_PAGES,
+  normalizeCustomDomain,
+  urlValidator,
+} from '../utils.js'
+import {
+  createStrategyRegistry,
+  formatStrategyStats,
+  runStrategies,
+} from './discovery-strategies.js'
+
+// Whether a URL points at a post rather than a profile or Medium page.
+// customDomains are normalized hostnames, customDomainPages the first path
+// segments of their non-post pages. This also runs in the browser, so it
+// must stay self-contained.
+export const isValidPostUrl = (
+  url,
+  customDomains = [],
+  customDomainPages = []
+) => {
+  if (!url) return false
+
+  // Remove query parameters and fragments for cleaner checking
+  const cleanUrl = url.split('?')[0].split('#')[0]
+
+  // Custom domain posts: blog.example.com/post-title
+  const hostname = (cleanUrl.split('/')[2] || '')
+    .toLowerCase()
+    .replace(/^www\./, '')
+  if (customDomains.includes(hostname)) {
+    const firstSegment = cleanUrl.split('/')[3] || ''
+    return (
+      firstSegment.length > 0 &&
+      !firstSegment.startsWith('@') &&
+      !customDomainPages.includes(firstSegment.toLowerCase())
+    )
+  }
 
-    // Remove query parameters and fragments for cleaner checking
-    const cleanUrl = url.split('?')[0].split('#')[0]
+  // Exclude profile homepages explicitly
+  if (/^https?:\/\/[^/]+\.medium\.com\/?$/.test(cleanUrl)) {
+    return false // This is just the homepage: username.medium.com/
+  }
+  if (/^https?:\/\/medium\.com\/@[^/]+\/?$/.test(cleanUrl)) {
+    return false // This is just the profile: medium.com/@username/
+  }
 
-    // Exclude profile homepages explicitly
-    if (/^https?:\/\/[^/]+\.medium\.com\/?$/.test(cleanUrl)) {
-      return false // This is just the homepage: username.medium.com/
-    }
-    if (/^https?:\/\/medium\.com\/@[^/]+\/?$/.test(cleanUrl)) {
-      return false // This is just the profile: medium.com/@username/
-    }
+  // Personal profile posts: medium.com/@username/post-title
+  if (url.includes('/@')) {
+    const pathParts = cleanUrl.split('/')
+    // Must have username and post slug
+    return pathParts.length >= 5 && pathParts[4] && pathParts[4].length > 0
+  }
 
-    // Personal profile posts: medium.com/@username/post-title
-    if (url.includes('/@')) {
-      const pathParts = cleanUrl.split('/')
-      // Must have username and post slug
-      return pathParts.length >= 5 && pathParts[4] && pathParts[4].length > 0
-    }
+  // Subdomain posts: username.medium.com/post-title (but not just the domain)
+  if (url.includes('.medium.com')) {
+    const pathParts = cleanUrl.split('/')
+    return (
+      pathParts.length > 3 &&
+      !cleanUrl.endsWith('.medium.com/') &&
+      !cleanUrl.endsWith('.medium.com') &&
+      pathParts[3] !== '' &&
+      pathParts[3].length > 8 // Post slugs are typically longer
+    )
+  }
 
-    // Subdomain posts: username.medium.com/post-title (but not just the domain)
-    if (url.includes('.medium.com')) {
-      const pathParts = cleanUrl.split('/')
-      return (
-        pathParts.length > 3 &&
-        !cleanUrl.endsWith('.medium.com/') &&
-        !cleanUrl.endsWith('.medium.com') &&
-        pathParts[3] !== '' &&
-        pathParts[3].length > 8 // Post slugs are typically longer
-      )
-    }
+  // Publication posts: medium.com/publication/post-title
+  if (
+    url.includes('medium.com/') &&
+    !url.includes('medium.com/@') &&
+    !url.includes('medium.com/m/')
+  ) {
+    const pathParts = cleanUrl.split('/')
+    return pathParts.length > 4 && pathParts[4] && pathParts[4].length > 0
+  }
 
-    // Publication posts: medium.com/publication/post-title
-    if (
-      url.includes('medium.com/') &&
-      !url.includes('medium.com/@') &&
-      !url.includes('medium.com/m/')
-    ) {
-      const pathParts = cleanUrl.split('/')
-      return pathParts.length > 4 && pathParts[4] && pathParts[4].length > 0
-    }
+  return false
+}
 
-    return false
-  }
+// Post links on custom domains do not match the medium.com link selectors
+const withCustomDomainLinks = (selectors, customDomains) => ({
+  ...selectors,
+  MEDIUM_LINKS: [
+    selectors.MEDIUM_LINKS,
+    ...customDomains.map(domain => `a[href*="${domain}/"]`),
+  ].join(', '),
+})
+
+// Factory function for post extraction service. Post discovery runs the
+// strategies of strategyRegistry; options.strategies picks and orders them
+// per call by name.
+export const createPostExtractor = (
+  navigator,
+  strategyRegistry = createStrategyRegistry()
+) => {
+  const extractPostsFromPage = async (page, options = {}) => {
+    const customDomains = (options.customDomains || []).map(
+      normalizeCustomDomain
+    )
 
-  const extractPostsFromPage = async page => {
     try {
       // First, let's debug what elements are available on the page
       await navigator.evaluate(page, () => {
@@ -96,198 +145,68 @@ export const createPostExtractor = navigator => {
         /* eslint-enable no-undef */
       })
 
-      // Try multiple selector strategies to find posts
-      const posts = await navigator.evaluate(
+      // Run the selected strategies in the page; each post records which
+      // strategy found it in its source field. Per-strategy stats are only
+      // sent back in debug mode.
+      const extracted = await navigator.evaluate(
         page,
-        (selectors, isValidPostUrlStr, limits, excludedPaths) => {
+        (
+          runnerSource,
+          strategySources,
+          selectors,
+          isValidPostUrlStr,
+          excludedPaths,
+          customDomains,
+          customDomainPages,
+          includeStats
+        ) => {
           /* eslint-disable no-undef */
 
-          // Recreate the validation function in browser context
-          const isValidPostUrl = new Function('return ' + isValidPostUrlStr)()
-
-          const extractedPosts = []
-
-          // Strategy 1: Traditional article elements
-          const articles = document.querySelectorAll(selectors.ARTICLE)
-          articles.forEach(article => {
-            const titleElement = article.querySelector(selectors.TITLES)
-            const linkElement = article.querySelector(selectors.MEDIUM_LINKS)
-            const dateElement = article.querySelector(selectors.DATES)
-
-            if (titleElement && linkElement) {
-              const url = linkElement.href
-              if (isValidPostUrl(url)) {
-                extractedPosts.push({
-                  title: titleElement.textContent?.trim() || 'Untitled',
-                  url,
-                  publishDate:
-                    dateElement?.textContent?.trim() ||
-                    dateElement?.getAttribute('datetime') ||
-                    null,
-                  source: 'article',
-                })
-              }
-            }
-          })
+          // Recreate the runner, strategies and validation function in browser context
+          const revive = source => new Function('return (' + source + ')')()
+          const runStrategies = revive(runnerSource)
+          const strategies = strategySources.map(({ name, source }) => ({
+            name,
+            extract: revive(source),
+          }))
 
-          // Strategy 2: Direct link-based extraction (including publication posts)
-          const profileLinks = document.querySelectorAll(selectors.MEDIUM_LINKS)
-          profileLinks.forEach(link => {
-            if (isValidPostUrl(link.href)) {
-              // Find associated title (look in parent containers)
-              let titleElement = null
-              const container = link.closest('div, article, section')
-              if (container) {
-                titleElement = container.querySelector(selectors.TITLES)
-              }
-
-              if (!titleElement) {
-                titleElement = link.querySelector('h1, h2, h3, h4, h5')
-              }
-
-              if (titleElement || link.textContent?.trim()) {
-                const title =
-                  titleElement?.textContent?.trim() ||
-                  link.textContent?.trim() ||
-                  'Untitled'
-                // Avoid duplicate posts
-                if (!extractedPosts.some(post => post.url === link.href)) {
-                  extractedPosts.push({
-                    title,
-                    url: link.href,
-                    publishDate: null,
-                    source: 'link',
-                  })
-                }
-              }
-            }
-          })
+          const validatePostUrl = revive(isValidPostUrlStr)
 
-          // Strategy 3: Look for Medium's newer data structures
-          const postContainers = document.querySelectorAll(
-            selectors.POST_CONTAINERS
-          )
-          postContainers.forEach(container => {
-            const titleElement = container.querySelector(selectors.TITLES)
-            const linkElement = container.querySelector(selectors.MEDIUM_LINKS)
-            const dateElement = container.querySelector(selectors.DATES)
-
-            if (titleElement && linkElement) {
-              const url = linkElement.href
-              if (isValidPostUrl(url)) {
-                if (!extractedPosts.some(post => post.url === url)) {
-                  extractedPosts.push({
-                    title: titleElement.textContent?.trim() || 'Untitled',
-                    url,
-                    publishDate:
-                      dateElement?.textContent?.trim() ||
-                      dateElement?.getAttribute('datetime') ||
-                      null,
-                    source: 'container',
-                  })
-                }
-              }
-            }
+          const result = runStrategies(document, strategies, {
+            selectors,
+            isValidPostUrl: url =>
+              validatePostUrl(url, customDomains, customDomainPages),
+            excludedPaths,
           })
-
-          // Strategy 4: Comprehensive link search for wrapped/encoded URLs
-          const allPageLinks = document.querySelectorAll('a[href]')
-          allPageLinks.forEach(link => {
-            const href = link.href
-
-            // Look for URLs that might contain post references
-            if (
-              href.includes('medium.com') &&
-              (href.includes('redirect=') ||
-                href.includes('actionUrl=') ||
-                href.match(/[a-f0-9]{12}/))
-            ) {
-              // Extract title from the link text or nearby elements
-              let title = link.textContent?.trim() || ''
-
-              // If link has no text, look in parent elements
-              if (!title || title.length < 5) {
-                const container = link.closest('article, div, section')
-                if (container) {
-                  const titleElement = container.querySelector(selectors.TITLES)
-                  if (titleElement) {
-                    title = titleElement.textContent?.trim() || 'Untitled'
-                  }
-                }
-              }
-
-              // Only include if we have a meaningful title and haven't seen this URL
-              if (
-                title &&
-                title.length > 5 &&
-                !extractedPosts.some(post => post.url === href)
-              ) {
-                extractedPosts.push({
-                  title,
-                  url: href,
-                  publishDate: null,
-                  source: 'comprehensive',
-                })
-              }
-            }
-          })
-
-          // Clean up URLs to extract actual post URLs from signin/redirect URLs
-          const cleanedPosts = extractedPosts
-            .map(post => {
-              let cleanUrl = post.url
-
-              // Extract the actual URL from signin redirect parameters
-              if (
-                cleanUrl.includes('signin') &&
-                cleanUrl.includes('redirect=')
-              ) {
-                const urlParams = new URLSearchParams(cleanUrl.split('?')[1])
-                const redirectUrl = urlParams.get('redirect')
-                if (redirectUrl) {
-                  cleanUrl = decodeURIComponent(redirectUrl)
-                }
-              }
-
-              // Extract actual URL from actionUrl parameters (bookmark URLs)
-              if (cleanUrl.includes('actionUrl=')) {
-                const urlParams = new URLSearchParams(cleanUrl.split('?')[1])
-                const actionUrl = urlParams.get('actionUrl')
-                if (actionUrl) {
-                  cleanUrl = decodeURIComponent(actionUrl)
-                }
-              }
-
-              return {
-                ...post,
-                url: cleanUrl,
-                originalUrl: post.url,
-              }
-            })
-            .filter(post => {
-              // Filter out non-post URLs
-              const url = post.url.toLowerCase()
-              return (
-                !excludedPaths.some(path => url.includes(path)) &&
-                isValidPostUrl(post.url)
-              )
-            })
-
-          return cleanedPosts
+          return includeStats ? result : result.posts
           /* eslint-enable no-undef */
         },
-        SELECTORS,
+        runStrategies.toString(),
+        strategyRegistry.resolve(options.strategies).map(strategy => ({
+          name: strategy.name,
+          source: strategy.extract.toString(),
+        })),
+        withCustomDomainLinks(SELECTORS, customDomains),
         isValidPostUrl.toString(),
-        LIMITS,
-        EXCLUDED_PATHS
+        EXCLUDED_PATHS,
+        customDomains,
+        CUSTOM_DOMAIN_PAGES,
+        Boolean(options.debug)
       )
 
+      const posts = options.debug ? extracted.posts : extracted
+      if (options.debug) {
+        console.log(
+          `Discovery strategy hits:\n${formatStrategyStats(extracted.stats)}`
+        )
+      }
       console.log(`Extracted ${posts.length} posts`)
 
       return posts.filter(
         post =>
           post.url &&
-          (post.url.includes('/@') ||
+          (urlValidator.isCustomDomainUrl(post.url, customDomains) ||
+            post.url.includes('/@') ||
             post.url.includes('.medium.com') ||
             (post.url.includes('medium.com/') &&
               !post.url.includes('medium.com/m/') &&
@@ -384,6 +303,24 @@ export const createPostExtractor = navigator => {
           const authorElement = document.querySelector(selectors.AUTHOR)
           result.author = authorElement ? authorElement.textContent.trim() : ''
 
+          // Extract publication name, link and logo (empty outside one)
+          const publicationElement = document.querySelector(
+            selectors.PUBLICATION_NAME
+          )
+          const publicationLink = publicationElement?.closest('a')
+          const publicationLogoElement = document.querySelector(
+            selectors.PUBLICATION_LOGO
+          )
+          result.publication = publicationElement
+            ? publicationElement.textContent.trim()
+            : ''
+          result.publicationUrl = publicationLink
+            ? publicationLink.href.split('?')[0]
+            : ''
+          result.publicationLogo = publicationLogoElement
+            ? publicationLogoElement.src
+            : ''
+
           // Extract publication date
           const dateElement = document.querySelector(
             '[data-testid="storyPublishDate"], time'
@@ -0,0 +1,184 @@
+import { URL } from 'url'
+import { urlValidator } from '../utils.js'
+import { createPageReader } from './page-reader.js'
+
+// Publication discovery walks the archive instead of scrolling: /archive
+// links to one page per year, busy years link on to /archive/YYYY/MM and
+// busy months on to /archive/YYYY/MM/DD
+
+const ARCHIVE_LEVELS = ['year', 'month', 'day']
+
+export const getArchiveUrl = (publicationUrl, year, month, day) =>
+  [
+    publicationUrl,
+    'archive',
+    year,
+    month && String(month).padStart(2, '0'),
+    day && String(day).padStart(2, '0'),
+  ]
+    .filter(Boolean)
+    .join('/')
+
+// { year, month, day } for archive page links, null for anything else
+export const parseArchiveLink = href => {
+  try {
+    const match = new URL(href).pathname.match(
+      /\/archive\/(\d{4})(?:\/(\d{2})(?:\/(\d{2}))?)?\/?$/
+    )
+    return match
+      ? { year: match[1], month: match[2] || null, day: match[3] || null }
+      : null
+  } catch {
+    return null
+  }
+}
+
+// Whether link is an archive page one level below parent, e.g. a month of
+// the parent's year
+const isArchiveChild = (link, parent) => {
+  const depth = ARCHIVE_LEVELS.filter(level => parent[level]).length
+  return (
+    Boolean(link[ARCHIVE_LEVELS[depth]]) &&
+    !ARCHIVE_LEVELS.slice(depth + 1).some(level => link[level]) &&
+    ARCHIVE_LEVELS.slice(0, depth).every(level => link[level] === parent[level])
+  )
+}
+
+// Read the post listings and archive links of one archive page. Runs in
+// the browser, so it must stay self-contained.
+export const readArchivePage = (document, selectors) => {
+  const text = element => element?.textContent?.trim() || null
+
+  const posts = Array.from(
+    document.querySelectorAll(selectors.ARCHIVE_ITEMS)
+  ).map(item => {
+    const titleElement = item.querySelector(selectors.TITLES)
+    const linkElement =
+      item.querySelector(selectors.ARCHIVE_POST_LINKS) ||
+      titleElement?.closest('a') ||
+      titleElement?.querySelector('a')
+    const authorElement = item.querySelector(selectors.ARCHIVE_AUTHOR)
+    const dateElement = item.querySelector(selectors.DATES)
+
+    return {
+      title: text(titleElement) || 'Untitled',
+      url: linkElement?.href || null,
+      publishDate:
+        dateElement?.getAttribute('datetime') || text(dateElement) || null,
+      author: text(authorElement),
+      authorUrl: authorElement?.href || null,
+    }
+  })
+
+  const archiveLinks = Array.from(
+    document.querySelectorAll('a[href*="/archive/"]')
+  ).map(link => link.href)
+
+  return { posts, archiveLinks }
+}
+
+// Only keep posts published in this publication, without tracking params
+export const toPublicationPost = (post, publicationUrl) => {
+  if (!post.url) return null
+
+  try {
+    const url = new URL(post.url)
+    const publication = new URL(publicationUrl)
+    const isInPublication =
+      url.hostname === publication.hostname &&
+      url.pathname.startsWith(publication.pathname.replace(/\/?$/, '/')) &&
+      !parseArchiveLink(post.url)
+    if (!isInPublication) return null
+
+    url.search = ''
+    url.hash = ''
+    return {
+      ...post,
+      url: url.toString(),
+      // Profile links carry the author's @username
+      authorUsername: post.authorUrl
+        ? urlValidator.extractUsername(post.authorUrl)
+        : null,
+      source: 'archive',
+    }
+  } catch {
+    return null
+  }
+}
+
+// Factory function for walking a publication's archive. withPage(operation)
+// runs operation with a leased browser page; every archive page is read
+// under its own lease, so large archives are not bound by one lease timeout.
+export const createPublicationDiscovery = navigator => {
+  const { read } = createPageReader(navigator)
+
+  const readPage = (withPage, url, options) =>
+    withPage(async page => {
+      await navigator.navigateTo(page, url)
+      await navigator.waitForContent(page, options)
+      return read(page, readArchivePage)
+    })
+
+  // Distinct archive links one level below parent, newest first
+  const findArchiveLinks = (archiveLinks, parent) => {
+    const seen = new Set()
+    const keyOf = link => getArchiveUrl('', link.year, link.month, link.day)
+    return archiveLinks
+      .map(parseArchiveLink)
+      .filter(link => link && isArchiveChild(link, parent))
+      .filter(link => {
+        const key = keyOf(link)
+        if (seen.has(key)) return false
+        seen.add(key)
+        return true
+      })
+      .sort((a, b) => keyOf(b).localeCompare(keyOf(a)))
+  }
+
+  // Read one archive page, following its links one level down. Pages that
+  // split into smaller periods list their posts there instead.
+  const readArchive = async (withPage, publicationUrl, link, options) => {
+    const archivePage = await readPage(
+      withPage,
+      getArchiveUrl(publicationUrl, link.year, link.month, link.day),
+      options
+    )
+    const children = findArchiveLinks(archivePage.archiveLinks, link)
+
+    if (children.length === 0) {
+      return archivePage.posts
+    }
+
+    const posts = []
+    for (const child of children) {
+      posts.push(
+        ...(await readArchive(withPage, publicationUrl, child, options))
+      )
+    }
+    return posts
+  }
+
+  const discoverFromArchive = async (
+    withPage,
+    publicationUrl,
+    options = {}
+  ) => {
+    const listedPosts = await readArchive(
+      withPage,
+      publicationUrl,
+      { year: null, month: null, day: null },
+      options
+    )
+
+    const seenUrls = new Set()
+    return listedPosts
+      .map(post => toPublicationPost(post, publicationUrl))
+      .filter(post => {
+        if (!post || seenUrls.has(post.url)) return false
+        seenUrls.add(post.url)
+        return true
+      })
+  }
+
+  return { discoverFromArchive }
+}
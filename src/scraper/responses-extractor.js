@@ -0,0 +1,130 @@
+import { DELAYS, LIMITS, SELECTORS } from '../constants.js'
+import { createPageReader } from './page-reader.js'
+
+// Read every response in an open responses panel, in page order. Replies
+// are rendered inside the response they answer, so each one records the
+// index of its parent. Runs in the browser, so it must stay self-contained.
+export const readResponses = (document, selectors) => {
+  const items = Array.from(document.querySelectorAll(selectors.RESPONSE_ITEMS))
+
+  // The first match that belongs to this response rather than a reply
+  const own = (item, selector) =>
+    Array.from(item.querySelectorAll(selector)).find(
+      element => element.closest(selectors.RESPONSE_ITEMS) === item
+    ) || null
+
+  return items.map(item => {
+    const authorElement = own(item, selectors.RESPONSE_AUTHOR)
+    const dateElement = own(item, selectors.RESPONSE_DATE)
+    const textElement = own(item, selectors.RESPONSE_TEXT)
+    const paragraphs = textElement
+      ? Array.from(textElement.querySelectorAll('p'))
+      : []
+    const parentItem = item.parentElement?.closest(selectors.RESPONSE_ITEMS)
+
+    return {
+      author: authorElement?.textContent?.trim() || null,
+      authorUrl: authorElement?.href?.split('?')[0] || null,
+      date:
+        dateElement?.getAttribute('datetime') ||
+        dateElement?.textContent?.trim() ||
+        null,
+      text: (paragraphs.length > 0
+        ? paragraphs.map(paragraph => paragraph.textContent.trim())
+        : [textElement?.textContent?.trim() || '']
+      )
+        .filter(Boolean)
+        .join('\n\n'),
+      parent: parentItem ? items.indexOf(parentItem) : -1,
+    }
+  })
+}
+
+// Turn the flat page-order list into a tree of { ..., id, replies }. Ids
+// are positions such as "2.1", the first reply to the second response.
+export const nestResponses = flatResponses => {
+  const nodes = flatResponses.map(response => {
+    const node = { ...response, replies: [] }
+    delete node.parent
+    return node
+  })
+  const roots = []
+
+  flatResponses.forEach(({ parent }, index) => {
+    const siblings = parent >= 0 ? nodes[parent].replies : roots
+    siblings.push(nodes[index])
+  })
+
+  const assignIds = (responses, prefix) =>
+    responses.forEach((response, index) => {
+      response.id = `${prefix}${index + 1}`
+      assignIds(response.replies, `${response.id}.`)
+    })
+  assignIds(roots, '')
+
+  return roots
+}
+
+// Factory function for reading a post's responses from its page
+export const createResponsesExtractor = navigator => {
+  const { read } = createPageReader(navigator)
+
+  // Click every "more responses" and "show replies" button not clicked yet;
+  // resolves to how many were clicked
+  const expandOnce = page =>
+    navigator.evaluate(
+      page,
+      selector => {
+        /* eslint-disable no-undef */
+        const buttons = Array.from(document.querySelectorAll(selector)).filter(
+          button => !button.hasAttribute('data-scraper-expanded')
+        )
+        /* eslint-enable no-undef */
+        buttons.forEach(button => {
+          button.setAttribute('data-scraper-expanded', '')
+          button.click()
+        })
+        return buttons.length
+      },
+      SELECTORS.RESPONSES_MORE
+    )
+
+  // Open the responses panel of the post loaded in page and read it as a
+  // tree. Posts whose count says they have none are not opened.
+  const extractResponses = async (page, options = {}) => {
+    if (options.count === 0) return []
+
+    const opened = await navigator.evaluate(
+      page,
+      selector => {
+        /* eslint-disable no-undef */
+        const button = document.querySelector(selector)
+        /* eslint-enable no-undef */
+        button?.click()
+        return Boolean(button)
+      },
+      SELECTORS.RESPONSES_BUTTON
+    )
+    if (!opened) return []
+
+    try {
+      await navigator.waitForSelector(page, SELECTORS.RESPONSE_ITEMS)
+    } catch {
+      return []
+    }
+
+    const delay = options.fastMode ? 10 : DELAYS.BUTTON_CLICK
+    for (let i = 0; i < LIMITS.MAX_RESPONSE_EXPANSIONS; i++) {
+      if ((await expandOnce(page)) === 0) break
+      await new Promise(resolve => setTimeout(resolve, delay))
+    }
+
+    const flatResponses = await read(page, readResponses)
+
+    return nestResponses(flatResponses)
+  }
+
+  return { extractResponses }
+}
+
+export default createResponsesExtractor
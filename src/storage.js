@@ -1,11 +1,63 @@
 import { promises as fs, existsSync } from 'fs'
 import { fileURLToPath, URL } from 'url'
+import { createHash } from 'crypto'
 import path from 'path'
-import { withErrorHandling } from './utils.js'
+import { withErrorHandling, urlValidator } from './utils.js'
+import { LIMITS } from './constants.js'
+import { getFullResolutionUrl } from './image-urls.js'
+import { createAssetStore, toMarkdownPath } from './asset-store.js'
+import {
+  IMAGE_TYPES,
+  convertImage,
+  detectImageType,
+  withExtension,
+} from './image-types.js'
 
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = path.dirname(__filename)
 
+// Change categories reported by incremental runs
+export const ChangeStatus = {
+  NEW: 'new',
+  MODIFIED: 'modified',
+  UNCHANGED: 'unchanged',
+  REMOVED: 'removed',
+}
+
+// SHA-256 digest of a post's markdown body. Whitespace is normalized so
+// cosmetic re-rendering by Medium does not count as an edit.
+export const computeContentHash = markdown =>
+  createHash('sha256')
+    .update(
+      (markdown || '')
+        .replace(/\r\n/g, '\n')
+        .replace(/[ \t]+$/gm, '')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim()
+    )
+    .digest('hex')
+
+// Exported Medium Lists are indexed in output/lists/<list-slug>.md
+export const LISTS_DIRECTORY = 'lists'
+
+// Stable key for a post in metadata: its Medium post ID, else its URL
+export const getPostKey = post =>
+  post.postId || urlValidator.extractPostId(post.url) || post.url
+
+const findFilesBelow = async (dirPath, extension) => {
+  const entries = await fs.readdir(dirPath, { withFileTypes: true })
+  const found = []
+  for (const entry of entries) {
+    const entryPath = path.join(dirPath, entry.name)
+    if (entry.isDirectory()) {
+      found.push(...(await findFilesBelow(entryPath, extension)))
+    } else if (entry.isFile() && entry.name.endsWith(extension)) {
+      found.push(entryPath)
+    }
+  }
+  return found
+}
+
 // Factory function for creating file system operations
 const createFileSystem = () => ({
   ensureDirectory: async dirPath => {
@@ -30,6 +82,21 @@ const createFileSystem = () => ({
     }
   },
 
+  // Write next to the file, then rename over it, so readers never see a
+  // partly written file
+  replaceFile: async (filePath, content) => {
+    const tempPath = `${filePath}.${process.pid}.tmp`
+    try {
+      await fs.mkdir(path.dirname(filePath), { recursive: true })
+      await fs.writeFile(tempPath, content, 'utf8')
+      await fs.rename(tempPath, filePath)
+      return true
+    } catch (error) {
+      await fs.rm(tempPath, { force: true })
+      throw new Error(`Failed to write file ${filePath}: ${error.message}`)
+    }
+  },
+
   fileExists: filePath => {
     return existsSync(filePath)
   },
@@ -41,29 +108,113 @@ const createFileSystem = () => ({
       throw new Error(`Failed to read file ${filePath}: ${error.message}`)
     }
   },
+
+  listFiles: async dirPath => {
+    try {
+      const entries = await fs.readdir(dirPath, { withFileTypes: true })
+      return entries.filter(entry => entry.isFile()).map(entry => entry.name)
+    } catch (error) {
+      throw new Error(`Failed to list directory ${dirPath}: ${error.message}`)
+    }
+  },
+
+  // Paths of the files ending in extension anywhere below dirPath
+  findFiles: async (dirPath, extension) => {
+    try {
+      return await findFilesBelow(dirPath, extension)
+    } catch (error) {
+      throw new Error(`Failed to list directory ${dirPath}: ${error.message}`)
+    }
+  },
+
+  removeFile: async filePath => {
+    try {
+      await fs.unlink(filePath)
+      return true
+    } catch (error) {
+      throw new Error(`Failed to remove file ${filePath}: ${error.message}`)
+    }
+  },
 })
 
+// Fetch an image into memory and identify it from its bytes. HTML error
+// pages served with a 200 status are rejected here.
+const fetchImage = async (imageUrl, options = {}) => {
+  // Import fetch dynamically since it's not available in all Node versions
+  const fetch = (await import('node-fetch')).default
+
+  const response = await fetch(imageUrl)
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}: ${response.statusText}`)
+  }
+
+  const arrayBuffer = await response.arrayBuffer()
+  const buffer = Buffer.from(arrayBuffer)
+  const contentType = response.headers.get('content-type') || ''
+
+  return convertImage(
+    { buffer, contentType, ...detectImageType(buffer, contentType) },
+    options.convertTo
+  )
+}
+
+// Remove image lines (and the caption line the converter puts under them)
+// plus the featuredImage frontmatter entry
+const stripImages = markdown =>
+  markdown
+    .replace(/^featuredImage: .*\n/m, '')
+    .replace(/^[ \t]*!\[[^\]]*\]\([^)]*\)[ \t]*(\n\*[^*\n]+\*)?[ \t]*$/gm, '')
+    .replace(/!\[[^\]]*\]\([^)]*\)/g, '')
+    .replace(/\n{3,}/g, '\n\n')
+
+const isFeaturedImage = (postData, image) =>
+  Boolean(postData.featuredImage) &&
+  (image.src === postData.featuredImage ||
+    image.originalSrc === postData.featuredImage)
+
+const toDataUri = (buffer, contentType = '', imageUrl) => {
+  const mimeType = contentType.split(';')[0].trim() || guessMimeType(imageUrl)
+  return `data:${mimeType};base64,${buffer.toString('base64')}`
+}
+
+const guessMimeType = imageUrl => {
+  const extension = createImageDownloader().getImageExtension(imageUrl)
+  const match = Object.values(IMAGE_TYPES).find(
+    type => type.extension === extension.replace('.jpeg', '.jpg')
+  )
+  return match?.mimeType || 'image/jpeg'
+}
+
 // Factory function for image downloading
 const createImageDownloader = () => ({
-  downloadImage: async (imageUrl, outputPath) => {
+  fetchImage: async (imageUrl, options = {}) => {
     try {
-      // Import fetch dynamically since it's not available in all Node versions
-      const fetch = (await import('node-fetch')).default
-
-      const response = await fetch(imageUrl)
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`)
-      }
+      return await fetchImage(imageUrl, options)
+    } catch (error) {
+      throw new Error(
+        `Failed to fetch image from ${imageUrl}: ${error.message}`
+      )
+    }
+  },
 
-      const arrayBuffer = await response.arrayBuffer()
-      const buffer = Buffer.from(arrayBuffer)
+  // Saves under the extension of the detected type, which may differ from
+  // the one in outputPath. Resolves with the path actually written.
+  downloadImage: async (imageUrl, outputPath, options = {}) => {
+    try {
+      const image = await fetchImage(imageUrl, options)
+      const finalPath = withExtension(outputPath, image.extension)
 
       // Ensure output directory exists
-      const dir = path.dirname(outputPath)
+      const dir = path.dirname(finalPath)
       await fs.mkdir(dir, { recursive: true })
 
-      await fs.writeFile(outputPath, buffer)
-      return true
+      await fs.writeFile(finalPath, image.buffer)
+      return {
+        path: finalPath,
+        type: image.type,
+        mimeType: image.mimeType,
+        bytes: image.buffer.length,
+      }
     } catch (error) {
       throw new Error(
         `Failed to download image from ${imageUrl}: ${error.message}`
@@ -103,14 +254,27 @@ export const createStorageService = (dependencies = {}) => {
 
   const defaultOutputDir = path.join(__dirname, '..', 'output')
   const outputDir = dependencies.outputDir || defaultOutputDir
+  const assetStore =
+    dependencies.assetStore || createAssetStore({ fileSystem, outputDir })
+
+  // Directory and markdown filename for a post. The output name is a path
+  // relative to the output directory whose last segment names the file.
+  const getPostLocation = postData => {
+    const outputName = postData.outputName || postData.slug || 'untitled'
+    const segments = outputName.split('/')
+
+    return {
+      outputName,
+      postDir: path.join(outputDir, ...segments),
+      filename: `${segments[segments.length - 1]}.md`,
+    }
+  }
 
   // Save a markdown post with frontmatter in its own directory
   const savePost = withErrorHandling(async (postData, markdown) => {
-    const slug = postData.slug || 'untitled'
-    const postDir = path.join(outputDir, slug)
+    const { postDir, filename } = getPostLocation(postData)
     await fileSystem.ensureDirectory(postDir)
 
-    const filename = `${slug}.md`
     const filePath = path.join(postDir, filename)
 
     await fileSystem.writeFile(filePath, markdown)
@@ -122,13 +286,111 @@ export const createStorageService = (dependencies = {}) => {
     }
   })
 
+  // Write a post's responses file next to its markdown
+  const saveResponses = withErrorHandling(
+    async (postDir, filename, content) => {
+      const filePath = path.join(postDir, filename)
+      await fileSystem.writeFile(filePath, content)
+      return { filePath }
+    }
+  )
+
+  // Write the markdown index of a Medium List
+  const saveListIndex = withErrorHandling(async (slug, content) => {
+    const listsDir = path.join(outputDir, LISTS_DIRECTORY)
+    await fileSystem.ensureDirectory(listsDir)
+
+    const filePath = path.join(listsDir, `${slug}.md`)
+    await fileSystem.writeFile(filePath, content)
+    return { filePath }
+  })
+
+  // Fetch the full-resolution rendition first and fall back to the URL the
+  // page rendered. Resolves with the result and the URL that worked.
+  const withFullResolution = async (renderedUrl, maxWidth, fetcher) => {
+    const requestedUrl = getFullResolutionUrl(renderedUrl, maxWidth)
+
+    if (requestedUrl !== renderedUrl) {
+      try {
+        return {
+          result: await fetcher(requestedUrl),
+          requestedUrl,
+          sourceUrl: requestedUrl,
+        }
+      } catch (error) {
+        console.warn(
+          `Full-resolution image unavailable, using rendered size: ${error.message}`
+        )
+      }
+    }
+
+    return {
+      result: await fetcher(renderedUrl),
+      requestedUrl,
+      sourceUrl: renderedUrl,
+    }
+  }
+
+  // Save one image into the post's own images/ folder
+  const saveToPostFolder = async (image, imagesDir, filename, options) => {
+    const fetched = await withFullResolution(
+      image.src,
+      options.imageMaxWidth,
+      url =>
+        imageDownloader.downloadImage(url, path.join(imagesDir, filename), {
+          convertTo: options.convertImages,
+        })
+    )
+
+    // The downloader may correct the extension to match the real type
+    const localPath = fetched.result?.path || path.join(imagesDir, filename)
+    const savedFilename = path.basename(localPath)
+
+    return {
+      requestedUrl: fetched.requestedUrl,
+      sourceUrl: fetched.sourceUrl,
+      localPath,
+      filename: savedFilename,
+      relativePath: `./images/${savedFilename}`,
+    }
+  }
+
+  // Save one image into the shared asset store, named by its content hash
+  const saveToAssetStore = async (image, postDir, options) => {
+    const fetched = await withFullResolution(
+      image.src,
+      options.imageMaxWidth,
+      url =>
+        imageDownloader.fetchImage(url, { convertTo: options.convertImages })
+    )
+    const asset = await assetStore.storeAsset(
+      fetched.result.buffer,
+      fetched.result.extension || imageDownloader.getImageExtension(image.src)
+    )
+
+    return {
+      requestedUrl: fetched.requestedUrl,
+      sourceUrl: fetched.sourceUrl,
+      localPath: asset.assetPath,
+      filename: asset.filename,
+      relativePath: toMarkdownPath(postDir, asset.assetPath),
+      shared: true,
+    }
+  }
+
   // Download only images that are referenced in the markdown content to the post's directory
-  const downloadPostImages = async (postData, referencedImages = []) => {
+  const downloadPostImages = async (
+    postData,
+    referencedImages = [],
+    options = {}
+  ) => {
     try {
       const slug = postData.slug || 'untitled'
-      const postDir = path.join(outputDir, slug)
+      const { postDir } = getPostLocation(postData)
       const imagesDir = path.join(postDir, 'images')
-      await fileSystem.ensureDirectory(imagesDir)
+      if (!options.sharedAssets) {
+        await fileSystem.ensureDirectory(imagesDir)
+      }
 
       const downloadedImages = []
 
@@ -139,26 +401,25 @@ export const createStorageService = (dependencies = {}) => {
 
           try {
             // Determine if this is a featured image
-            const isFeatured =
-              postData.featuredImage &&
-              (image.src === postData.featuredImage ||
-                image.originalSrc === postData.featuredImage)
-
-            const filename = imageDownloader.generateImageFilename(
-              slug,
-              i + 1,
-              image.src,
-              isFeatured
-            )
-            const imagePath = path.join(imagesDir, filename)
-
-            await imageDownloader.downloadImage(image.src, imagePath)
+            const isFeatured = isFeaturedImage(postData, image)
+
+            const saved = options.sharedAssets
+              ? await saveToAssetStore(image, postDir, options)
+              : await saveToPostFolder(
+                  image,
+                  imagesDir,
+                  imageDownloader.generateImageFilename(
+                    slug,
+                    i + 1,
+                    image.src,
+                    isFeatured
+                  ),
+                  options
+                )
 
             downloadedImages.push({
               originalUrl: image.src,
-              localPath: imagePath,
-              filename,
-              relativePath: `./images/${filename}`,
+              ...saved,
               type: isFeatured ? 'featured' : 'content',
               alt: image.alt,
             })
@@ -216,21 +477,33 @@ export const createStorageService = (dependencies = {}) => {
       const metadataPath = path.join(outputDir, 'metadata.json')
 
       // Add tracking information for incremental updates
+      const { discoveredFrom, ...runMetadata } = metadata
       const enhancedMetadata = {
-        ...metadata,
+        ...runMetadata,
         lastScrapedAt: new Date().toISOString(),
-        version: '1.0.0',
-        postHashes: {}, // Will store content hashes for change detection
+        version: '2.0.0',
+        // Content digests keyed by Medium post ID, on top of any carried over
+        postHashes: { ...metadata.postHashes },
       }
 
-      // If we have posts, generate content hashes for each
+      // Record the content digest of every saved post for change detection
       if (metadata.results) {
         metadata.results.forEach(result => {
-          if (result.success && result.slug) {
-            // Simple hash based on title and URL for change detection
-            const contentSignature = `${result.title || ''}-${result.url || ''}`
-            enhancedMetadata.postHashes[result.slug] =
-              Buffer.from(contentSignature).toString('base64')
+          if (result.success && result.contentHash) {
+            const key = getPostKey(result)
+            const previous = enhancedMetadata.postHashes[key]
+            // Unchanged posts are not rewritten and keep their claimed name.
+            // Each digest records the profile or publication whose discovery
+            // listed the post, so only that source can report it removed.
+            enhancedMetadata.postHashes[key] = {
+              contentHash: result.contentHash,
+              url: result.url,
+              title: result.title,
+              filename: result.filename,
+              outputName: result.outputName ?? previous?.outputName,
+              discoveredFrom:
+                discoveredFrom ?? previous?.discoveredFrom ?? null,
+            }
           }
         })
       }
@@ -279,6 +552,55 @@ export const createStorageService = (dependencies = {}) => {
     }
   }
 
+  // Persist the in-progress run journal so interrupted runs can resume. It
+  // is replaced whole, so a run killed mid-write leaves the last journal.
+  const saveProgress = async journal => {
+    try {
+      const progressPath = path.join(outputDir, 'progress.json')
+      await fileSystem.replaceFile(
+        progressPath,
+        JSON.stringify(journal, null, 2)
+      )
+
+      return {
+        success: true,
+        filePath: progressPath,
+      }
+    } catch (error) {
+      return {
+        success: false,
+        error: `Failed to save progress: ${error.message}`,
+      }
+    }
+  }
+
+  // Load the run journal left behind by a previous run
+  const loadProgress = async () => {
+    try {
+      const progressPath = path.join(outputDir, 'progress.json')
+
+      if (!fileSystem.fileExists(progressPath)) {
+        return {
+          success: true,
+          journal: null,
+        }
+      }
+
+      const content = await fileSystem.readFile(progressPath)
+
+      return {
+        success: true,
+        journal: JSON.parse(content),
+      }
+    } catch (error) {
+      return {
+        success: false,
+        error: `Failed to load progress: ${error.message}`,
+        journal: null,
+      }
+    }
+  }
+
   // Create directory structure (now each post gets its own directory)
   const initializeDirectories = async () => {
     try {
@@ -298,64 +620,298 @@ export const createStorageService = (dependencies = {}) => {
     }
   }
 
+  // Classify a post as new, modified or unchanged by comparing its content
+  // digest with the one recorded by the previous run
+  const getChangeStatus = (postData, existingMetadata) => {
+    const previous = existingMetadata?.postHashes?.[getPostKey(postData)]
+
+    // Entries from older metadata versions carry no content digest
+    if (!previous || !previous.contentHash) {
+      return ChangeStatus.NEW
+    }
+
+    return previous.contentHash === postData.contentHash
+      ? ChangeStatus.UNCHANGED
+      : ChangeStatus.MODIFIED
+  }
+
   // Check if a post needs updating based on metadata comparison
-  const shouldUpdatePost = async (postData, existingMetadata) => {
+  const shouldUpdatePost = async (postData, existingMetadata) =>
+    getChangeStatus(postData, existingMetadata) !== ChangeStatus.UNCHANGED
+
+  // Posts recorded by the previous run that discovery no longer finds
+  const getRemovedPosts = (allPosts, existingMetadata, source) => {
     if (!existingMetadata || !existingMetadata.postHashes) {
-      return true // No previous data, so update
+      return []
     }
 
-    const slug = postData.slug || 'untitled'
-    const contentSignature = `${postData.title || ''}-${postData.url || ''}`
-    const currentHash = Buffer.from(contentSignature).toString('base64')
-    const previousHash = existingMetadata.postHashes[slug]
+    const currentKeys = new Set(allPosts.map(getPostKey))
+    // Digests recorded before posts were tagged with their source belong to
+    // the profile the metadata was written for
+    const sourceOf = entry =>
+      entry.discoveredFrom === undefined
+        ? existingMetadata.profileUrl
+        : entry.discoveredFrom
+
+    return Object.entries(existingMetadata.postHashes)
+      .filter(
+        ([key, entry]) =>
+          entry?.contentHash &&
+          !currentKeys.has(key) &&
+          sourceOf(entry) === source
+      )
+      .map(([postId, entry]) => ({
+        postId,
+        url: entry.url,
+        title: entry.title,
+        filename: entry.filename,
+      }))
+  }
+
+  // Output names already taken, seeded from the previous run's metadata so
+  // each post keeps its directory from one run to the next
+  let claimedNamesPromise = null
+  const loadClaimedNames = () => {
+    if (!claimedNamesPromise) {
+      claimedNamesPromise = loadMetadata().then(({ metadata }) => {
+        const names = new Map()
+        Object.entries(metadata?.postHashes || {}).forEach(([key, entry]) => {
+          if (entry?.outputName) {
+            names.set(entry.outputName, key)
+          }
+        })
+        return names
+      })
+    }
+    return claimedNamesPromise
+  }
+
+  // Give a post a distinct output name. A post keeps the name it claimed in
+  // an earlier run; otherwise, when two posts resolve to the same name, the
+  // later claim gets its Medium post ID appended (or a counter when the URL
+  // has no ID), so neither overwrites the other.
+  const claimName = (names, postData) => {
+    const key = getPostKey(postData)
+    const baseName = postData.outputName || postData.slug || 'untitled'
+    const postId = /^[a-f0-9]{12}$/.test(key) ? key : null
+
+    // The base name itself, or it with this post's suffix
+    const isOwnName = name => {
+      const suffix = name.slice(baseName.length)
+      return (
+        names.get(name) === key &&
+        name.startsWith(baseName) &&
+        (suffix === '' || suffix === `-${postId}` || /^-\d+$/.test(suffix))
+      )
+    }
+    const ownName = [...names.keys()].find(isOwnName)
+    if (ownName) {
+      return ownName
+    }
+
+    const isAvailable = name => !names.has(name) || names.get(name) === key
+
+    let outputName = baseName
+    if (!isAvailable(outputName) && postId) {
+      outputName = `${baseName}-${postId}`
+    }
+    for (let counter = 2; !isAvailable(outputName); counter++) {
+      outputName = `${baseName}-${counter}`
+    }
 
-    return currentHash !== previousHash
+    names.set(outputName, key)
+    return outputName
   }
 
-  // Get posts that need updating for incremental scraping
-  const getPostsNeedingUpdate = async (allPosts, existingMetadata) => {
-    const postsToUpdate = []
+  const claimOutputName = async postData =>
+    claimName(await loadClaimedNames(), postData)
 
-    for (const post of allPosts) {
-      if (await shouldUpdatePost(post, existingMetadata)) {
-        postsToUpdate.push(post)
+  // Claim names for a whole set of posts before any is saved. Claims go in
+  // post key order, so collisions resolve the same way whatever order the
+  // posts finish in. Returns the names in the order of the posts given.
+  const reserveOutputNames = async posts => {
+    const names = await loadClaimedNames()
+    const claimed = new Map()
+
+    posts
+      .map(post => ({ post, key: getPostKey(post) }))
+      .sort((a, b) => (a.key < b.key ? -1 : a.key > b.key ? 1 : 0))
+      .forEach(({ post }) => claimed.set(post, claimName(names, post)))
+
+    return posts.map(post => claimed.get(post))
+  }
+
+  // Featured images are often not part of the body; fetch them anyway so the
+  // frontmatter can point at a local copy
+  const withFeaturedImage = (postData, referencedImages) => {
+    const featured = postData.featuredImage
+    if (!featured || referencedImages.some(image => image.src === featured)) {
+      return referencedImages
+    }
+    return [...referencedImages, { src: featured, alt: 'Featured image' }]
+  }
+
+  // Embed images up to maxBytes as data URIs. Larger or unreadable images
+  // are returned so they can be downloaded instead.
+  const inlineImages = async (referencedImages, options) => {
+    const maxBytes =
+      options.inlineImageMaxBytes || LIMITS.INLINE_IMAGE_MAX_BYTES
+
+    const inlinedImages = []
+    const remainingImages = []
+
+    for (const image of referencedImages) {
+      try {
+        const { result, requestedUrl, sourceUrl } = await withFullResolution(
+          image.src,
+          options.imageMaxWidth,
+          url =>
+            imageDownloader.fetchImage(url, {
+              convertTo: options.convertImages,
+            })
+        )
+        const { buffer, contentType, mimeType } = result
+        if (buffer.length > maxBytes) {
+          remainingImages.push(image)
+          continue
+        }
+
+        inlinedImages.push({
+          originalUrl: image.src,
+          requestedUrl,
+          sourceUrl,
+          relativePath: toDataUri(buffer, mimeType || contentType, image.src),
+          type: 'inline',
+          alt: image.alt,
+        })
+      } catch (error) {
+        console.warn(`Failed to inline image ${image.src}: ${error.message}`)
+        remainingImages.push(image)
+      }
+    }
+
+    return { inlinedImages, remainingImages }
+  }
+
+  // Write the post's images according to the image strategy and return the
+  // markdown rewritten to match
+  const writePostImages = async (postData, markdown, images, options) => {
+    const strategy = options.imageStrategy || 'download'
+
+    if (strategy === 'skip') {
+      return { success: true, markdown: stripImages(markdown), written: [] }
+    }
+
+    if (strategy === 'remote') {
+      return { success: true, markdown, written: [] }
+    }
+
+    let pending = withFeaturedImage(postData, images)
+    let inlinedImages = []
+
+    // Frontmatter needs a path a site generator can use, not a data URI, so
+    // the featured image is always downloaded
+    if (strategy === 'inline-base64') {
+      const inlineResult = await inlineImages(
+        pending.filter(image => !isFeaturedImage(postData, image)),
+        options
+      )
+      inlinedImages = inlineResult.inlinedImages
+      pending = pending.filter(
+        image =>
+          isFeaturedImage(postData, image) ||
+          inlineResult.remainingImages.includes(image)
+      )
+    }
+
+    let downloadedImages = []
+    if (pending.length > 0) {
+      const imageResult = await downloadPostImages(postData, pending, options)
+      if (!imageResult.success) {
+        return imageResult
       }
+      downloadedImages = imageResult.downloadedImages
+    }
+
+    const written = [...inlinedImages, ...downloadedImages]
+
+    return {
+      success: true,
+      markdown: updateImageReferences(markdown, written),
+      written,
     }
+  }
 
-    return postsToUpdate
+  // Record where each written image came from next to the post
+  const saveImageManifest = async (postDir, images) => {
+    const manifest = images.map(image => ({
+      type: image.type,
+      alt: image.alt || '',
+      path: image.type === 'inline' ? null : image.relativePath,
+      renderedUrl: image.originalUrl,
+      requestedUrl: image.requestedUrl,
+      downloadedFrom: image.sourceUrl,
+    }))
+
+    const manifestPath = path.join(postDir, 'image-manifest.json')
+    await fileSystem.writeFile(manifestPath, JSON.stringify(manifest, null, 2))
+    return manifestPath
   }
 
   // Save a complete post with images in its own directory
   const savePostWithImages = async (
     postData,
     markdown,
-    referencedImages = []
+    referencedImages = [],
+    options = {}
   ) => {
     try {
-      // First, download all referenced images to the post directory
-      const imageResult = await downloadPostImages(postData, referencedImages)
-      if (!imageResult.success) {
-        return imageResult
-      }
+      postData = { ...postData, outputName: await claimOutputName(postData) }
 
-      // Update markdown to use local image paths
-      const updatedMarkdown = updateImageReferences(
+      const imageResult = await writePostImages(
+        postData,
         markdown,
-        imageResult.downloadedImages
+        referencedImages || [],
+        options
       )
+      if (!imageResult.success) {
+        return imageResult
+      }
 
       // Save the post markdown file in the same directory
-      const postResult = await savePost(postData, updatedMarkdown)
+      const postResult = await savePost(postData, imageResult.markdown)
       if (!postResult.success) {
         return postResult
       }
 
+      if (imageResult.written.length > 0) {
+        await saveImageManifest(postResult.postDir, imageResult.written)
+      }
+
+      // Re-point this post's shared asset references, dropping old ones.
+      // Saved without shared assets, it no longer links to any.
+      await assetStore.setPostReferences(
+        getPostKey(postData) || postData.outputName,
+        options.sharedAssets
+          ? imageResult.written
+              .filter(image => image.shared)
+              .map(image => image.filename)
+          : []
+      )
+
+      const downloadedImages = imageResult.written.filter(
+        image => image.type !== 'inline'
+      )
+
       return {
         success: true,
         postDir: postResult.postDir,
+        outputName: postData.outputName,
         markdownFile: postResult.filePath,
-        imagesDownloaded: imageResult.downloadedImages.length,
-        downloadedImages: imageResult.downloadedImages,
+        imageStrategy: options.imageStrategy || 'download',
+        imagesDownloaded: downloadedImages.length,
+        imagesInlined: imageResult.written.length - downloadedImages.length,
+        downloadedImages,
       }
     } catch (error) {
       return {
@@ -367,14 +923,22 @@ export const createStorageService = (dependencies = {}) => {
 
   return {
     savePost,
+    saveResponses,
+    saveListIndex,
     downloadPostImages,
     updateImageReferences,
     savePostWithImages,
     saveMetadata,
     loadMetadata,
+    saveProgress,
+    loadProgress,
     initializeDirectories,
+    getChangeStatus,
     shouldUpdatePost,
-    getPostsNeedingUpdate,
+    getRemovedPosts,
+    reserveOutputNames,
+    releaseAssetReferences: withErrorHandling(assetStore.releasePosts),
+    collectUnreferencedAssets: withErrorHandling(assetStore.collectGarbage),
     outputDir,
   }
 }
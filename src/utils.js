@@ -16,6 +16,46 @@ export const withErrorHandling =
     }
   }
 
+// First path segments on medium.com that are Medium's own pages
+const RESERVED_MEDIUM_PATHS = new Set([
+  'm',
+  'p',
+  'me',
+  'tag',
+  'tags',
+  'topic',
+  'topics',
+  'search',
+  'feed',
+  'membership',
+  'plans',
+  'about',
+  'creators',
+  'policy',
+])
+
+// Pages on a publication's own domain that are not posts
+export const CUSTOM_DOMAIN_PAGES = [
+  'archive',
+  'about',
+  'tagged',
+  'latest',
+  'followers',
+  'subscribe',
+  'search',
+  'm',
+]
+
+// 'https://www.Blog.example.com/' and 'blog.example.com' both name
+// blog.example.com
+export const normalizeCustomDomain = domain =>
+  String(domain)
+    .trim()
+    .toLowerCase()
+    .replace(/^[a-z]+:\/\//, '')
+    .replace(/[/?#].*$/, '')
+    .replace(/^www\./, '')
+
 // URL validation utilities
 export const urlValidator = {
   isValidMediumProfile: url => {
@@ -81,8 +121,129 @@ export const urlValidator = {
       return null
     }
   },
+
+  // Publications live at medium.com/<publication> or on their own domain.
+  // Returns the publication's root URL, or null for profiles and Medium pages.
+  normalizePublicationUrl: url => {
+    try {
+      const urlObj = new URL(url)
+      if (!['http:', 'https:'].includes(urlObj.protocol)) {
+        return null
+      }
+
+      // username.medium.com is a personal profile
+      if (urlObj.hostname.endsWith('.medium.com')) {
+        return null
+      }
+
+      if (urlObj.hostname === 'medium.com') {
+        const [slug] = urlObj.pathname.split('/').filter(Boolean)
+        if (!slug || slug.startsWith('@') || RESERVED_MEDIUM_PATHS.has(slug)) {
+          return null
+        }
+        return `https://medium.com/${slug}`
+      }
+
+      return `${urlObj.protocol}//${urlObj.host}`
+    } catch {
+      return null
+    }
+  },
+
+  isValidPublication: url => urlValidator.normalizePublicationUrl(url) !== null,
+
+  // 'our-pub' for medium.com/our-pub, the hostname for custom domains
+  extractPublicationSlug: url => {
+    const publicationUrl = urlValidator.normalizePublicationUrl(url)
+    if (!publicationUrl) return null
+
+    const urlObj = new URL(publicationUrl)
+    return urlObj.hostname === 'medium.com'
+      ? urlObj.pathname.slice(1)
+      : urlObj.hostname
+  },
+
+  // Whether the URL is on one of the configured custom domains
+  isCustomDomainUrl: (url, customDomains = []) => {
+    try {
+      const hostname = normalizeCustomDomain(new URL(url).hostname)
+      return customDomains.map(normalizeCustomDomain).includes(hostname)
+    } catch {
+      return false
+    }
+  },
+
+  // Home, archive, about and similar pages of a custom domain
+  isCustomDomainPage: (url, customDomains = []) => {
+    if (!urlValidator.isCustomDomainUrl(url, customDomains)) return false
+
+    const [firstSegment] = new URL(url).pathname.split('/').filter(Boolean)
+    return (
+      !firstSegment ||
+      firstSegment.startsWith('@') ||
+      CUSTOM_DOMAIN_PAGES.includes(firstSegment.toLowerCase())
+    )
+  },
+
+  // Medium post URLs end with a stable 12-hex post ID, e.g.
+  // medium.com/@user/my-post-4aadc02c1b6e or medium.com/p/4aadc02c1b6e
+  extractPostId: url => {
+    try {
+      const urlObj = new URL(url)
+      const lastSegment = urlObj.pathname.split('/').filter(Boolean).pop()
+      const match = lastSegment?.match(/(?:^|-)([a-f0-9]{12})$/)
+      return match ? match[1] : null
+    } catch {
+      return null
+    }
+  },
 }
 
+const HTML_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' ',
+}
+
+// Decode named and numeric character references in markup text. References
+// to code points outside Unicode are left as written.
+export const decodeHtmlEntities = text =>
+  text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code =
+        entity[1].toLowerCase() === 'x'
+          ? parseInt(entity.slice(2), 16)
+          : parseInt(entity.slice(1), 10)
+      return code <= 0x10ffff ? String.fromCodePoint(code) : match
+    }
+    return HTML_ENTITIES[entity.toLowerCase()] ?? match
+  })
+
+// Normalize a publish date to YYYY-MM-DD, or null when it cannot be known.
+// Profile listings often show relative or year-less dates ("Jan 15",
+// "3 days ago"); those are left for the post page to settle.
+export const parsePublishDate = value => {
+  if (!value || typeof value !== 'string') return null
+
+  const isoMatch = value.match(/^(\d{4}-\d{2}-\d{2})/)
+  if (isoMatch) return isoMatch[1]
+
+  if (!/\b\d{4}\b/.test(value)) return null
+
+  const date = new Date(value)
+  if (isNaN(date.getTime())) return null
+
+  const month = String(date.getMonth() + 1).padStart(2, '0')
+  const day = String(date.getDate()).padStart(2, '0')
+  return `${date.getFullYear()}-${month}-${day}`
+}
+
+// Double-quoted YAML scalar, escaped the way the frontmatter generator does
+export const toYamlString = value => `"${String(value).replace(/"/g, '\\"')}"`
+
 // Logger utility
 export const logger = {
   info: message => console.log(`ℹ️  ${message}`),
@@ -149,7 +149,7 @@ describe('Feature: Medium Blog Scraper Authentication', () => {
       })
     })
 
-    describe('Given authentication tokens already exist', () => {
+    describe('Given authentication tokens and a Medium session already exist', () => {
       beforeEach(() => {
         // Reset mock functions
         mockTokenStorage.exists = createMockFn(true)
@@ -166,6 +166,17 @@ describe('Feature: Medium Blog Scraper Authentication', () => {
           tokenStorage: mockTokenStorage,
           oauthClient: mockOAuthClient,
           readline: mockReadline,
+          sessionStorage: {
+            exists: createMockFn(true),
+            load: createMockFn(
+              Promise.resolve({
+                cookies: [
+                  { name: 'sid', value: 'existing_sid', expires: -1 },
+                  { name: 'uid', value: 'a1b2c3', expires: -1 },
+                ],
+              })
+            ),
+          },
         })
       })
 
@@ -176,7 +187,7 @@ describe('Feature: Medium Blog Scraper Authentication', () => {
           isAuthenticated = await authModule.isAuthenticated()
         })
 
-        it('Then it should return true if tokens are valid', () => {
+        it('Then it should return true if the session is valid', () => {
           expect(isAuthenticated).toBe(true)
         })
 
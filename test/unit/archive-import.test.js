@@ -0,0 +1,313 @@
+import os from 'os'
+import path from 'path'
+import { promises as fs } from 'fs'
+import AdmZip from 'adm-zip'
+import {
+  isArchivePostEntry,
+  parseArchivePost,
+} from '../../src/archive-parser.js'
+import {
+  createArchiveImporter,
+  readArchiveEntries,
+} from '../../src/main/archive-import.js'
+import { createPostConverter } from '../../src/converter.js'
+import { createStorageService } from '../../src/storage.js'
+import { createMockFn } from '../test-utils.js'
+
+// Markup as found in posts/*.html of Medium's export
+const createArchivePostHtml = ({
+  title,
+  canonicalUrl,
+  publishDate,
+  body = '<p class="graf graf--p">Body text.</p>',
+}) => `<!DOCTYPE html><html><head><meta charset="utf-8"><title>${title}</title></head><body><article class="h-entry">
+<header><h1 class="p-name">${title}</h1></header>
+<section data-field="subtitle" class="p-summary">A subtitle &amp; more</section>
+<section data-field="body" class="e-content">
+<section name="a1b2" class="section section--body"><div class="section-content"><div class="section-inner">
+<h3 class="graf graf--h3 graf--leading graf--title">${title}</h3>
+${body}
+</div></div></section>
+</section>
+<footer><p>By <a href="https://medium.com/@writer" class="p-author h-card">Jane Writer</a>${
+  publishDate
+    ? ` on <a href="${canonicalUrl}"><time class="dt-published" datetime="${publishDate}">date</time></a>`
+    : ''
+}.</p>${
+  canonicalUrl
+    ? `<p><a href="${canonicalUrl}" class="p-canonical">Canonical link</a></p>`
+    : ''
+}</footer></article></body></html>`
+
+const publishedHtml = createArchivePostHtml({
+  title: 'Shipping &quot;Fast&quot; Code',
+  canonicalUrl: 'https://medium.com/@writer/shipping-fast-code-1a2b3c4d5e6f',
+  publishDate: '2023-05-04T10:00:00.000Z',
+  body: `<figure class="graf graf--figure"><img class="graf-image" data-is-featured="true" src="https://cdn-images-1.medium.com/max/800/1*hero.png"><figcaption>Hero</figcaption></figure>
+<p class="graf graf--p">Body text.</p>`,
+})
+
+const draftHtml = createArchivePostHtml({ title: 'Half Finished Idea' })
+
+describe('Medium Archive Import', () => {
+  describe('Given a published post from the export', () => {
+    const post = parseArchivePost(
+      publishedHtml,
+      'posts/2023-05-04_Shipping-Fast-Code-1a2b3c4d5e6f.html'
+    )
+
+    it('Then its title, dates and canonical link should be parsed', () => {
+      expect(post.success).toBe(true)
+      expect(post.title).toBe('Shipping "Fast" Code')
+      expect(post.subtitle).toBe('A subtitle & more')
+      expect(post.publishDate).toBe('2023-05-04T10:00:00.000Z')
+      expect(post.canonicalUrl).toBe(
+        'https://medium.com/@writer/shipping-fast-code-1a2b3c4d5e6f'
+      )
+      expect(post.postId).toBe('1a2b3c4d5e6f')
+      expect(post.author).toBe('Jane Writer')
+      expect(post.isDraft).toBe(false)
+    })
+
+    it('And its images should be collected with the featured one marked', () => {
+      expect(post.featuredImage).toBe(
+        'https://cdn-images-1.medium.com/max/800/1*hero.png'
+      )
+      expect(post.images).toHaveLength(1)
+    })
+
+    it('And the repeated title heading should be removed from the body', () => {
+      expect(post.content).not.toContain('graf--title')
+      expect(post.content).toContain('Body text.')
+    })
+  })
+
+  describe('Given a post with a malformed character reference', () => {
+    it('Then the reference should be kept as written', () => {
+      const post = parseArchivePost(
+        createArchivePostHtml({ title: 'Odd &#x110000; &#128640; Title' }),
+        'posts/draft_Odd-Title-2b3c4d5e6f7a.html'
+      )
+
+      expect(post.success).toBe(true)
+      expect(post.title).toBe('Odd &#x110000; \u{1F680} Title')
+    })
+  })
+
+  describe('Given a draft from the export', () => {
+    const post = parseArchivePost(
+      draftHtml,
+      'posts/draft_Half-Finished-Idea-0f9e8d7c6b5a.html'
+    )
+
+    it('Then it should be marked as an unpublished draft', () => {
+      expect(post.isDraft).toBe(true)
+      expect(post.canonicalUrl).toBeNull()
+      expect(post.customFields).toEqual({ published: false })
+      expect(post.postId).toBe('0f9e8d7c6b5a')
+      expect(post.url).toBe(
+        'medium-archive:posts/draft_Half-Finished-Idea-0f9e8d7c6b5a.html'
+      )
+    })
+  })
+
+  describe('Given an export ZIP on disk', () => {
+    let archivePath
+
+    beforeAll(async () => {
+      const zip = new AdmZip()
+      zip.addFile('posts/one-1a2b3c4d5e6f.html', Buffer.from(publishedHtml))
+      zip.addFile('profile/profile.html', Buffer.from('<html></html>'))
+      archivePath = path.join(os.tmpdir(), `medium-export-${process.pid}.zip`)
+      await fs.writeFile(archivePath, zip.toBuffer())
+    })
+
+    afterAll(async () => {
+      await fs.rm(archivePath, { force: true })
+    })
+
+    it('Then only posts/*.html entries should be read', async () => {
+      const entries = await readArchiveEntries(archivePath)
+
+      expect(entries.map(entry => entry.name)).toEqual([
+        'posts/one-1a2b3c4d5e6f.html',
+      ])
+      expect(isArchivePostEntry('medium-export/posts/x.html')).toBe(true)
+      expect(isArchivePostEntry('posts/images/x.png')).toBe(false)
+    })
+  })
+
+  describe('Given the importer runs against storage', () => {
+    const earlier = {
+      contentHash: 'abc',
+      url: 'https://medium.com/@jane/scraped-earlier-3c4d5e6f7a8b',
+      outputName: 'scraped-earlier',
+    }
+    let result
+    let storage
+
+    beforeEach(async () => {
+      storage = {
+        initializeDirectories: createMockFn(
+          Promise.resolve({ success: true, directories: { output: 'out' } })
+        ),
+        loadMetadata: createMockFn(
+          Promise.resolve({
+            success: true,
+            metadata: { postHashes: { '3c4d5e6f7a8b': earlier } },
+          })
+        ),
+        getRemovedPosts: createMockFn([]),
+        getChangeStatus: createMockFn('new'),
+        savePostWithImages: createMockFn(postData =>
+          Promise.resolve({
+            success: true,
+            markdownFile: `out/${postData.outputName}.md`,
+            outputName: postData.outputName,
+            imagesDownloaded: 0,
+          })
+        ),
+        saveMetadata: createMockFn(Promise.resolve({ success: true })),
+      }
+      const logger = {
+        info: () => {},
+        success: () => {},
+        warn: () => {},
+        error: () => {},
+        progress: () => {},
+      }
+
+      const importer = createArchiveImporter({
+        converter: createPostConverter(),
+        storage,
+        config: { concurrency: 2, retryAttempts: 0, namingScheme: 'slug' },
+        logger,
+        readArchive: async () => [
+          { name: 'posts/one-1a2b3c4d5e6f.html', html: publishedHtml },
+          { name: 'posts/draft_two-0f9e8d7c6b5a.html', html: draftHtml },
+        ],
+      })
+      result = await importer.importArchive('export.zip')
+    })
+
+    it('Then every post, including drafts, should be saved', () => {
+      expect(result.success).toBe(true)
+      expect(result.postsSuccessful).toBe(2)
+      expect(storage.savePostWithImages.calls).toHaveLength(2)
+    })
+
+    it('And drafts should be written with published: false', () => {
+      const draftMarkdown = storage.savePostWithImages.calls.find(
+        call => call[0].title === 'Half Finished Idea'
+      )[1]
+      expect(draftMarkdown).toContain('published: false')
+    })
+
+    it('And metadata should record the archive as the source', () => {
+      const metadata = storage.saveMetadata.calls[0][0]
+      expect(metadata.source).toBe('export.zip')
+      expect(metadata.changes.new).toBe(2)
+    })
+
+    it('And digests from earlier scrapes should be kept', () => {
+      const metadata = storage.saveMetadata.calls[0][0]
+      expect(metadata.postHashes).toEqual({ '3c4d5e6f7a8b': earlier })
+    })
+  })
+
+  describe('Given an archive with entries that have no post body', () => {
+    it('Then they should be skipped without failing the import', async () => {
+      const warnings = []
+      const storage = {
+        initializeDirectories: createMockFn(
+          Promise.resolve({ success: true, directories: { output: 'out' } })
+        ),
+        loadMetadata: createMockFn(Promise.resolve({ success: false })),
+        getRemovedPosts: createMockFn([]),
+        getChangeStatus: createMockFn('new'),
+        savePostWithImages: createMockFn(postData =>
+          Promise.resolve({
+            success: true,
+            markdownFile: `out/${postData.outputName}.md`,
+            outputName: postData.outputName,
+            imagesDownloaded: 0,
+          })
+        ),
+        saveMetadata: createMockFn(Promise.resolve({ success: true })),
+      }
+      const emptyDrafts = [1, 2, 3, 4, 5].map(index => ({
+        name: `posts/draft_Empty-${index}.html`,
+        html: '<html><body></body></html>',
+      }))
+      const importer = createArchiveImporter({
+        converter: createPostConverter(),
+        storage,
+        config: { concurrency: 1, namingScheme: 'slug' },
+        logger: {
+          info: () => {},
+          success: () => {},
+          warn: message => warnings.push(message),
+          error: () => {},
+          progress: () => {},
+        },
+        readArchive: async () => [
+          ...emptyDrafts,
+          { name: 'posts/one-1a2b3c4d5e6f.html', html: publishedHtml },
+        ],
+      })
+
+      const result = await importer.importArchive('export.zip')
+
+      expect(result.success).toBe(true)
+      expect(result.postsSuccessful).toBe(1)
+      expect(result.postsSkipped).toBe(5)
+      expect(result.postsFailed).toBe(0)
+      expect(warnings[0]).toContain('posts/draft_Empty-1.html')
+    })
+  })
+
+  describe('Given two archived posts with the same title', () => {
+    it('Then the lower post ID should keep the plain name', async () => {
+      const storage = createStorageService({
+        fileSystem: {
+          ensureDirectory: createMockFn(Promise.resolve(true)),
+          writeFile: createMockFn(Promise.resolve(true)),
+          fileExists: createMockFn(false),
+          readFile: createMockFn(Promise.resolve('')),
+        },
+        outputDir: '/tmp/archive-out',
+      })
+      const importer = createArchiveImporter({
+        converter: createPostConverter(),
+        storage,
+        config: { concurrency: 2, retryAttempts: 0, namingScheme: 'slug' },
+        logger: {
+          info: () => {},
+          success: () => {},
+          warn: () => {},
+          error: () => {},
+          progress: () => {},
+        },
+        readArchive: async () =>
+          ['2b3c4d5e6f7a', '1a2b3c4d5e6f'].map(postId => ({
+            name: `posts/same-title-${postId}.html`,
+            html: createArchivePostHtml({
+              title: 'Same Title',
+              canonicalUrl: `https://medium.com/@writer/same-title-${postId}`,
+            }),
+          })),
+      })
+
+      const result = await importer.importArchive('export.zip')
+
+      expect(
+        Object.fromEntries(
+          result.results.map(post => [post.postId, post.outputName])
+        )
+      ).toEqual({
+        '1a2b3c4d5e6f': 'same-title',
+        '2b3c4d5e6f7a': 'same-title-2b3c4d5e6f7a',
+      })
+    })
+  })
+})
@@ -0,0 +1,197 @@
+import path from 'path'
+import { createStorageService } from '../../src/storage.js'
+import { createMockFn } from '../test-utils.js'
+
+// In-memory file system so writes, listings and deletions can be inspected
+const createMemoryFileSystem = () => {
+  const files = new Map()
+
+  return {
+    files,
+    ensureDirectory: async () => true,
+    writeFile: async (filePath, content) => {
+      files.set(filePath, content)
+      return true
+    },
+    fileExists: filePath =>
+      files.has(filePath) ||
+      [...files.keys()].some(key => key.startsWith(`${filePath}${path.sep}`)),
+    readFile: async filePath => files.get(filePath),
+    listFiles: async dirPath =>
+      [...files.keys()]
+        .filter(key => path.dirname(key) === dirPath)
+        .map(key => path.basename(key)),
+    findFiles: async (dirPath, extension) =>
+      [...files.keys()].filter(
+        key =>
+          key.startsWith(`${dirPath}${path.sep}`) && key.endsWith(extension)
+      ),
+    removeFile: async filePath => files.delete(filePath),
+  }
+}
+
+describe('Shared Asset Store', () => {
+  const outputDir = path.join('/tmp', 'asset-store-output')
+  const assetsDir = path.join(outputDir, 'assets')
+  const sharedHeader = 'https://example.com/header.png'
+
+  let fileSystem
+  let mockImageDownloader
+  let storage
+
+  const savePost = (
+    postId,
+    slug,
+    images,
+    outputName = slug,
+    options = { imageStrategy: 'download', sharedAssets: true }
+  ) =>
+    storage.savePostWithImages(
+      { postId, slug, outputName, title: slug },
+      images.map(src => `![image](${src})`).join('\n\n'),
+      images.map(src => ({ src, alt: 'image' })),
+      options
+    )
+
+  const readIndex = () =>
+    JSON.parse(fileSystem.files.get(path.join(assetsDir, 'index.json'))).assets
+
+  const storedAssets = () =>
+    [...fileSystem.files.keys()].filter(
+      key => path.dirname(key) === assetsDir && !key.endsWith('index.json')
+    )
+
+  beforeEach(() => {
+    fileSystem = createMemoryFileSystem()
+    mockImageDownloader = {
+      downloadImage: createMockFn(Promise.resolve(true)),
+      fetchImage: createMockFn(url =>
+        Promise.resolve({ buffer: Buffer.from(url), contentType: 'image/png' })
+      ),
+      getImageExtension: createMockFn('.png'),
+      generateImageFilename: createMockFn(() => 'unused.png'),
+    }
+    storage = createStorageService({
+      fileSystem,
+      imageDownloader: mockImageDownloader,
+      outputDir,
+    })
+  })
+
+  describe('Given two posts that reuse the same header image', () => {
+    let firstResult
+
+    beforeEach(async () => {
+      firstResult = await savePost('aaaaaaaaaaaa', 'first-post', [sharedHeader])
+      await savePost('bbbbbbbbbbbb', 'second-post', [
+        sharedHeader,
+        'https://example.com/diagram.png',
+      ])
+    })
+
+    it('Then the header should be stored once, named by its SHA-256 hash', () => {
+      expect(storedAssets()).toHaveLength(2)
+      expect(storedAssets()[0]).toMatch(/assets[/\\][a-f0-9]{64}\.png$/)
+      expect(firstResult.downloadedImages[0].filename).toMatch(
+        /^[a-f0-9]{64}\.png$/
+      )
+    })
+
+    it('And the markdown should link to the asset with a relative path', () => {
+      const markdown = fileSystem.files.get(
+        path.join(outputDir, 'first-post', 'first-post.md')
+      )
+      expect(markdown).toMatch(/!\[image\]\(\.\.\/assets\/[a-f0-9]{64}\.png\)/)
+    })
+
+    it('And the reference index should list both posts for the header', () => {
+      const header = firstResult.downloadedImages[0].filename
+      expect(readIndex()[header]).toEqual(['aaaaaaaaaaaa', 'bbbbbbbbbbbb'])
+    })
+  })
+
+  describe('Given a post saved under a nested template directory', () => {
+    it('Then the relative path should climb out of every level', async () => {
+      await savePost('cccccccccccc', 'deep', [sharedHeader], '2024/01/deep')
+
+      const markdown = fileSystem.files.get(
+        path.join(outputDir, '2024', '01', 'deep', 'deep.md')
+      )
+      expect(markdown).toContain('](../../../assets/')
+    })
+  })
+
+  describe('Given a post that no longer uses an image', () => {
+    let gcResult
+
+    beforeEach(async () => {
+      await savePost('aaaaaaaaaaaa', 'first-post', [sharedHeader])
+      await savePost('bbbbbbbbbbbb', 'second-post', [
+        'https://example.com/old.png',
+      ])
+      await savePost('bbbbbbbbbbbb', 'second-post', [sharedHeader])
+    })
+
+    it('Then a dry run should report the orphan without deleting it', async () => {
+      gcResult = await storage.collectUnreferencedAssets({ dryRun: true })
+
+      expect(gcResult.success).toBe(true)
+      expect(gcResult.removed).toHaveLength(1)
+      expect(storedAssets()).toHaveLength(2)
+    })
+
+    it('And garbage collection should remove only the orphan', async () => {
+      gcResult = await storage.collectUnreferencedAssets()
+
+      expect(gcResult.removed).toHaveLength(1)
+      expect(gcResult.kept).toBe(1)
+      expect(storedAssets()).toHaveLength(1)
+      expect(Object.keys(readIndex())).toHaveLength(1)
+    })
+  })
+
+  describe('Given a post that stops using shared assets', () => {
+    it('Then its header should be freed when saved with another strategy', async () => {
+      await savePost('aaaaaaaaaaaa', 'first-post', [sharedHeader])
+      await savePost('aaaaaaaaaaaa', 'first-post', [sharedHeader], undefined, {
+        imageStrategy: 'remote',
+      })
+
+      const gcResult = await storage.collectUnreferencedAssets()
+
+      expect(gcResult.removed).toHaveLength(1)
+      expect(storedAssets()).toHaveLength(0)
+    })
+  })
+
+  describe('Given a post removed from Medium', () => {
+    it('Then releasing it should free only the assets it alone used', async () => {
+      await savePost('aaaaaaaaaaaa', 'first-post', [sharedHeader])
+      await savePost('bbbbbbbbbbbb', 'second-post', [
+        sharedHeader,
+        'https://example.com/diagram.png',
+      ])
+
+      await storage.releaseAssetReferences(['bbbbbbbbbbbb'])
+      fileSystem.files.delete(
+        path.join(outputDir, 'second-post', 'second-post.md')
+      )
+      const gcResult = await storage.collectUnreferencedAssets()
+
+      expect(gcResult.removed).toHaveLength(1)
+      expect(Object.values(readIndex())).toEqual([['aaaaaaaaaaaa']])
+    })
+
+    it('And assets its markdown still links to should be kept', async () => {
+      await savePost('bbbbbbbbbbbb', 'second-post', [
+        'https://example.com/diagram.png',
+      ])
+
+      await storage.releaseAssetReferences(['bbbbbbbbbbbb'])
+      const gcResult = await storage.collectUnreferencedAssets()
+
+      expect(gcResult.removed).toHaveLength(0)
+      expect(storedAssets()).toHaveLength(1)
+    })
+  })
+})
@@ -0,0 +1,160 @@
+import os from 'os'
+import path from 'path'
+import { promises as fs } from 'fs'
+import {
+  getProfileStatuses,
+  listProfiles,
+  loadProfile,
+  validateProfileName,
+} from '../../src/profiles.js'
+import { createAuthService } from '../../src/auth.js'
+import { createMediumScraper } from '../../src/main.js'
+import { createMockFn } from '../test-utils.js'
+
+const BASE_CONFIG = {
+  outputDirectory: '/tmp/output',
+  namingScheme: 'slug',
+  concurrency: 3,
+  retryAttempts: 3,
+  requestDelay: 2000,
+  maxScrollAttempts: 20,
+}
+
+const TOKENS = { access_token: 'alice_token', expiry_date: 4102444800000 }
+
+describe('Auth Profiles', () => {
+  let profilesDir
+
+  beforeEach(async () => {
+    profilesDir = await fs.mkdtemp(path.join(os.tmpdir(), 'medium-profiles-'))
+  })
+
+  afterEach(async () => {
+    await fs.rm(profilesDir, { recursive: true, force: true })
+  })
+
+  const writeProfileConfig = async (name, overrides) => {
+    await fs.mkdir(path.join(profilesDir, name), { recursive: true })
+    await fs.writeFile(
+      path.join(profilesDir, name, 'scraper-config.json'),
+      JSON.stringify(overrides)
+    )
+  }
+
+  describe('Given profile names', () => {
+    it('Then only names usable as directories should be accepted', () => {
+      expect(validateProfileName('alice')).toBeNull()
+      expect(validateProfileName('team_blog-2')).toBeNull()
+      expect(validateProfileName('../alice')).toContain('Invalid')
+      expect(validateProfileName('default')).toContain('without --profile')
+    })
+  })
+
+  describe('Given a profile with config overrides', () => {
+    it('Then they should apply on top of the shared config', async () => {
+      await writeProfileConfig('alice', { concurrency: 1 })
+
+      const profile = await loadProfile('alice', {
+        profilesDir,
+        baseConfig: BASE_CONFIG,
+      })
+
+      expect(profile.directory).toBe(path.join(profilesDir, 'alice'))
+      expect(profile.config.concurrency).toBe(1)
+      expect(profile.config.namingScheme).toBe('slug')
+    })
+
+    it('And output should default to the profile directory', async () => {
+      const profile = await loadProfile('bob', {
+        profilesDir,
+        baseConfig: BASE_CONFIG,
+      })
+
+      expect(profile.config.outputDirectory).toBe(
+        path.join(profilesDir, 'bob', 'output')
+      )
+    })
+
+    it('And a relative output directory should be kept inside it', async () => {
+      await writeProfileConfig('alice', { outputDirectory: 'archive' })
+
+      const profile = await loadProfile('alice', {
+        profilesDir,
+        baseConfig: BASE_CONFIG,
+      })
+
+      expect(profile.config.outputDirectory).toBe(
+        path.join(profilesDir, 'alice', 'archive')
+      )
+    })
+
+    it('And invalid overrides should be refused', async () => {
+      await writeProfileConfig('alice', { concurrency: 0 })
+
+      await expect(
+        loadProfile('alice', { profilesDir, baseConfig: BASE_CONFIG })
+      ).rejects.toThrow('Invalid configuration for profile alice')
+    })
+  })
+
+  describe('Given a scraper for a profile', () => {
+    it("Then it should use the profile's output and configuration", async () => {
+      const profile = await loadProfile('alice', {
+        profilesDir,
+        baseConfig: BASE_CONFIG,
+      })
+
+      const scraper = createMediumScraper({ profile })
+
+      expect(scraper.profile).toBe('alice')
+      expect(scraper.storage.outputDir).toBe(
+        path.join(profilesDir, 'alice', 'output')
+      )
+      expect(await scraper.getConfig()).toBe(profile.config)
+    })
+  })
+
+  describe('Given several profiles when status --all is run', () => {
+    let getPassphrase
+    let statuses
+
+    beforeEach(async () => {
+      getPassphrase = createMockFn(Promise.resolve('correct horse'))
+      await createAuthService({
+        credentialsDir: path.join(profilesDir, 'alice'),
+        getPassphrase,
+        browserLauncher: { launch: async () => true },
+        readline: { question: async () => 'auth_code' },
+        oauthClient: {
+          generateAuthUrl: () => 'https://accounts.google.com/o/oauth2/v2/auth',
+          getToken: async () => ({ tokens: TOKENS }),
+          setCredentials: () => {},
+        },
+      }).authenticate({ paste: true })
+      await fs.mkdir(path.join(profilesDir, 'bob'))
+
+      statuses = await getProfileStatuses({
+        profilesDir,
+        credentialsDir: path.join(profilesDir, 'none'),
+        getPassphrase,
+      })
+    })
+
+    it('Then every profile should be listed after the default', async () => {
+      expect(await listProfiles(profilesDir)).toEqual(['alice', 'bob'])
+      expect(statuses.map(status => status.profile)).toEqual([
+        'default',
+        'alice',
+        'bob',
+      ])
+    })
+
+    it('And each should report its own tokens', () => {
+      expect(statuses[1]).toMatchObject({
+        hasTokens: true,
+        expiryDate: TOKENS.expiry_date,
+      })
+      expect(statuses[2].hasTokens).toBe(false)
+    })
+  })
+})
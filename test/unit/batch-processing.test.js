@@ -0,0 +1,134 @@
+import { processBatchConcurrently } from '../../src/main/batch-processing.js'
+import { NotFoundError } from '../../src/error-handling.js'
+
+const silentLogger = {
+  info: () => {},
+  success: () => {},
+  warn: () => {},
+  error: () => {},
+  progress: () => {},
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms))
+
+const createPosts = count =>
+  Array.from({ length: count }, (_, i) => ({
+    title: `Post ${i + 1}`,
+    url: `https://medium.com/@testuser/post-${i + 1}`,
+  }))
+
+describe('Batch Processing - Bounded Concurrency', () => {
+  // Silence retry logging from the error-handling module
+  let originalConsoleError, originalConsoleWarn, originalConsoleLog
+
+  beforeAll(() => {
+    originalConsoleError = console.error
+    originalConsoleWarn = console.warn
+    originalConsoleLog = console.log
+    console.error = () => {}
+    console.warn = () => {}
+    console.log = () => {}
+  })
+
+  afterAll(() => {
+    console.error = originalConsoleError
+    console.warn = originalConsoleWarn
+    console.log = originalConsoleLog
+  })
+
+  const config = { concurrency: 3, requestDelay: 1, retryAttempts: 1 }
+
+  describe('Given a list of posts and a concurrency of 3', () => {
+    it('Then it should never run more than 3 posts at once', async () => {
+      let active = 0
+      let peak = 0
+      const processor = {
+        process: async post => {
+          active++
+          peak = Math.max(peak, active)
+          await sleep(10)
+          active--
+          return { slug: post.title, imagesDownloaded: 0 }
+        },
+      }
+
+      const result = await processBatchConcurrently(
+        createPosts(8),
+        processor,
+        config,
+        silentLogger
+      )
+
+      expect(result.processedCount).toBe(8)
+      expect(result.successCount).toBe(8)
+      expect(peak).toBe(3)
+    })
+
+    it('And it should keep results in the original post order', async () => {
+      const posts = createPosts(5)
+      const processor = {
+        // Later posts finish first
+        process: async post => {
+          await sleep(50 - posts.indexOf(post) * 10)
+          return { slug: post.title, imagesDownloaded: 0 }
+        },
+      }
+
+      const result = await processBatchConcurrently(
+        posts,
+        processor,
+        config,
+        silentLogger
+      )
+
+      expect(result.results.map(r => r.slug)).toEqual(posts.map(p => p.title))
+    })
+
+    it('And it should report skipped and failed posts separately', async () => {
+      const processor = {
+        process: async post => {
+          if (post.title === 'Post 2') throw new NotFoundError('Gone')
+          if (post.title === 'Post 3') throw new Error('Boom')
+          return { slug: post.title, imagesDownloaded: 0 }
+        },
+      }
+
+      const result = await processBatchConcurrently(
+        createPosts(4),
+        processor,
+        config,
+        silentLogger
+      )
+
+      expect(result.successCount).toBe(2)
+      expect(result.skippedCount).toBe(1)
+      expect(result.failureCount).toBe(1)
+      expect(result.results[1].skipped).toBe(true)
+      expect(result.results[2].error).toBe('Boom')
+    })
+  })
+
+  describe('Given every post fails', () => {
+    it('Then the consecutive-failure circuit should stop all workers', async () => {
+      let attempted = 0
+      const processor = {
+        process: async () => {
+          attempted++
+          await sleep(5)
+          throw new Error('Network down')
+        },
+      }
+
+      await expect(
+        processBatchConcurrently(
+          createPosts(20),
+          processor,
+          config,
+          silentLogger
+        )
+      ).rejects.toThrow('Too many consecutive failures')
+
+      expect(attempted).toBeLessThan(20)
+    })
+  })
+})
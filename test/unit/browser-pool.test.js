@@ -0,0 +1,136 @@
+import { createBrowserPool } from '../../src/scraper/browser-manager.js'
+import { createMockFn } from '../test-utils.js'
+
+describe('Browser Pool - Shared Browser and Page Leasing', () => {
+  let mockBrowserManager
+  let createdPages
+
+  const createMockPage = () => ({
+    closed: false,
+    isClosed() {
+      return this.closed
+    },
+  })
+
+  beforeEach(() => {
+    createdPages = []
+    const mockBrowser = { isConnected: () => true }
+
+    mockBrowserManager = {
+      launch: createMockFn(() => Promise.resolve(mockBrowser)),
+      createPage: createMockFn(() => {
+        const page = createMockPage()
+        createdPages.push(page)
+        return Promise.resolve(page)
+      }),
+      close: createMockFn(Promise.resolve()),
+      closePage: createMockFn(page => {
+        if (page) page.closed = true
+        return Promise.resolve()
+      }),
+    }
+  })
+
+  describe('Given several sequential extractions', () => {
+    it('Then it should launch the browser once and reuse the page', async () => {
+      const pool = createBrowserPool(mockBrowserManager)
+
+      await pool.withPage(async () => 'first')
+      await pool.withPage(async () => 'second')
+      await pool.withPage(async () => 'third')
+
+      expect(mockBrowserManager.launch.calls.length).toBe(1)
+      expect(createdPages.length).toBe(1)
+    })
+  })
+
+  describe('Given concurrent extractions', () => {
+    it('Then each caller should lease its own page from one browser', async () => {
+      const pool = createBrowserPool(mockBrowserManager)
+      const leased = []
+
+      await Promise.all(
+        [1, 2, 3].map(() =>
+          pool.withPage(async page => {
+            leased.push(page)
+            await new Promise(resolve => setTimeout(resolve, 5))
+          })
+        )
+      )
+
+      expect(mockBrowserManager.launch.calls.length).toBe(1)
+      expect(new Set(leased).size).toBe(3)
+    })
+  })
+
+  describe('Given the browser dies while several leases are waiting', () => {
+    it('Then one browser should be relaunched and the dead one closed', async () => {
+      const browsers = []
+      mockBrowserManager.launch = createMockFn(() => {
+        const browser = {
+          connected: true,
+          isConnected() {
+            return this.connected
+          },
+        }
+        browsers.push(browser)
+        return Promise.resolve(browser)
+      })
+      const pool = createBrowserPool(mockBrowserManager)
+      await pool.withPage(async () => 'first')
+
+      browsers[0].connected = false
+      await Promise.all(
+        [1, 2, 3, 4].map(() => pool.withPage(async () => 'after crash'))
+      )
+
+      expect(mockBrowserManager.launch.calls.length).toBe(2)
+      expect(mockBrowserManager.close.calls).toEqual([[browsers[0]]])
+
+      await pool.close()
+      expect(mockBrowserManager.close.calls[1]).toEqual([browsers[1]])
+    })
+  })
+
+  describe('Given an operation that fails', () => {
+    it('Then the page should be recycled instead of reused', async () => {
+      const pool = createBrowserPool(mockBrowserManager)
+
+      await expect(
+        pool.withPage(async () => {
+          throw new Error('Page crashed')
+        })
+      ).rejects.toThrow('Page crashed')
+
+      await pool.withPage(async () => 'next')
+
+      expect(createdPages.length).toBe(2)
+      expect(createdPages[0].closed).toBe(true)
+    })
+  })
+
+  describe('Given an operation that hangs', () => {
+    it('Then the lease should time out and the page be recycled', async () => {
+      const pool = createBrowserPool(mockBrowserManager, { leaseTimeout: 20 })
+
+      await expect(pool.withPage(() => new Promise(() => {}))).rejects.toThrow(
+        'Page lease timed out'
+      )
+
+      expect(createdPages[0].closed).toBe(true)
+    })
+  })
+
+  describe('Given the run is complete', () => {
+    it('Then closing the pool should close its pages and the browser', async () => {
+      const pool = createBrowserPool(mockBrowserManager)
+      await pool.withPage(async () => 'done')
+
+      await pool.close()
+
+      expect(createdPages[0].closed).toBe(true)
+      expect(mockBrowserManager.close.calls.length).toBe(1)
+      expect(pool.isOpen()).toBe(false)
+    })
+  })
+})
@@ -0,0 +1,336 @@
+import {
+  createStorageService,
+  computeContentHash,
+  ChangeStatus,
+} from '../../src/storage.js'
+import { processPost } from '../../src/main/post-processing.js'
+import { createScrapePipeline } from '../../src/main/pipeline.js'
+import { urlValidator } from '../../src/utils.js'
+import { createMockFn } from '../test-utils.js'
+
+describe('Incremental Mode - Content-Hash Change Detection', () => {
+  let storageService
+  let mockFileSystem
+
+  const postUrl =
+    'https://medium.com/@bdfinst/5-minute-devops-continuous-delivery-faq-4aadc02c1b6e'
+
+  beforeEach(() => {
+    mockFileSystem = {
+      ensureDirectory: createMockFn(Promise.resolve(true)),
+      writeFile: createMockFn(Promise.resolve(true)),
+      fileExists: createMockFn(false),
+      readFile: createMockFn(Promise.resolve('')),
+    }
+
+    storageService = createStorageService({
+      fileSystem: mockFileSystem,
+      outputDir: '/tmp/test-output',
+    })
+  })
+
+  describe('Given Medium post URLs', () => {
+    it('Then the post ID should be taken from the 12-hex suffix', () => {
+      expect(urlValidator.extractPostId(postUrl)).toBe('4aadc02c1b6e')
+      expect(
+        urlValidator.extractPostId(
+          'https://bdfinst.medium.com/some-post-4aadc02c1b6e?source=rss'
+        )
+      ).toBe('4aadc02c1b6e')
+      expect(
+        urlValidator.extractPostId('https://medium.com/p/4aadc02c1b6e')
+      ).toBe('4aadc02c1b6e')
+      expect(urlValidator.extractPostId('https://medium.com/@bdfinst')).toBe(
+        null
+      )
+    })
+  })
+
+  describe('Given markdown content', () => {
+    it('Then whitespace-only differences should not change the digest', () => {
+      expect(computeContentHash('# Title\r\n\r\n\r\nBody  \n')).toBe(
+        computeContentHash('# Title\n\nBody')
+      )
+    })
+
+    it('And edited text should change the digest', () => {
+      expect(computeContentHash('# Title\n\nBody')).not.toBe(
+        computeContentHash('# Title\n\nEdited body')
+      )
+    })
+  })
+
+  describe('Given metadata from a previous run', () => {
+    const existingMetadata = {
+      profileUrl: 'https://medium.com/@bdfinst',
+      postHashes: {
+        '4aadc02c1b6e': {
+          contentHash: computeContentHash('original'),
+          url: postUrl,
+          title: 'CD FAQ',
+        },
+        '0123456789ab': {
+          contentHash: computeContentHash('gone'),
+          url: 'https://medium.com/@bdfinst/old-post-0123456789ab',
+          title: 'Old Post',
+        },
+      },
+    }
+
+    it('Then posts should be classified as new, modified or unchanged', () => {
+      const classify = (postId, content) =>
+        storageService.getChangeStatus(
+          { postId, contentHash: computeContentHash(content) },
+          existingMetadata
+        )
+
+      expect(classify('4aadc02c1b6e', 'original')).toBe(ChangeStatus.UNCHANGED)
+      expect(classify('4aadc02c1b6e', 'edited')).toBe(ChangeStatus.MODIFIED)
+      expect(classify('fedcba987654', 'anything')).toBe(ChangeStatus.NEW)
+    })
+
+    it('And posts no longer discovered should be reported as removed', () => {
+      const removed = storageService.getRemovedPosts(
+        [{ url: postUrl }],
+        existingMetadata,
+        'https://medium.com/@bdfinst'
+      )
+
+      expect(removed).toEqual([
+        expect.objectContaining({ postId: '0123456789ab', title: 'Old Post' }),
+      ])
+    })
+
+    it('And posts from another source should never count as removed', () => {
+      const removed = storageService.getRemovedPosts(
+        [],
+        {
+          ...existingMetadata,
+          postHashes: {
+            ...existingMetadata.postHashes,
+            fedcba987654: {
+              contentHash: computeContentHash('by url'),
+              discoveredFrom: null,
+            },
+          },
+        },
+        'https://medium.com/@someone-else'
+      )
+
+      expect(removed).toEqual([])
+    })
+
+    it('And legacy slug-based hashes should be treated as new', () => {
+      expect(
+        storageService.getChangeStatus(
+          { postId: '4aadc02c1b6e', contentHash: 'abc' },
+          { postHashes: { untitled: 'dGl0bGUtdXJs' } }
+        )
+      ).toBe(ChangeStatus.NEW)
+    })
+  })
+
+  describe('Given a successful run', () => {
+    it('Then metadata should store digests keyed by post ID', async () => {
+      const result = await storageService.saveMetadata({
+        results: [
+          {
+            success: true,
+            url: postUrl,
+            title: 'CD FAQ',
+            postId: '4aadc02c1b6e',
+            contentHash: 'digest',
+            filename: 'out/cd-faq/cd-faq.md',
+          },
+        ],
+      })
+
+      expect(result.metadata.postHashes['4aadc02c1b6e']).toEqual({
+        contentHash: 'digest',
+        url: postUrl,
+        title: 'CD FAQ',
+        filename: 'out/cd-faq/cd-faq.md',
+        discoveredFrom: null,
+      })
+    })
+
+    it('And each digest should record the source that discovered it', async () => {
+      const result = await storageService.saveMetadata({
+        discoveredFrom: 'https://medium.com/@bdfinst',
+        results: [
+          {
+            success: true,
+            postId: '4aadc02c1b6e',
+            contentHash: 'digest',
+          },
+        ],
+      })
+
+      expect(result.metadata.postHashes['4aadc02c1b6e'].discoveredFrom).toBe(
+        'https://medium.com/@bdfinst'
+      )
+      expect(result.metadata).not.toHaveProperty('discoveredFrom')
+    })
+  })
+
+  describe('Given an unchanged post in incremental mode', () => {
+    it('Then it should not be written again', async () => {
+      const content = '# CD FAQ\n\nBody'
+      const savePostWithImages = createMockFn(
+        Promise.resolve({ success: true })
+      )
+
+      const result = await processPost(
+        { url: postUrl, title: 'CD FAQ' },
+        {
+          scraperService: {
+            extractPostContent: async () => ({
+              success: true,
+              title: 'CD FAQ',
+            }),
+          },
+          converter: {
+            convertPost: async () => ({
+              success: true,
+              slug: 'cd-faq',
+              content,
+              markdown: content,
+            }),
+          },
+          storage: { ...storageService, savePostWithImages },
+          baseline: {
+            skipUnchanged: true,
+            existingMetadata: {
+              postHashes: {
+                '4aadc02c1b6e': {
+                  contentHash: computeContentHash(content),
+                  filename: 'out/cd-faq/cd-faq.md',
+                },
+              },
+            },
+          },
+        }
+      )
+
+      expect(result.changeStatus).toBe(ChangeStatus.UNCHANGED)
+      expect(result.filename).toBe('out/cd-faq/cd-faq.md')
+      expect(savePostWithImages.calls).toHaveLength(0)
+    })
+  })
+
+  describe('Given a profile run where a known post fails', () => {
+    const failedUrl = 'https://medium.com/@bdfinst/flaky-post-fedcba987654'
+    const previous = {
+      '4aadc02c1b6e': {
+        contentHash: computeContentHash('original'),
+        url: postUrl,
+        outputName: 'cd-faq',
+      },
+      fedcba987654: {
+        contentHash: computeContentHash('flaky'),
+        url: failedUrl,
+        outputName: 'flaky-post',
+      },
+      '0123456789ab': {
+        contentHash: computeContentHash('gone'),
+        url: 'https://medium.com/@bdfinst/old-post-0123456789ab',
+      },
+    }
+
+    // Scrape the profile and return the metadata the run saved
+    const scrapeProfile = async (
+      discovery = {},
+      profileUrl = 'https://medium.com/@bdfinst'
+    ) => {
+      const saveMetadata = createMockFn(Promise.resolve({ success: true }))
+      const pipeline = createScrapePipeline({
+        authService: { getAuthStatus: async () => ({ authenticated: true }) },
+        scraperService: {
+          discoverPosts: async () => ({
+            success: true,
+            posts: [
+              { url: postUrl, title: 'CD FAQ' },
+              { url: failedUrl, title: 'Flaky Post' },
+            ],
+            ...discovery,
+          }),
+          extractPostContent: async url =>
+            url === failedUrl
+              ? { success: false, error: 'Navigation timeout' }
+              : { success: true, url, title: 'CD FAQ' },
+        },
+        converter: {
+          convertPost: async () => ({
+            success: true,
+            slug: 'cd-faq',
+            content: 'original',
+            markdown: 'original',
+          }),
+        },
+        storage: {
+          ...storageService,
+          loadProgress: async () => ({ success: true, journal: null }),
+          loadMetadata: async () => ({
+            success: true,
+            metadata: {
+              profileUrl: 'https://medium.com/@bdfinst',
+              postHashes: previous,
+            },
+          }),
+          saveMetadata,
+        },
+        config: {
+          concurrency: 1,
+          requestDelay: 1,
+          retryAttempts: 1,
+          resumeEnabled: false,
+        },
+        logger: {
+          info: () => {},
+          success: () => {},
+          warn: () => {},
+          error: () => {},
+          progress: () => {},
+        },
+      })
+
+      await pipeline.scrapeProfile(profileUrl, { incremental: true })
+      return saveMetadata.calls[0][0]
+    }
+
+    it('Then its digest and name should be kept and only removed posts dropped', async () => {
+      const metadata = await scrapeProfile()
+
+      expect(Object.keys(metadata.postHashes).sort()).toEqual([
+        '4aadc02c1b6e',
+        'fedcba987654',
+      ])
+      expect(metadata.postHashes.fedcba987654.outputName).toBe('flaky-post')
+      expect(metadata.changes.removed).toBe(1)
+    })
+
+    it('And posts beyond a partial RSS discovery should not be removed', async () => {
+      const metadata = await scrapeProfile({ isPartial: true })
+
+      expect(metadata.changes.removed).toBe(0)
+      expect(Object.keys(metadata.postHashes)).toHaveLength(3)
+    })
+
+    it('And a run of another profile should not remove any of them', async () => {
+      const metadata = await scrapeProfile(
+        {
+          posts: [
+            {
+              url: 'https://medium.com/@someone-else/their-post-aaaaaaaaaaaa',
+              title: 'Their Post',
+            },
+          ],
+        },
+        'https://medium.com/@someone-else'
+      )
+
+      expect(metadata.changes.removed).toBe(0)
+      expect(Object.keys(metadata.postHashes)).toHaveLength(3)
+    })
+  })
+})
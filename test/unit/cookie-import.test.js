@@ -0,0 +1,166 @@
+import os from 'os'
+import path from 'path'
+import { promises as fs } from 'fs'
+import { createAuthService } from '../../src/auth.js'
+import {
+  getSessionExpiry,
+  parseCookieFile,
+  validateSessionCookies,
+} from '../../src/cookies.js'
+import { decryptJson, encryptJson } from '../../src/encryption.js'
+import { createMockFn } from '../test-utils.js'
+
+// Seconds since the epoch, as cookie exports write expiry
+const EXPIRES = 1893456000
+
+const COOKIES_TXT = [
+  '# Netscape HTTP Cookie File',
+  '',
+  `#HttpOnly_.medium.com\tTRUE\t/\tTRUE\t${EXPIRES}\tsid\t1:abc`,
+  `.medium.com\tTRUE\t/\tTRUE\t${EXPIRES + 60}\tuid\ta1b2c3d4`,
+  `.example.com\tTRUE\t/\tFALSE\t${EXPIRES}\tsid\tnot-medium`,
+].join('\n')
+
+// Cookie-Editor style export
+const COOKIES_JSON = JSON.stringify([
+  {
+    name: 'sid',
+    value: '1:abc',
+    domain: '.medium.com',
+    path: '/',
+    expirationDate: EXPIRES + 0.5,
+    httpOnly: true,
+    secure: true,
+    sameSite: 'no_restriction',
+  },
+  {
+    name: 'uid',
+    value: 'a1b2c3d4',
+    domain: 'medium.com',
+    session: true,
+    sameSite: 'unspecified',
+  },
+])
+
+describe('Medium Cookie Import', () => {
+  describe('Given a Netscape cookies.txt', () => {
+    const cookies = parseCookieFile(COOKIES_TXT)
+
+    it("Then only Medium's cookies should be kept", () => {
+      expect(cookies.map(cookie => cookie.name)).toEqual(['sid', 'uid'])
+    })
+
+    it('And HttpOnly and expiry should be read', () => {
+      expect(cookies[0]).toEqual({
+        name: 'sid',
+        value: '1:abc',
+        domain: '.medium.com',
+        path: '/',
+        expires: EXPIRES,
+        httpOnly: true,
+        secure: true,
+      })
+    })
+  })
+
+  describe('Given a browser extension JSON dump', () => {
+    const cookies = parseCookieFile(COOKIES_JSON)
+
+    it('Then cookies should be mapped to Puppeteer cookies', () => {
+      expect(cookies[0]).toMatchObject({
+        expires: EXPIRES,
+        sameSite: 'None',
+      })
+      expect(cookies[1].expires).toBe(-1)
+      expect(cookies[1].sameSite).toBeUndefined()
+    })
+
+    it('And the session should end when its first cookie expires', () => {
+      expect(getSessionExpiry(cookies)).toBe(EXPIRES * 1000)
+    })
+  })
+
+  describe('Given cookies without a signed-in session', () => {
+    it('Then validation should say what is missing', () => {
+      const validation = validateSessionCookies([
+        { name: 'uid', value: 'lo_8f3e2a', expires: -1 },
+      ])
+
+      expect(validation.isValid).toBe(false)
+      expect(validation.errors).toEqual([
+        'sid cookie is missing or expired',
+        'uid cookie belongs to a logged-out visitor',
+      ])
+    })
+  })
+
+  describe('Given a session to store', () => {
+    it('Then it should only decrypt with the same passphrase', async () => {
+      const payload = await encryptJson({ cookies: [] }, 'correct horse')
+
+      expect(JSON.stringify(payload)).not.toContain('cookies')
+      expect(await decryptJson(payload, 'correct horse')).toEqual({
+        cookies: [],
+      })
+      await expect(decryptJson(payload, 'wrong')).rejects.toThrow(
+        'wrong passphrase'
+      )
+    })
+  })
+
+  describe('Given auth import-cookies is run with an export file', () => {
+    let cookieFile
+    let sessionStorage
+    let auth
+
+    beforeEach(async () => {
+      cookieFile = path.join(os.tmpdir(), `medium-cookies-${process.pid}.txt`)
+      let session = null
+      sessionStorage = {
+        exists: () => session !== null,
+        load: async () => session,
+        save: createMockFn(saved => {
+          session = saved
+          return Promise.resolve(true)
+        }),
+      }
+      auth = createAuthService({
+        tokenStorage: { exists: () => false, load: async () => null },
+        sessionStorage,
+      })
+    })
+
+    afterEach(async () => {
+      await fs.rm(cookieFile, { force: true })
+    })
+
+    it('Then a signed-in session should be saved and reported', async () => {
+      await fs.writeFile(cookieFile, COOKIES_TXT)
+
+      const result = await auth.importCookies(cookieFile)
+      const status = await auth.getAuthStatus()
+
+      expect(result.success).toBe(true)
+      expect(sessionStorage.save.calls[0][0].cookies).toHaveLength(2)
+      expect(status).toMatchObject({
+        authenticated: true,
+        hasSession: true,
+        expiryDate: null,
+        cookieExpiryDate: EXPIRES * 1000,
+      })
+    })
+
+    it('And a logged-out export should be refused', async () => {
+      await fs.writeFile(
+        cookieFile,
+        `.medium.com\tTRUE\t/\tTRUE\t${EXPIRES}\tuid\tlo_8f3e2a`
+      )
+
+      const result = await auth.importCookies(cookieFile)
+
+      expect(result.success).toBe(false)
+      expect(result.message).toContain('sid cookie is missing')
+      expect(sessionStorage.save.calls).toHaveLength(0)
+    })
+  })
+})
@@ -0,0 +1,170 @@
+import { createPostConverter } from '../../src/converter.js'
+import { validateConfig } from '../../src/config.js'
+import { createScraperService } from '../../src/scraper/index.js'
+import { isValidPostUrl } from '../../src/scraper/post-extractor.js'
+import {
+  CUSTOM_DOMAIN_PAGES,
+  normalizeCustomDomain,
+  urlValidator,
+} from '../../src/utils.js'
+import { createMockFn } from '../test-utils.js'
+
+const customDomains = ['publication-name.com']
+
+const createScraper = (overrides = {}) =>
+  createScraperService({
+    authService: { isAuthenticated: createMockFn(Promise.resolve(true)) },
+    browserPool: {
+      withPage: createMockFn(operation =>
+        operation({ url: () => 'https://publication-name.com' })
+      ),
+    },
+    navigator: {
+      navigateTo: createMockFn(Promise.resolve()),
+      waitForContent: createMockFn(Promise.resolve()),
+      waitForSelector: createMockFn(Promise.resolve()),
+    },
+    scrollHandler: { scrollToLoadMore: createMockFn(Promise.resolve()) },
+    ...overrides,
+  })
+
+describe('Custom Domains', () => {
+  describe('Given a configured custom domain', () => {
+    it('Then configured names should be normalized to hostnames', () => {
+      expect(normalizeCustomDomain('https://www.Publication-Name.com/')).toBe(
+        'publication-name.com'
+      )
+      expect(
+        urlValidator.isCustomDomainUrl(
+          'https://www.publication-name.com/post-title-789',
+          ['https://publication-name.com']
+        )
+      ).toBe(true)
+    })
+
+    it('And its posts should be valid post URLs', () => {
+      expect(
+        isValidPostUrl(
+          'https://publication-name.com/post-title-789',
+          customDomains,
+          CUSTOM_DOMAIN_PAGES
+        )
+      ).toBe(true)
+      expect(
+        isValidPostUrl('https://publication-name.com/post-title-789')
+      ).toBe(false)
+    })
+
+    it('And its home, archive and author pages should not be', () => {
+      ;[
+        'https://publication-name.com/',
+        'https://publication-name.com/archive/2024',
+        'https://publication-name.com/about',
+        'https://publication-name.com/@jane',
+      ].forEach(url => {
+        expect(isValidPostUrl(url, customDomains, CUSTOM_DOMAIN_PAGES)).toBe(
+          false
+        )
+        expect(urlValidator.isCustomDomainPage(url, customDomains)).toBe(true)
+      })
+    })
+
+    it('And the config should only accept domain names', () => {
+      const baseConfig = {
+        outputDirectory: './output',
+        namingScheme: 'slug',
+        concurrency: 3,
+        retryAttempts: 3,
+      }
+
+      expect(
+        validateConfig({ ...baseConfig, customDomains: ['blog.example.com'] })
+          .isValid
+      ).toBe(true)
+      expect(
+        validateConfig({ ...baseConfig, customDomains: 'blog.example.com' })
+          .errors
+      ).toContain('customDomains must be an array of domain names')
+      expect(
+        validateConfig({ ...baseConfig, customDomains: ['not a domain'] })
+          .isValid
+      ).toBe(false)
+    })
+  })
+
+  describe('Given a post on a custom domain', () => {
+    const postUrl = 'https://publication-name.com/post-title-789'
+    const extractPostContent = createMockFn(
+      Promise.resolve({ title: 'Post Title', content: '<p>Body</p>' })
+    )
+
+    it('Then extraction should require the domain to be configured', async () => {
+      const scraper = createScraper({ postExtractor: { extractPostContent } })
+
+      const rejected = await scraper.extractPostContent(postUrl)
+      const accepted = await scraper.extractPostContent(postUrl, {
+        customDomains,
+      })
+
+      expect(rejected.success).toBe(false)
+      expect(rejected.error).toBe('Invalid Medium post URL provided')
+      expect(accepted.success).toBe(true)
+      expect(accepted.title).toBe('Post Title')
+    })
+  })
+
+  describe('Given a profile served from a custom domain', () => {
+    it('Then discovery should keep the posts on that domain', async () => {
+      const scraper = createScraper({
+        postExtractor: {
+          extractPostsFromPage: createMockFn(
+            Promise.resolve([
+              {
+                title: 'Post Title',
+                url: 'https://publication-name.com/post-title-789',
+              },
+              {
+                title: 'Elsewhere',
+                url: 'https://other-site.com/elsewhere-post',
+              },
+            ])
+          ),
+          hasMoreContent: createMockFn(Promise.resolve(false)),
+        },
+      })
+
+      const result = await scraper.discoverPosts(
+        'https://publication-name.com/',
+        { customDomains, fastMode: true }
+      )
+
+      expect(result.success).toBe(true)
+      expect(result.profileUrl).toBe('https://publication-name.com')
+      expect(result.username).toBe('publication-name.com')
+      expect(result.posts.map(post => post.url)).toEqual([
+        'https://publication-name.com/post-title-789',
+      ])
+    })
+  })
+
+  describe('Given post content linking to its custom domain', () => {
+    it('Then publication page links should be dropped and post links kept', async () => {
+      const result = await createPostConverter().convertPost(
+        {
+          title: 'Post Title',
+          content: `
+            <p><a href="https://publication-name.com/">Publication Name</a></p>
+            <p>Read <a href="https://publication-name.com/earlier-post-123">the earlier post</a> first.</p>
+          `,
+        },
+        { customDomains }
+      )
+
+      expect(result.success).toBe(true)
+      expect(result.markdown).not.toContain('Publication Name')
+      expect(result.markdown).toContain(
+        '[the earlier post](https://publication-name.com/earlier-post-123)'
+      )
+    })
+  })
+})
@@ -0,0 +1,304 @@
+import { JSDOM } from 'jsdom'
+import {
+  articleStrategy,
+  comprehensiveStrategy,
+  containerStrategy,
+  createStrategyRegistry,
+  formatStrategyStats,
+  linkStrategy,
+  runStrategies,
+} from '../../src/scraper/discovery-strategies.js'
+import {
+  createPostExtractor,
+  isValidPostUrl,
+} from '../../src/scraper/post-extractor.js'
+import { EXCLUDED_PATHS, SELECTORS } from '../../src/constants.js'
+
+const PROFILE_URL = 'https://medium.com/@writer'
+
+// Profile page markup as saved from Medium, trimmed to the post listings
+const ARTICLE_LISTING_HTML = `
+<main>
+  <article>
+    <h2>Testing in Production</h2>
+    <a href="https://medium.com/@writer/testing-in-production-1a2b3c4d5e6f">Read more</a>
+    <time datetime="2024-03-01">Mar 1, 2024</time>
+  </article>
+  <article>
+    <p>A post card without a title</p>
+    <a href="https://medium.com/@writer/untitled-2b3c4d5e6f7a">Read</a>
+  </article>
+</main>`
+
+const LINK_LISTING_HTML = `
+<main>
+  <div><a href="https://medium.com/@writer/plain-link-post-3c4d5e6f7a8b">A plain link post</a></div>
+  <div><a href="https://medium.com/@writer">Jane Writer</a></div>
+  <div><a href="https://medium.com/m/signin">Sign in</a></div>
+</main>`
+
+const CONTAINER_LISTING_HTML = `
+<main>
+  <section data-testid="post-preview">
+    <h3 data-testid="post-title">Container Story</h3>
+    <a href="https://writer.medium.com/container-story-4d5e6f7a8b9c">Open</a>
+    <span data-testid="post-date">Feb 2, 2024</span>
+  </section>
+</main>`
+
+const WRAPPED_LINK_HTML = `
+<main>
+  <span>
+    <a href="https://medium.com/m/signin?redirect=${encodeURIComponent(
+      'https://medium.com/@writer/wrapped-post-5e6f7a8b9c0d'
+    )}">Bookmark the wrapped post</a>
+  </span>
+</main>`
+
+const loadDocument = html =>
+  new JSDOM(html, { url: PROFILE_URL }).window.document
+
+const context = {
+  selectors: SELECTORS,
+  isValidPostUrl,
+  excludedPaths: EXCLUDED_PATHS,
+}
+
+describe('Discovery Strategies', () => {
+  describe('Given an article listing', () => {
+    const posts = articleStrategy.extract(
+      loadDocument(ARTICLE_LISTING_HTML),
+      context
+    )
+
+    it('Then titled article cards should be found with their dates', () => {
+      expect(posts).toEqual([
+        {
+          title: 'Testing in Production',
+          url: 'https://medium.com/@writer/testing-in-production-1a2b3c4d5e6f',
+          publishDate: 'Mar 1, 2024',
+        },
+      ])
+    })
+  })
+
+  describe('Given a page of bare post links', () => {
+    const posts = linkStrategy.extract(loadDocument(LINK_LISTING_HTML), context)
+
+    it('Then only post links should be found, titled by their text', () => {
+      expect(posts).toEqual([
+        {
+          title: 'A plain link post',
+          url: 'https://medium.com/@writer/plain-link-post-3c4d5e6f7a8b',
+          publishDate: null,
+        },
+      ])
+    })
+  })
+
+  describe('Given data-testid post containers', () => {
+    const posts = containerStrategy.extract(
+      loadDocument(CONTAINER_LISTING_HTML),
+      context
+    )
+
+    it('Then the container title, link and date should be used', () => {
+      expect(posts).toEqual([
+        {
+          title: 'Container Story',
+          url: 'https://writer.medium.com/container-story-4d5e6f7a8b9c',
+          publishDate: 'Feb 2, 2024',
+        },
+      ])
+    })
+  })
+
+  describe('Given a signin link wrapping a post', () => {
+    const document = loadDocument(WRAPPED_LINK_HTML)
+
+    it('Then the comprehensive strategy should pick up the wrapped link', () => {
+      const posts = comprehensiveStrategy.extract(document, context)
+      expect(posts).toHaveLength(1)
+      expect(posts[0].title).toBe('Bookmark the wrapped post')
+    })
+
+    it('And running it should unwrap the real post URL', () => {
+      const { posts } = runStrategies(
+        document,
+        [comprehensiveStrategy],
+        context
+      )
+      expect(posts[0]).toMatchObject({
+        url: 'https://medium.com/@writer/wrapped-post-5e6f7a8b9c0d',
+        source: 'comprehensive',
+      })
+    })
+  })
+
+  describe('Given several strategies match the same post', () => {
+    const document = loadDocument(ARTICLE_LISTING_HTML + LINK_LISTING_HTML)
+    const { posts, stats } = runStrategies(
+      document,
+      [articleStrategy, linkStrategy],
+      context
+    )
+
+    it('Then the first strategy in order should claim it', () => {
+      expect(posts.map(post => [post.title, post.source])).toEqual([
+        ['Testing in Production', 'article'],
+        ['Read', 'link'],
+        ['A plain link post', 'link'],
+      ])
+      expect(posts[1].url).toContain('untitled-2b3c4d5e6f7a')
+    })
+
+    it('And the stats should count hits and new posts per strategy', () => {
+      expect(stats).toEqual([
+        { name: 'article', found: 1, added: 1 },
+        { name: 'link', found: 3, added: 2 },
+      ])
+      expect(formatStrategyStats(stats)).toBe(
+        'article: 1 found, 1 new\nlink: 3 found, 2 new'
+      )
+    })
+  })
+
+  describe('Given a strategy that throws', () => {
+    const broken = {
+      name: 'broken',
+      extract: () => {
+        throw new Error('selector moved')
+      },
+    }
+    const { posts, stats } = runStrategies(
+      loadDocument(LINK_LISTING_HTML),
+      [broken, linkStrategy],
+      context
+    )
+
+    it('Then the remaining strategies should still run', () => {
+      expect(posts).toHaveLength(1)
+      expect(stats[0]).toEqual({
+        name: 'broken',
+        found: 0,
+        added: 0,
+        error: 'selector moved',
+      })
+    })
+  })
+
+  describe('Given a strategy registry', () => {
+    const custom = { name: 'custom', extract: () => [] }
+    let registry
+
+    beforeEach(() => {
+      registry = createStrategyRegistry()
+    })
+
+    it('Then the built-in strategies should run in their default order', () => {
+      expect(registry.resolve().map(strategy => strategy.name)).toEqual([
+        'article',
+        'link',
+        'container',
+        'comprehensive',
+      ])
+    })
+
+    it('And disabled strategies should be skipped', () => {
+      registry.disable('comprehensive')
+      registry.disable('article')
+      registry.enable('article')
+
+      expect(registry.resolve().map(strategy => strategy.name)).toEqual([
+        'article',
+        'link',
+        'container',
+      ])
+      expect(registry.list()[3]).toEqual({
+        name: 'comprehensive',
+        enabled: false,
+      })
+    })
+
+    it('And custom strategies should be placed where registered', () => {
+      registry.register(custom, { before: 'link' })
+      registry.setOrder(['container'])
+
+      expect(registry.resolve().map(strategy => strategy.name)).toEqual([
+        'container',
+        'article',
+        'custom',
+        'link',
+        'comprehensive',
+      ])
+    })
+
+    it('And named selections should override the registry order', () => {
+      expect(
+        registry.resolve(['link', 'article']).map(strategy => strategy.name)
+      ).toEqual(['link', 'article'])
+      expect(() => registry.resolve(['missing'])).toThrow(
+        'Unknown discovery strategy: missing'
+      )
+      expect(() => registry.register(linkStrategy)).toThrow(
+        'already registered'
+      )
+    })
+  })
+
+  describe('Given the post extractor runs strategies in a page', () => {
+    let logged
+    let originalLog
+
+    const createNavigator = html => ({
+      // Stand in for page.evaluate by running the function against a DOM
+      evaluate: async (page, fn, ...args) => {
+        global.document = loadDocument(html)
+        try {
+          return fn(...args)
+        } finally {
+          delete global.document
+        }
+      },
+    })
+
+    beforeEach(() => {
+      logged = []
+      originalLog = console.log
+      console.log = message => logged.push(message)
+    })
+
+    afterEach(() => {
+      console.log = originalLog
+    })
+
+    it('Then each post should record the strategy that found it', async () => {
+      const extractor = createPostExtractor(
+        createNavigator(CONTAINER_LISTING_HTML + LINK_LISTING_HTML)
+      )
+
+      const posts = await extractor.extractPostsFromPage({}, { debug: true })
+
+      expect(posts.map(post => post.source)).toEqual(['link', 'link'])
+      expect(logged.join('\n')).toContain('container: 1 found, 0 new')
+    })
+
+    it('And options.strategies should select and order them', async () => {
+      const extractor = createPostExtractor(
+        createNavigator(CONTAINER_LISTING_HTML)
+      )
+
+      const posts = await extractor.extractPostsFromPage(
+        {},
+        { strategies: ['container'] }
+      )
+
+      expect(posts).toEqual([
+        expect.objectContaining({
+          title: 'Container Story',
+          source: 'container',
+        }),
+      ])
+    })
+  })
+})
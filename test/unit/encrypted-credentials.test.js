@@ -0,0 +1,141 @@
+import os from 'os'
+import path from 'path'
+import { promises as fs } from 'fs'
+import { createAuthService } from '../../src/auth.js'
+import { encryptJson, PASSPHRASE_ENV } from '../../src/encryption.js'
+import { createMockFn } from '../test-utils.js'
+
+const TOKENS = {
+  access_token: 'google_token',
+  refresh_token: 'google_refresh',
+  expiry_date: Date.now() + 3600000,
+}
+
+// A signed-in Medium session, as saved by login or import-cookies
+const SESSION = {
+  cookies: ['sid', 'uid'].map(name => ({
+    name,
+    value: `${name}-value`,
+    domain: '.medium.com',
+    path: '/',
+    expires: Math.floor(Date.now() / 1000) + 3600,
+  })),
+}
+
+const readJson = async filePath =>
+  JSON.parse(await fs.readFile(filePath, 'utf8'))
+
+const getMode = async filePath => (await fs.stat(filePath)).mode & 0o777
+
+describe('Encrypted Credential Storage', () => {
+  let credentialsDir
+  let tokenPath
+  let envPassphrase
+
+  // The passphrase is typed at the prompt, as when no env var is set
+  const createAuth = (passphrase = 'correct horse') => {
+    const readline = { question: createMockFn(Promise.resolve(passphrase)) }
+    const auth = createAuthService({
+      credentialsDir,
+      readline,
+      oauthClient: {
+        redirectUri: 'http://localhost:8080/oauth/callback',
+        generateAuthUrl: () => 'https://accounts.google.com/o/oauth2/v2/auth',
+        getToken: async () => ({ tokens: TOKENS }),
+        setCredentials: () => {},
+      },
+    })
+    return { auth, readline }
+  }
+
+  beforeEach(async () => {
+    envPassphrase = process.env[PASSPHRASE_ENV]
+    delete process.env[PASSPHRASE_ENV]
+    credentialsDir = await fs.mkdtemp(path.join(os.tmpdir(), 'medium-auth-'))
+    tokenPath = path.join(credentialsDir, '.auth-tokens.json')
+  })
+
+  afterEach(async () => {
+    if (envPassphrase !== undefined) {
+      process.env[PASSPHRASE_ENV] = envPassphrase
+    }
+    await fs.rm(credentialsDir, { recursive: true, force: true })
+  })
+
+  describe('Given tokens from a new sign-in', () => {
+    beforeEach(async () => {
+      const { auth } = createAuth()
+      await auth.authenticate({ paste: true })
+    })
+
+    it('Then the token file should hold no plaintext tokens', async () => {
+      const contents = await fs.readFile(tokenPath, 'utf8')
+
+      expect(contents).not.toContain('google_refresh')
+      expect((await readJson(tokenPath)).algorithm).toBe('aes-256-gcm')
+    })
+
+    it('And it should be readable by its owner only', async () => {
+      expect(await getMode(tokenPath)).toBe(0o600)
+    })
+
+    it('And the same passphrase should read it back', async () => {
+      const { auth } = createAuth()
+
+      expect((await auth.getAuthStatus()).expiryDate).toBe(TOKENS.expiry_date)
+    })
+
+    it('And another passphrase should not', async () => {
+      const { auth } = createAuth('wrong')
+
+      expect(await auth.getAuthStatus()).toMatchObject({
+        hasTokens: true,
+        expiryDate: null,
+      })
+    })
+  })
+
+  describe('Given a saved session and a mistyped passphrase', () => {
+    let readline
+    let auth
+
+    beforeEach(async () => {
+      await fs.writeFile(
+        path.join(credentialsDir, '.medium-session.json'),
+        JSON.stringify(await encryptJson(SESSION, 'correct horse'))
+      )
+      const answers = ['wrong', 'correct horse']
+      readline = { question: createMockFn(async () => answers.shift()) }
+      auth = createAuthService({ credentialsDir, readline })
+    })
+
+    it('Then the status should report the wrong passphrase', async () => {
+      const status = await auth.getAuthStatus()
+
+      expect(status.authenticated).toBe(false)
+      expect(status.error).toContain('wrong passphrase')
+    })
+
+    it('And the passphrase should be asked for again, without echo', async () => {
+      await auth.getAuthStatus()
+
+      expect(await auth.isAuthenticated()).toBe(true)
+      expect(readline.question.calls).toHaveLength(2)
+      expect(readline.question.calls[0][1]).toEqual({ hidden: true })
+    })
+  })
+
+  describe('Given a plaintext token file from an earlier version', () => {
+    it('Then it should be encrypted in place when read', async () => {
+      await fs.writeFile(tokenPath, JSON.stringify(TOKENS), { mode: 0o644 })
+      const { auth, readline } = createAuth()
+
+      const status = await auth.getAuthStatus()
+
+      expect(status.expiryDate).toBe(TOKENS.expiry_date)
+      expect((await readJson(tokenPath)).access_token).toBeUndefined()
+      expect(await getMode(tokenPath)).toBe(0o600)
+      expect(readline.question.calls).toHaveLength(1)
+    })
+  })
+})
@@ -0,0 +1,169 @@
+import os from 'os'
+import path from 'path'
+import { promises as fs } from 'fs'
+import {
+  FEED_WINDOW,
+  getFeedUrl,
+  parseFeed,
+} from '../../src/scraper/feed-discovery.js'
+import { createScraperService } from '../../src/scraper/index.js'
+import { createMockFn } from '../test-utils.js'
+
+const hexId = index => index.toString(16).padStart(12, 'a')
+
+const createFeedItem = (index, date) => `
+    <item>
+      <title><![CDATA[Post number ${index} & friends]]></title>
+      <link>https://medium.com/@writer/post-${index}-${hexId(index)}?source=rss-abc------2</link>
+      <guid isPermaLink="false">https://medium.com/p/${hexId(index)}</guid>
+      <category><![CDATA[javascript]]></category>
+      <category><![CDATA[testing]]></category>
+      <dc:creator><![CDATA[Jane Writer]]></dc:creator>
+      <pubDate>${date}</pubDate>
+      <content:encoded><![CDATA[<p>Full content ${index}</p>]]></content:encoded>
+    </item>`
+
+const createFeedXml = items => `<?xml version="1.0" encoding="UTF-8"?>
+<rss xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:content="http://purl.org/rss/1.0/modules/content/" version="2.0">
+  <channel>
+    <title><![CDATA[Stories by Jane Writer on Medium]]></title>${items.join('')}
+  </channel>
+</rss>`
+
+describe('RSS Feed Discovery', () => {
+  describe('Given a Medium profile feed', () => {
+    const posts = parseFeed(
+      createFeedXml([
+        createFeedItem(1, 'Mon, 15 Jan 2024 10:00:00 GMT'),
+        createFeedItem(2, 'Fri, 05 Jan 2024 09:30:00 GMT'),
+      ])
+    )
+
+    it('Then each item should become a discovered post', () => {
+      expect(posts).toHaveLength(2)
+      expect(posts[0]).toEqual({
+        url: `https://medium.com/@writer/post-1-${hexId(1)}`,
+        title: 'Post number 1 & friends',
+        publishDate: '2024-01-15T10:00:00.000Z',
+        tags: ['javascript', 'testing'],
+        author: 'Jane Writer',
+        postId: hexId(1),
+        source: 'rss',
+      })
+    })
+
+    it('And the feed URL should be derived from the username', () => {
+      expect(getFeedUrl('@writer')).toBe('https://medium.com/feed/@writer')
+      expect(getFeedUrl('writer')).toBe('https://medium.com/feed/@writer')
+    })
+  })
+
+  describe('Given the scraper service reads a local feed file', () => {
+    let feedFile
+    let browserPool
+    let scrolledPosts
+    let scraper
+
+    const createScraper = () =>
+      createScraperService({
+        authService: { isAuthenticated: createMockFn(Promise.resolve(true)) },
+        browserPool,
+        navigator: {
+          navigateTo: createMockFn(Promise.resolve()),
+          waitForContent: createMockFn(Promise.resolve()),
+        },
+        postExtractor: {
+          extractPostsFromPage: createMockFn(() =>
+            Promise.resolve(scrolledPosts)
+          ),
+          hasMoreContent: createMockFn(Promise.resolve(false)),
+        },
+        scrollHandler: { scrollToLoadMore: createMockFn(Promise.resolve()) },
+      })
+
+    const writeFeed = async count => {
+      const items = Array.from({ length: count }, (_, index) =>
+        createFeedItem(index + 1, `${20 - index} Mar 2024 10:00:00 GMT`)
+      )
+      await fs.writeFile(feedFile, createFeedXml(items))
+    }
+
+    beforeEach(() => {
+      feedFile = path.join(os.tmpdir(), `medium-feed-${process.pid}.xml`)
+      browserPool = {
+        withPage: createMockFn(operation =>
+          operation({ url: () => 'https://medium.com/@writer' })
+        ),
+      }
+      scrolledPosts = []
+      scraper = createScraper()
+    })
+
+    afterEach(async () => {
+      await fs.rm(feedFile, { force: true })
+    })
+
+    it('Then rss mode should discover posts without opening a browser', async () => {
+      await writeFeed(3)
+
+      const result = await scraper.discoverPosts('https://medium.com/@writer', {
+        discovery: 'rss',
+        feedFile,
+      })
+
+      expect(result.success).toBe(true)
+      expect(result.totalCount).toBe(3)
+      expect(browserPool.withPage.calls).toHaveLength(0)
+      expect(result.isPartial).toBe(true)
+    })
+
+    it('And auto mode should skip scrolling when the feed holds every post', async () => {
+      await writeFeed(FEED_WINDOW - 1)
+
+      const result = await scraper.discoverPosts('https://medium.com/@writer', {
+        discovery: 'auto',
+        feedFile,
+      })
+
+      expect(result.totalCount).toBe(FEED_WINDOW - 1)
+      expect(browserPool.withPage.calls).toHaveLength(0)
+      expect(result.isPartial).toBe(false)
+    })
+
+    it('And auto mode should add only scrolled posts older than the feed window', async () => {
+      await writeFeed(FEED_WINDOW)
+      scrolledPosts = [
+        // Already in the feed, listed under a different URL form
+        {
+          url: `https://writer.medium.com/post-1-${hexId(1)}`,
+          title: 'Post number 1',
+          publishDate: 'Mar 20, 2024',
+        },
+        // Newer than the oldest feed post but missing from it
+        {
+          url: `https://medium.com/@writer/pinned-${hexId(99)}`,
+          title: 'Pinned',
+          publishDate: 'Mar 19, 2024',
+        },
+        {
+          url: `https://medium.com/@writer/older-${hexId(100)}`,
+          title: 'Older post',
+          publishDate: 'Jan 2, 2023',
+        },
+      ]
+
+      const result = await scraper.discoverPosts('https://medium.com/@writer', {
+        discovery: 'auto',
+        feedFile,
+        fastMode: true,
+      })
+
+      expect(browserPool.withPage.calls).toHaveLength(1)
+      expect(result.totalCount).toBe(FEED_WINDOW + 1)
+      expect(result.posts[FEED_WINDOW]).toMatchObject({
+        title: 'Older post',
+        source: 'scroll',
+      })
+    })
+  })
+})
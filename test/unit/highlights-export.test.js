@@ -0,0 +1,236 @@
+import path from 'path'
+import { JSDOM } from 'jsdom'
+import {
+  createHighlightsDiscovery,
+  groupHighlightsByStory,
+  HIGHLIGHTS_URL,
+  readHighlightsPage,
+  toHighlight,
+} from '../../src/scraper/highlights-discovery.js'
+import { formatStoryHighlights } from '../../src/highlights.js'
+import { createScrapePipeline } from '../../src/main/pipeline.js'
+import { createStorageService } from '../../src/storage.js'
+import { SELECTORS } from '../../src/constants.js'
+import { createMockFn } from '../test-utils.js'
+
+const SHIPPING_URL = 'https://medium.com/@sam/shipping-fast-2b3c4d5e6f7a'
+const TESTING_URL = 'https://medium.com/our-pub/testing-slow-3c4d5e6f7a8b'
+const OTHER_TESTING_URL = 'https://medium.com/@kim/testing-slow-4d5e6f7a8b9c'
+
+// Highlights page markup as saved from Medium, trimmed to the highlight cards,
+// newest first
+const HIGHLIGHTS_PAGE = `
+  <main>
+    <article data-testid="highlight">
+      <a href="${SHIPPING_URL}?source=highlights"><h2>Shipping Fast</h2></a>
+      <a href="https://medium.com/@sam" data-testid="authorName">Sam Author</a>
+      <time datetime="2024-03-02">Mar 2, 2024</time>
+      <mark data-testid="highlightText">Release on a schedule.</mark>
+      <p data-testid="highlightNote">Share with the team</p>
+    </article>
+    <article data-testid="highlight">
+      <a href="${TESTING_URL}"><h2>Testing Slow</h2></a>
+      <time datetime="2024-02-20">Feb 20, 2024</time>
+      <mark data-testid="highlightText">Flaky tests are bugs.</mark>
+    </article>
+    <article data-testid="highlight">
+      <a href="${SHIPPING_URL}"><h2>Shipping Fast</h2></a>
+      <a href="https://medium.com/@sam" data-testid="authorName">Sam Author</a>
+      <time datetime="2024-02-10">Feb 10, 2024</time>
+      <mark data-testid="highlightText">Small changes ship faster.</mark>
+    </article>
+    <article data-testid="highlight">
+      <a href="https://medium.com/@someone"><h2>A profile, not a story</h2></a>
+      <mark data-testid="highlightText">Not a story highlight.</mark>
+    </article>
+  </main>`
+
+const loadDocument = () =>
+  new JSDOM(HIGHLIGHTS_PAGE, { url: HIGHLIGHTS_URL }).window.document
+
+// Navigator stand-in serving the saved page to page.evaluate
+const createHighlightsNavigator = () => ({
+  navigateTo: createMockFn(Promise.resolve()),
+  waitForContent: async () => {},
+  evaluate: async (page, fn, ...args) => {
+    global.document = loadDocument()
+    try {
+      return fn(...args)
+    } finally {
+      delete global.document
+    }
+  },
+})
+
+const scrollHandler = {
+  scrollToLoadMore: createMockFn(Promise.resolve(true)),
+}
+
+describe('Highlights Export', () => {
+  describe('Given a saved highlights page', () => {
+    const items = readHighlightsPage(loadDocument(), SELECTORS)
+
+    it('Then each highlight should be read with its story and date', () => {
+      expect(items).toHaveLength(4)
+      expect(toHighlight(items[0])).toEqual({
+        text: 'Release on a schedule.',
+        note: 'Share with the team',
+        date: '2024-03-02',
+        story: {
+          title: 'Shipping Fast',
+          url: SHIPPING_URL,
+          author: 'Sam Author',
+        },
+      })
+    })
+
+    it('And highlights not made in a story should be skipped', () => {
+      expect(toHighlight(items[3])).toBeNull()
+    })
+  })
+
+  describe('Given highlights across several stories', () => {
+    const stories = groupHighlightsByStory(
+      readHighlightsPage(loadDocument(), SELECTORS)
+        .map(item => toHighlight(item))
+        .filter(Boolean)
+    )
+
+    it('Then they should be grouped by story, oldest first', () => {
+      expect(stories.map(story => story.url)).toEqual([
+        SHIPPING_URL,
+        TESTING_URL,
+      ])
+      expect(stories[0].highlights.map(highlight => highlight.text)).toEqual([
+        'Small changes ship faster.',
+        'Release on a schedule.',
+      ])
+    })
+  })
+
+  describe('Given the highlights page is discovered', () => {
+    it('Then the signed-in highlights page should be read', async () => {
+      const navigator = createHighlightsNavigator()
+      const discovery = createHighlightsDiscovery(navigator, scrollHandler)
+
+      const stories = await discovery.discoverHighlights({})
+
+      expect(navigator.navigateTo.calls[0][1]).toBe(HIGHLIGHTS_URL)
+      expect(stories).toHaveLength(2)
+    })
+  })
+
+  describe('Given a story with highlights to write', () => {
+    const markdown = formatStoryHighlights({
+      title: 'Shipping Fast',
+      url: SHIPPING_URL,
+      author: 'Sam Author',
+      highlights: [
+        { text: 'Small changes ship faster.', note: null, date: '2024-02-10' },
+        {
+          text: 'Release on a schedule.',
+          note: 'Share with the team',
+          date: '2024-03-02',
+        },
+      ],
+    })
+
+    it('Then the frontmatter should describe the source story', () => {
+      expect(markdown).toContain('title: "Shipping Fast"')
+      expect(markdown).toContain(`source: "${SHIPPING_URL}"`)
+      expect(markdown).toContain('highlights: 2')
+      expect(markdown).toContain('lastHighlighted: "2024-03-02"')
+    })
+
+    it('And each passage should be quoted with its date and note', () => {
+      expect(markdown).toContain(
+        '> Release on a schedule.\n\n*Highlighted 2024-03-02*\n\n**Note:** Share with the team'
+      )
+    })
+  })
+
+  describe('Given the pipeline exports highlights', () => {
+    const outputDir = path.join('/tmp', 'medium-output')
+    let storage
+    let result
+
+    beforeEach(async () => {
+      storage = {
+        ...createStorageService({
+          fileSystem: { fileExists: () => false },
+          outputDir,
+        }),
+        initializeDirectories: createMockFn(
+          Promise.resolve({ success: true, directories: { output: outputDir } })
+        ),
+        savePost: createMockFn((postData, markdown) =>
+          Promise.resolve({
+            success: true,
+            filePath: path.join(outputDir, `${postData.outputName}.md`),
+            markdown,
+          })
+        ),
+      }
+
+      const pipeline = createScrapePipeline({
+        authService: { getAuthStatus: async () => ({ authenticated: true }) },
+        scraperService: {
+          discoverHighlights: createMockFn(
+            Promise.resolve({
+              success: true,
+              totalCount: 2,
+              stories: [
+                {
+                  title: 'Testing Slow',
+                  url: TESTING_URL,
+                  author: null,
+                  highlights: [
+                    {
+                      text: 'Flaky tests are bugs.',
+                      note: null,
+                      date: '2024-02-20',
+                    },
+                  ],
+                },
+                {
+                  title: 'Testing Slow',
+                  url: OTHER_TESTING_URL,
+                  author: null,
+                  highlights: [
+                    { text: 'Retries hide bugs.', note: null, date: null },
+                  ],
+                },
+              ],
+            })
+          ),
+        },
+        converter: {},
+        storage,
+        config: { concurrency: 1, requestDelay: 1, retryAttempts: 1 },
+        logger: {
+          info: () => {},
+          success: () => {},
+          warn: () => {},
+          error: () => {},
+          progress: () => {},
+        },
+      })
+
+      result = await pipeline.exportHighlights()
+    })
+
+    it('Then each story should be saved under highlights/ like a post', () => {
+      expect(result.success).toBe(true)
+      expect(storage.savePost.calls[0][0]).toEqual({
+        outputName: 'highlights/testing-slow',
+      })
+      expect(storage.savePost.calls[0][1]).toContain('> Flaky tests are bugs.')
+    })
+
+    it('And a story with the same title should get its own file', () => {
+      expect(storage.savePost.calls[1][0]).toEqual({
+        outputName: 'highlights/testing-slow-4d5e6f7a8b9c',
+      })
+    })
+  })
+})
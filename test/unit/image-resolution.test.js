@@ -0,0 +1,146 @@
+import { getFullResolutionUrl } from '../../src/image-urls.js'
+import { createStorageService } from '../../src/storage.js'
+import { validateConfig } from '../../src/config.js'
+import { createMockFn } from '../test-utils.js'
+
+describe('Full-Resolution Images', () => {
+  const renderedUrl =
+    'https://miro.medium.com/v2/resize:fit:700/1*AbCdEf123.png'
+
+  describe('Given a miro.medium.com URL rendered at 700px', () => {
+    it('Then the original rendition should drop the resize operation', () => {
+      expect(getFullResolutionUrl(renderedUrl, 'original')).toBe(
+        'https://miro.medium.com/v2/1*AbCdEf123.png'
+      )
+    })
+
+    it('And a configured max width should replace the rendered width', () => {
+      expect(getFullResolutionUrl(renderedUrl, 2000)).toBe(
+        'https://miro.medium.com/v2/resize:fit:2000/1*AbCdEf123.png'
+      )
+    })
+
+    it('And a max width below the rendered width should not shrink it', () => {
+      expect(getFullResolutionUrl(renderedUrl, 400)).toBe(renderedUrl)
+    })
+
+    it('And the rendered setting should keep the URL as it is', () => {
+      expect(getFullResolutionUrl(renderedUrl, 'rendered')).toBe(renderedUrl)
+    })
+  })
+
+  describe('Given other image URLs', () => {
+    it('Then legacy /max/ URLs should be rewritten to the v2 form', () => {
+      expect(
+        getFullResolutionUrl(
+          'https://cdn-images-1.medium.com/max/800/1*AbCdEf123.jpeg',
+          1600
+        )
+      ).toBe('https://miro.medium.com/v2/resize:fit:1600/1*AbCdEf123.jpeg')
+    })
+
+    it('And cropped images and other hosts should be left alone', () => {
+      const cropped =
+        'https://miro.medium.com/v2/resize:fill:88:88/1*AbCdEf123.png'
+      expect(getFullResolutionUrl(cropped)).toBe(cropped)
+      expect(getFullResolutionUrl('https://example.com/a.png')).toBe(
+        'https://example.com/a.png'
+      )
+    })
+  })
+
+  describe('Given a post whose full-resolution image cannot be fetched', () => {
+    let result
+    let mockFileSystem
+    let mockImageDownloader
+
+    beforeEach(async () => {
+      mockFileSystem = {
+        ensureDirectory: createMockFn(Promise.resolve(true)),
+        writeFile: createMockFn(Promise.resolve(true)),
+        fileExists: createMockFn(false),
+        readFile: createMockFn(Promise.resolve('')),
+      }
+
+      mockImageDownloader = {
+        downloadImage: createMockFn(url =>
+          url.includes('resize:fit:700')
+            ? Promise.resolve(true)
+            : Promise.reject(new Error('HTTP 404: Not Found'))
+        ),
+        getImageExtension: createMockFn('.png'),
+        generateImageFilename: createMockFn(
+          (slug, index) => `${slug}-${String(index).padStart(2, '0')}.png`
+        ),
+      }
+
+      const storage = createStorageService({
+        fileSystem: mockFileSystem,
+        imageDownloader: mockImageDownloader,
+        outputDir: '/tmp/image-resolution-output',
+      })
+
+      const originalWarn = console.warn
+      console.warn = () => {}
+      try {
+        result = await storage.savePostWithImages(
+          { slug: 'sharp-post', title: 'Sharp Post' },
+          `![Chart](${renderedUrl})`,
+          [{ src: renderedUrl, alt: 'Chart' }],
+          { imageStrategy: 'download', imageMaxWidth: 'original' }
+        )
+      } finally {
+        console.warn = originalWarn
+      }
+    })
+
+    it('Then it should fall back to the rendered URL', () => {
+      expect(result.imagesDownloaded).toBe(1)
+      expect(
+        mockImageDownloader.downloadImage.calls.map(call => call[0])
+      ).toEqual(['https://miro.medium.com/v2/1*AbCdEf123.png', renderedUrl])
+    })
+
+    it('And the image manifest should record both URLs', () => {
+      const manifestCall = mockFileSystem.writeFile.calls.find(call =>
+        call[0].endsWith('image-manifest.json')
+      )
+      const manifest = JSON.parse(manifestCall[1])
+
+      expect(manifest).toEqual([
+        {
+          type: 'content',
+          alt: 'Chart',
+          path: './images/sharp-post-01.png',
+          renderedUrl,
+          requestedUrl: 'https://miro.medium.com/v2/1*AbCdEf123.png',
+          downloadedFrom: renderedUrl,
+        },
+      ])
+    })
+  })
+
+  describe('Given an imageMaxWidth setting', () => {
+    const baseConfig = {
+      outputDirectory: 'output',
+      concurrency: 3,
+      retryAttempts: 3,
+      namingScheme: 'slug',
+    }
+
+    it('Then pixel widths and named settings should be accepted', () => {
+      expect(
+        validateConfig({ ...baseConfig, imageMaxWidth: 2000 }).isValid
+      ).toBe(true)
+      expect(
+        validateConfig({ ...baseConfig, imageMaxWidth: 'original' }).isValid
+      ).toBe(true)
+    })
+
+    it('And anything else should be rejected', () => {
+      expect(
+        validateConfig({ ...baseConfig, imageMaxWidth: 'huge' }).isValid
+      ).toBe(false)
+    })
+  })
+})
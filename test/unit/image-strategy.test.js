@@ -0,0 +1,235 @@
+import { createStorageService } from '../../src/storage.js'
+import { resolveImageStrategy, validateConfig } from '../../src/config.js'
+import { createPostConverter } from '../../src/converter.js'
+import { createMockFn } from '../test-utils.js'
+
+describe('Image Strategies', () => {
+  const postData = {
+    slug: 'image-post',
+    title: 'Image Post',
+    featuredImage: 'https://example.com/cover.jpg',
+  }
+
+  const markdown = `---
+title: "Image Post"
+featuredImage: "https://example.com/cover.jpg"
+---
+
+# Image Post
+
+Intro paragraph.
+
+![Diagram](https://example.com/diagram.png)
+*A helpful diagram*
+
+Closing paragraph.`
+
+  const referencedImages = [
+    { src: 'https://example.com/diagram.png', alt: 'Diagram' },
+  ]
+
+  let mockFileSystem
+  let mockImageDownloader
+  let storage
+
+  const getWrittenMarkdown = () =>
+    mockFileSystem.writeFile.calls.find(call => call[0].endsWith('.md'))[1]
+
+  beforeEach(() => {
+    mockFileSystem = {
+      ensureDirectory: createMockFn(Promise.resolve(true)),
+      writeFile: createMockFn(Promise.resolve(true)),
+      fileExists: createMockFn(false),
+      readFile: createMockFn(Promise.resolve('')),
+    }
+
+    mockImageDownloader = {
+      downloadImage: createMockFn(Promise.resolve(true)),
+      fetchImage: createMockFn(url =>
+        Promise.resolve({
+          buffer: Buffer.alloc(url.includes('cover') ? 500 : 10, 1),
+          contentType: 'image/png',
+        })
+      ),
+      getImageExtension: createMockFn('.jpg'),
+      generateImageFilename: createMockFn((slug, index, url, isFeatured) =>
+        isFeatured
+          ? `${slug}-featured.jpg`
+          : `${slug}-${String(index).padStart(2, '0')}.jpg`
+      ),
+    }
+
+    storage = createStorageService({
+      fileSystem: mockFileSystem,
+      imageDownloader: mockImageDownloader,
+      outputDir: '/tmp/image-strategy-output',
+    })
+  })
+
+  describe('Given the download strategy', () => {
+    describe('When a post with a featured image outside the body is saved', () => {
+      let result
+
+      beforeEach(async () => {
+        result = await storage.savePostWithImages(
+          postData,
+          markdown,
+          referencedImages,
+          { imageStrategy: 'download' }
+        )
+      })
+
+      it('Then it should download the body and featured images', () => {
+        expect(result.success).toBe(true)
+        expect(result.imagesDownloaded).toBe(2)
+      })
+
+      it('And the frontmatter should point at the downloaded featured image', () => {
+        const written = getWrittenMarkdown()
+        expect(written).toContain(
+          'featuredImage: "./images/image-post-featured.jpg"'
+        )
+        expect(written).toContain('![Diagram](./images/image-post-01.jpg)')
+      })
+    })
+  })
+
+  describe('Given the remote strategy', () => {
+    describe('When the post is saved', () => {
+      let result
+
+      beforeEach(async () => {
+        result = await storage.savePostWithImages(
+          postData,
+          markdown,
+          referencedImages,
+          { imageStrategy: 'remote' }
+        )
+      })
+
+      it('Then no images should be downloaded', () => {
+        expect(result.imagesDownloaded).toBe(0)
+        expect(mockImageDownloader.downloadImage.calls.length).toBe(0)
+      })
+
+      it('And the markdown should keep the remote URLs', () => {
+        const written = getWrittenMarkdown()
+        expect(written).toContain(
+          'featuredImage: "https://example.com/cover.jpg"'
+        )
+        expect(written).toContain('![Diagram](https://example.com/diagram.png)')
+      })
+    })
+  })
+
+  describe('Given the skip strategy', () => {
+    describe('When the post is saved', () => {
+      let written
+
+      beforeEach(async () => {
+        await storage.savePostWithImages(postData, markdown, referencedImages, {
+          imageStrategy: 'skip',
+        })
+        written = getWrittenMarkdown()
+      })
+
+      it('Then images and their captions should be removed', () => {
+        expect(written).not.toContain('![')
+        expect(written).not.toContain('A helpful diagram')
+        expect(written).toContain('Intro paragraph.\n\nClosing paragraph.')
+      })
+
+      it('And the featuredImage frontmatter should be dropped', () => {
+        expect(written).not.toContain('featuredImage')
+        expect(mockImageDownloader.downloadImage.calls.length).toBe(0)
+      })
+    })
+  })
+
+  describe('Given the inline-base64 strategy with a 100 byte limit', () => {
+    describe('When the post is saved', () => {
+      let result
+      let written
+
+      beforeEach(async () => {
+        result = await storage.savePostWithImages(
+          postData,
+          markdown,
+          referencedImages,
+          { imageStrategy: 'inline-base64', inlineImageMaxBytes: 100 }
+        )
+        written = getWrittenMarkdown()
+      })
+
+      it('Then small images should be embedded as data URIs', () => {
+        expect(result.imagesInlined).toBe(1)
+        expect(written).toContain('![Diagram](data:image/png;base64,')
+      })
+
+      it('And images over the limit should be downloaded instead', () => {
+        expect(result.imagesDownloaded).toBe(1)
+        expect(written).toContain(
+          'featuredImage: "./images/image-post-featured.jpg"'
+        )
+      })
+    })
+  })
+
+  describe('Given the inline-base64 strategy and a featured image under the limit', () => {
+    it('Then the featured image should still be downloaded for the frontmatter', async () => {
+      const result = await storage.savePostWithImages(
+        postData,
+        markdown,
+        referencedImages,
+        { imageStrategy: 'inline-base64', inlineImageMaxBytes: 1000 }
+      )
+
+      const written = getWrittenMarkdown()
+      expect(result.imagesInlined).toBe(1)
+      expect(result.imagesDownloaded).toBe(1)
+      expect(written).toContain(
+        'featuredImage: "./images/image-post-featured.jpg"'
+      )
+      expect(written).toContain('![Diagram](data:image/png;base64,')
+    })
+  })
+
+  describe('Given a scraper configuration', () => {
+    it('Then includeImages false should resolve to the skip strategy', () => {
+      expect(
+        resolveImageStrategy({ includeImages: false, imageStrategy: 'remote' })
+      ).toBe('skip')
+      expect(resolveImageStrategy({ includeImages: true })).toBe('download')
+      expect(
+        resolveImageStrategy({
+          includeImages: true,
+          imageStrategy: 'inline-base64',
+        })
+      ).toBe('inline-base64')
+    })
+
+    it('And unknown strategies should fail validation', () => {
+      const { errors } = validateConfig({
+        outputDirectory: 'output',
+        concurrency: 3,
+        retryAttempts: 3,
+        imageStrategy: 'embed',
+      })
+      expect(errors.some(error => error.includes('imageStrategy'))).toBe(true)
+    })
+  })
+
+  describe('Given the converter generates frontmatter', () => {
+    it('Then featuredImage should carry the remote URL for storage to rewrite', async () => {
+      const converter = createPostConverter()
+      const result = await converter.convertPost({
+        title: 'Image Post',
+        content: '<p>Body</p>',
+        featuredImage: 'https://example.com/cover.jpg',
+      })
+      expect(result.markdown).toContain(
+        'featuredImage: "https://example.com/cover.jpg"'
+      )
+    })
+  })
+})
@@ -0,0 +1,101 @@
+import {
+  convertImage,
+  detectImageType,
+  withExtension,
+} from '../../src/image-types.js'
+
+describe('Image Type Detection', () => {
+  const bytes = (...values) =>
+    Buffer.concat([Buffer.from(values), Buffer.alloc(16)])
+
+  describe('Given downloaded image bytes', () => {
+    it('Then JPEG, PNG and GIF should be recognized by their magic bytes', () => {
+      expect(detectImageType(bytes(0xff, 0xd8, 0xff, 0xe0)).extension).toBe(
+        '.jpg'
+      )
+      expect(detectImageType(bytes(0x89, 0x50, 0x4e, 0x47)).extension).toBe(
+        '.png'
+      )
+      expect(detectImageType(Buffer.from('GIF89a....')).extension).toBe('.gif')
+    })
+
+    it('And WebP served under a .png URL should be detected as WebP', () => {
+      const webp = Buffer.from('RIFF\x24\x00\x00\x00WEBPVP8 ', 'binary')
+      expect(detectImageType(webp, 'image/png')).toMatchObject({
+        type: 'webp',
+        extension: '.webp',
+        mimeType: 'image/webp',
+      })
+    })
+
+    it('And AVIF and SVG should be recognized', () => {
+      const avif = Buffer.from('\x00\x00\x00\x1cftypavif', 'binary')
+      expect(detectImageType(avif).type).toBe('avif')
+      expect(
+        detectImageType(Buffer.from('<?xml version="1.0"?><svg></svg>')).type
+      ).toBe('svg')
+    })
+
+    it('And the Content-Type header should be used when bytes are unknown', () => {
+      expect(detectImageType(Buffer.alloc(16), 'image/gif; q=1').type).toBe(
+        'gif'
+      )
+    })
+  })
+
+  describe('Given a response that is not an image', () => {
+    it('Then an HTML error page should be rejected', () => {
+      const page = Buffer.from('\n  <!DOCTYPE html><html><body>404</body>')
+      expect(() => detectImageType(page, 'image/jpeg')).toThrow(
+        'Received an HTML page instead of an image'
+      )
+      expect(() => detectImageType(Buffer.alloc(16), 'text/html')).toThrow(
+        'HTML page'
+      )
+    })
+
+    it('And unrecognizable data should be rejected', () => {
+      expect(() =>
+        detectImageType(Buffer.alloc(16), 'application/octet-stream')
+      ).toThrow('Unrecognized image data')
+    })
+  })
+
+  describe('Given a file name with a guessed extension', () => {
+    it('Then the detected extension should replace or be appended to it', () => {
+      expect(withExtension('images/post-01.png', '.webp')).toBe(
+        'images/post-01.webp'
+      )
+      expect(withExtension('post-featured', '.jpg')).toBe('post-featured.jpg')
+    })
+  })
+
+  describe('Given conversion to PNG is requested', () => {
+    it('Then a WebP image should be re-encoded as PNG', async () => {
+      const sharp = (await import('sharp')).default
+      const webp = await sharp({
+        create: {
+          width: 2,
+          height: 2,
+          channels: 3,
+          background: { r: 255, g: 0, b: 0 },
+        },
+      })
+        .webp()
+        .toBuffer()
+
+      const converted = await convertImage(
+        { buffer: webp, ...detectImageType(webp) },
+        'png'
+      )
+
+      expect(converted.extension).toBe('.png')
+      expect(detectImageType(converted.buffer).type).toBe('png')
+    })
+
+    it('And formats that need no conversion should pass through', async () => {
+      const image = { buffer: bytes(0xff, 0xd8, 0xff), type: 'jpeg' }
+      expect(await convertImage(image, 'png')).toBe(image)
+    })
+  })
+})
@@ -0,0 +1,279 @@
+import path from 'path'
+import { JSDOM } from 'jsdom'
+import {
+  createListsDiscovery,
+  getListsUrl,
+  normalizeListUrl,
+  readListPage,
+  toListStory,
+} from '../../src/scraper/lists-discovery.js'
+import { formatListIndex } from '../../src/lists.js'
+import { createScrapePipeline } from '../../src/main/pipeline.js'
+import { createScraperService } from '../../src/scraper/index.js'
+import { SELECTORS } from '../../src/constants.js'
+import { createMockFn } from '../test-utils.js'
+
+const PROFILE_URL = 'https://medium.com/@jane'
+const GUIDE_URL = `${PROFILE_URL}/list/team-reading-guide-1a2b3c4d5e6f`
+const READING_LIST_URL = `${PROFILE_URL}/list/reading-list`
+const SHIPPING_URL = 'https://medium.com/@sam/shipping-fast-2b3c4d5e6f7a'
+const TESTING_URL = 'https://medium.com/our-pub/testing-slow-3c4d5e6f7a8b'
+
+// Lists page and list page markup as saved from Medium, trimmed to the
+// list cards and stories
+const LIST_PAGES = {
+  [`${PROFILE_URL}/lists`]: `
+    <main>
+      <section data-testid="list-card">
+        <a href="${GUIDE_URL}?source=user_lists"><h2>Team Reading Guide</h2></a>
+        <a href="${GUIDE_URL}">3 stories</a>
+      </section>
+      <section data-testid="list-card">
+        <a href="${READING_LIST_URL}"><h2>Reading list</h2></a>
+      </section>
+    </main>`,
+  [GUIDE_URL]: `
+    <main>
+      <h1 data-testid="listTitle">Team Reading Guide</h1>
+      <p data-testid="listDescription">Start here when joining the team.</p>
+      <article>
+        <a href="https://medium.com/@sam" data-testid="authorName">Sam Author</a>
+        <a href="${SHIPPING_URL}?source=list-abc"><h2>Shipping Fast</h2></a>
+        <blockquote data-testid="listItemNote">Read this before your first release.</blockquote>
+      </article>
+      <article>
+        <a href="${TESTING_URL}"><h2>Testing Slow</h2></a>
+      </article>
+      <article>
+        <a href="https://medium.com/@someone"><h2>A profile, not a story</h2></a>
+      </article>
+    </main>`,
+  [READING_LIST_URL]: `
+    <main>
+      <h1 data-testid="listTitle">Reading list</h1>
+      <article><a href="${SHIPPING_URL}"><h2>Shipping Fast</h2></a></article>
+    </main>`,
+}
+
+const loadDocument = url => new JSDOM(LIST_PAGES[url], { url }).window.document
+
+// Navigator stand-in serving the saved pages to page.evaluate
+const createListsNavigator = () => {
+  let currentUrl = null
+
+  return {
+    navigateTo: async (page, url) => {
+      currentUrl = url
+    },
+    waitForContent: async () => {},
+    evaluate: async (page, fn, ...args) => {
+      global.document = loadDocument(currentUrl)
+      try {
+        return fn(...args)
+      } finally {
+        delete global.document
+      }
+    },
+  }
+}
+
+const scrollHandler = {
+  scrollToLoadMore: createMockFn(Promise.resolve(true)),
+}
+
+describe('Medium Lists Export', () => {
+  describe('Given list URLs', () => {
+    it('Then list pages should be recognized without tracking parameters', () => {
+      expect(getListsUrl(`${PROFILE_URL}/`)).toBe(`${PROFILE_URL}/lists`)
+      expect(normalizeListUrl(`${GUIDE_URL}?source=user_lists`)).toBe(GUIDE_URL)
+      expect(normalizeListUrl(SHIPPING_URL)).toBeNull()
+    })
+  })
+
+  describe('Given a saved list page', () => {
+    const list = readListPage(loadDocument(GUIDE_URL), SELECTORS)
+
+    it('Then its title, description and stories should be read', () => {
+      expect(list.title).toBe('Team Reading Guide')
+      expect(list.description).toBe('Start here when joining the team.')
+      expect(list.items).toHaveLength(3)
+    })
+
+    it('And each story should keep its author and note', () => {
+      expect(toListStory(list.items[0])).toEqual({
+        title: 'Shipping Fast',
+        url: SHIPPING_URL,
+        author: 'Sam Author',
+        note: 'Read this before your first release.',
+      })
+      expect(toListStory(list.items[2])).toBeNull()
+    })
+  })
+
+  describe('Given a profile with lists', () => {
+    const discovery = createListsDiscovery(
+      createListsNavigator(),
+      scrollHandler
+    )
+
+    it('Then every list should be found once', async () => {
+      expect(await discovery.discoverLists({}, PROFILE_URL)).toEqual([
+        { title: 'Team Reading Guide', url: GUIDE_URL },
+        { title: 'Reading list', url: READING_LIST_URL },
+      ])
+    })
+
+    it('And each list should be read with its stories', async () => {
+      const list = await discovery.readList({}, GUIDE_URL)
+
+      expect(list.stories.map(story => story.url)).toEqual([
+        SHIPPING_URL,
+        TESTING_URL,
+      ])
+    })
+
+    it('And the scraper should lease a page per list it reads', async () => {
+      const browserPool = {
+        withPage: createMockFn(operation => operation({})),
+      }
+      const scraper = createScraperService({
+        authService: { isAuthenticated: createMockFn(Promise.resolve(true)) },
+        browserPool,
+        listsDiscovery: discovery,
+      })
+
+      const result = await scraper.discoverLists(PROFILE_URL)
+
+      expect(result.lists).toHaveLength(2)
+      expect(browserPool.withPage.calls).toHaveLength(3)
+    })
+  })
+
+  describe('Given a list to index', () => {
+    const list = {
+      title: 'Team Reading Guide',
+      url: GUIDE_URL,
+      description: 'Start here when joining the team.',
+      stories: [
+        {
+          title: 'Shipping Fast',
+          url: SHIPPING_URL,
+          author: 'Sam Author',
+          note: 'Read this before your first release.',
+        },
+        { title: 'Testing Slow', url: TESTING_URL, author: null, note: null },
+      ],
+    }
+
+    it('Then the index should link every story with its note', () => {
+      const markdown = formatListIndex(
+        list,
+        new Map([[SHIPPING_URL, '../shipping-fast/shipping-fast.md']])
+      )
+
+      expect(markdown).toContain('title: "Team Reading Guide"')
+      expect(markdown).toContain('stories: 2')
+      expect(markdown).toContain(
+        `1. [Shipping Fast](${SHIPPING_URL}) by Sam Author ([saved copy](../shipping-fast/shipping-fast.md))\n\n   > Read this before your first release.`
+      )
+      expect(markdown).toContain(`2. [Testing Slow](${TESTING_URL})\n`)
+    })
+  })
+
+  describe('Given the pipeline exports lists with their stories', () => {
+    const outputDir = path.join('/tmp', 'medium-output')
+    let storage
+    let result
+
+    beforeEach(async () => {
+      storage = {
+        outputDir,
+        initializeDirectories: createMockFn(
+          Promise.resolve({ success: true, directories: { output: outputDir } })
+        ),
+        loadMetadata: async () => ({ success: true, metadata: null }),
+        getChangeStatus: () => 'new',
+        saveMetadata: createMockFn(Promise.resolve({ success: true })),
+        savePostWithImages: async postData => ({
+          success: true,
+          markdownFile: path.join(
+            outputDir,
+            postData.slug,
+            `${postData.slug}.md`
+          ),
+          postDir: path.join(outputDir, postData.slug),
+        }),
+        saveListIndex: createMockFn((slug, content) =>
+          Promise.resolve({
+            success: true,
+            filePath: path.join(outputDir, 'lists', `${slug}.md`),
+            content,
+          })
+        ),
+      }
+
+      const pipeline = createScrapePipeline({
+        authService: { getAuthStatus: async () => ({ authenticated: true }) },
+        scraperService: {
+          discoverLists: createMockFn(
+            Promise.resolve({
+              success: true,
+              profileUrl: PROFILE_URL,
+              lists: [
+                {
+                  title: 'Team Reading Guide',
+                  url: GUIDE_URL,
+                  stories: [{ title: 'Shipping Fast', url: SHIPPING_URL }],
+                },
+                {
+                  title: 'Reading list',
+                  url: READING_LIST_URL,
+                  stories: [{ title: 'Shipping Fast', url: SHIPPING_URL }],
+                },
+              ],
+            })
+          ),
+          extractPostContent: createMockFn(url =>
+            Promise.resolve({ success: true, url, title: 'Shipping Fast' })
+          ),
+        },
+        converter: {
+          convertPost: async () => ({
+            success: true,
+            slug: 'shipping-fast',
+            markdown: '',
+            referencedImages: [],
+          }),
+        },
+        storage,
+        config: { concurrency: 1, requestDelay: 1, retryAttempts: 1 },
+        logger: {
+          info: () => {},
+          success: () => {},
+          warn: () => {},
+          error: () => {},
+          progress: () => {},
+        },
+      })
+
+      result = await pipeline.exportLists(PROFILE_URL, {
+        scrapeStories: true,
+      })
+    })
+
+    it('Then each list should get an index named by its slug', () => {
+      expect(result.success).toBe(true)
+      expect(storage.saveListIndex.calls.map(call => call[0])).toEqual([
+        'team-reading-guide-1a2b3c4d5e6f',
+        'reading-list',
+      ])
+    })
+
+    it('And stories on several lists should be saved once and linked', () => {
+      expect(result.stories.postsSuccessful).toBe(1)
+      expect(storage.saveListIndex.calls[1][1]).toContain(
+        '([saved copy](../shipping-fast/shipping-fast.md))'
+      )
+    })
+  })
+})
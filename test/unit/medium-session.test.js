@@ -0,0 +1,137 @@
+import { createAuthService } from '../../src/auth.js'
+import { isMediumSession } from '../../src/cookies.js'
+import { createBrowserManager } from '../../src/scraper/browser-manager.js'
+import { createMockFn } from '../test-utils.js'
+
+const SIGNED_IN_COOKIES = [
+  {
+    name: 'sid',
+    value: '1:abc',
+    domain: '.medium.com',
+    path: '/',
+    expires: -1,
+    httpOnly: true,
+    secure: true,
+    size: 9,
+    session: true,
+  },
+  { name: 'uid', value: 'a1b2c3d4', domain: '.medium.com', expires: -1 },
+]
+
+// Token storage holding valid Google tokens, which alone no longer sign
+// pages in to Medium
+const createTokenStorage = () => ({
+  exists: () => true,
+  load: async () => ({
+    access_token: 'google_token',
+    expiry_date: Date.now() + 3600000,
+  }),
+  save: createMockFn(Promise.resolve(true)),
+})
+
+const createSessionStorage = (session = null) => ({
+  exists: () => session !== null,
+  load: async () => session,
+  save: createMockFn(saved => {
+    session = saved
+    return Promise.resolve(true)
+  }),
+})
+
+describe('Medium Session Login', () => {
+  describe('Given Medium cookies', () => {
+    it('Then a sid and a member uid should count as signed in', () => {
+      expect(isMediumSession(SIGNED_IN_COOKIES)).toBe(true)
+    })
+
+    it('And logged-out or expired cookies should not', () => {
+      expect(
+        isMediumSession([
+          { name: 'sid', value: '1:abc', expires: -1 },
+          { name: 'uid', value: 'lo_8f3e2a', expires: -1 },
+        ])
+      ).toBe(false)
+      expect(
+        isMediumSession(
+          SIGNED_IN_COOKIES.map(cookie => ({ ...cookie, expires: 1000 })),
+          2000 * 1000
+        )
+      ).toBe(false)
+    })
+  })
+
+  describe('Given only Google tokens are stored', () => {
+    it('Then scraping should not count as authenticated', async () => {
+      const auth = createAuthService({
+        tokenStorage: createTokenStorage(),
+        sessionStorage: createSessionStorage(),
+      })
+
+      expect(await auth.isAuthenticated()).toBe(false)
+      expect(await auth.getAuthStatus()).toMatchObject({
+        authenticated: false,
+        hasSession: false,
+        hasTokens: true,
+      })
+    })
+  })
+
+  describe('Given the user signs in to Medium', () => {
+    let sessionStorage
+    let sessionBrowser
+    let auth
+
+    beforeEach(() => {
+      sessionStorage = createSessionStorage()
+      sessionBrowser = {
+        signIn: createMockFn(Promise.resolve(SIGNED_IN_COOKIES)),
+      }
+      auth = createAuthService({
+        tokenStorage: createTokenStorage(),
+        sessionStorage,
+        sessionBrowser,
+      })
+    })
+
+    it('Then the session cookies should be saved for Puppeteer', async () => {
+      const result = await auth.loginToMedium()
+
+      expect(result.success).toBe(true)
+      const [saved] = sessionStorage.save.calls[0]
+      expect(saved.cookies[0]).toEqual({
+        name: 'sid',
+        value: '1:abc',
+        domain: '.medium.com',
+        path: '/',
+        expires: -1,
+        httpOnly: true,
+        secure: true,
+      })
+      expect(await auth.isAuthenticated()).toBe(true)
+    })
+
+    it('And a saved session should be reused without a browser', async () => {
+      await auth.loginToMedium()
+      const result = await auth.loginToMedium()
+
+      expect(result.message).toContain('Already signed in')
+      expect(sessionBrowser.signIn.calls).toHaveLength(1)
+    })
+  })
+
+  describe('Given a saved session when a page is created', () => {
+    it('Then the page should carry the session cookies', async () => {
+      const page = {
+        setUserAgent: createMockFn(Promise.resolve()),
+        setCookie: createMockFn(Promise.resolve()),
+      }
+      const browserManager = createBrowserManager({
+        getSessionCookies: async () => SIGNED_IN_COOKIES,
+      })
+
+      await browserManager.createPage({ newPage: async () => page })
+
+      expect(page.setCookie.calls[0]).toEqual(SIGNED_IN_COOKIES)
+    })
+  })
+})
@@ -0,0 +1,229 @@
+import {
+  resolveOutputName,
+  validateNamingScheme,
+  createSlug,
+} from '../../src/naming.js'
+import { createStorageService } from '../../src/storage.js'
+import { createPostConverter } from '../../src/converter.js'
+import { createScrapePipeline } from '../../src/main/pipeline.js'
+import { createMockFn } from '../test-utils.js'
+
+describe('Naming Schemes - Output Directory Names', () => {
+  const postData = {
+    title: 'Continuous Delivery: The FAQ',
+    publishDate: '2024-03-05T10:00:00Z',
+    canonicalUrl:
+      'https://medium.com/@bdfinst/continuous-delivery-the-faq-4aadc02c1b6e',
+  }
+
+  describe('Given the built-in naming schemes', () => {
+    it('Then slug should use the URL slug of the title', () => {
+      expect(resolveOutputName(postData, 'slug')).toBe(
+        'continuous-delivery-the-faq'
+      )
+    })
+
+    it('And title should keep a readable, file-system safe title', () => {
+      expect(resolveOutputName(postData, 'title')).toBe(
+        'Continuous Delivery The FAQ'
+      )
+    })
+
+    it('And date-slug should prefix the publish date', () => {
+      expect(resolveOutputName(postData, 'date-slug')).toBe(
+        '2024-03-05-continuous-delivery-the-faq'
+      )
+    })
+
+    it('And date-slug should fall back to slug without a date', () => {
+      expect(
+        resolveOutputName({ ...postData, publishDate: '' }, 'date-slug')
+      ).toBe('continuous-delivery-the-faq')
+    })
+  })
+
+  describe('Given a template naming scheme', () => {
+    it('Then tokens should expand into nested directories', () => {
+      expect(resolveOutputName(postData, '{yyyy}/{mm}/{slug}')).toBe(
+        '2024/03/continuous-delivery-the-faq'
+      )
+      expect(resolveOutputName(postData, '{yyyy}/{id}')).toBe(
+        '2024/4aadc02c1b6e'
+      )
+    })
+
+    it('And invalid templates should be rejected by validation', () => {
+      expect(validateNamingScheme('{yyyy}/{slug}')).toEqual([])
+      expect(validateNamingScheme('{yyyy}/{mm}')).toContain(
+        'namingScheme template must include {slug}, {title} or {id}'
+      )
+      expect(validateNamingScheme('{yyyy}/{author}/{slug}')[0]).toContain(
+        '{author}'
+      )
+      expect(validateNamingScheme('kebab')).toHaveLength(1)
+    })
+  })
+
+  describe('Given the converter is asked for a naming scheme', () => {
+    it('Then it should return the output name and matching filename', async () => {
+      const converter = createPostConverter()
+      const result = await converter.convertPost(
+        { ...postData, content: '<p>Body</p>' },
+        { namingScheme: 'date-slug' }
+      )
+
+      expect(result.slug).toBe(createSlug(postData.title))
+      expect(result.outputName).toBe('2024-03-05-continuous-delivery-the-faq')
+      expect(result.filename).toBe('2024-03-05-continuous-delivery-the-faq.md')
+    })
+  })
+
+  describe('Given two posts with the same title', () => {
+    let storageService
+    let mockFileSystem
+
+    beforeEach(() => {
+      mockFileSystem = {
+        ensureDirectory: createMockFn(Promise.resolve(true)),
+        writeFile: createMockFn(Promise.resolve(true)),
+        fileExists: createMockFn(false),
+        readFile: createMockFn(Promise.resolve('')),
+      }
+      storageService = createStorageService({
+        fileSystem: mockFileSystem,
+        outputDir: '/tmp/out',
+      })
+    })
+
+    const save = postId =>
+      storageService.savePostWithImages(
+        { postId, slug: 'same-title', outputName: 'same-title' },
+        '# Same Title',
+        []
+      )
+
+    it('Then they should be saved to distinct directories', async () => {
+      const first = await save('111111111111')
+      const second = await save('222222222222')
+
+      expect(first.outputName).toBe('same-title')
+      expect(second.outputName).toBe('same-title-222222222222')
+      expect(second.markdownFile).toContain(
+        'same-title-222222222222/same-title-222222222222.md'
+      )
+    })
+
+    it('And a post should keep its name when saved again', async () => {
+      await save('111111111111')
+      await save('222222222222')
+      const again = await save('111111111111')
+
+      expect(again.outputName).toBe('same-title')
+    })
+
+    it('And names reserved up front should not depend on save order', async () => {
+      const reserved = await storageService.reserveOutputNames([
+        { postId: '222222222222', outputName: 'same-title' },
+        { postId: '111111111111', outputName: 'same-title' },
+      ])
+      const second = await save('222222222222')
+      const first = await save('111111111111')
+
+      expect(reserved).toEqual(['same-title-222222222222', 'same-title'])
+      expect(first.outputName).toBe('same-title')
+      expect(second.outputName).toBe('same-title-222222222222')
+    })
+
+    it('And names from the previous run should be honored', async () => {
+      mockFileSystem.fileExists = createMockFn(true)
+      mockFileSystem.readFile = createMockFn(
+        Promise.resolve(
+          JSON.stringify({
+            postHashes: {
+              222222222222: { contentHash: 'x', outputName: 'same-title' },
+            },
+          })
+        )
+      )
+
+      const result = await save('111111111111')
+
+      expect(result.outputName).toBe('same-title-111111111111')
+    })
+
+    it('And a suffixed post should keep its suffix once the name frees up', async () => {
+      mockFileSystem.fileExists = createMockFn(true)
+      mockFileSystem.readFile = createMockFn(
+        Promise.resolve(
+          JSON.stringify({
+            postHashes: {
+              111111111111: {
+                contentHash: 'x',
+                outputName: 'same-title-111111111111',
+              },
+            },
+          })
+        )
+      )
+
+      const result = await save('111111111111')
+
+      expect(result.outputName).toBe('same-title-111111111111')
+    })
+  })
+
+  describe('Given a scrape finding two posts with the same title', () => {
+    it('Then the lower post ID should keep the plain name', async () => {
+      const storage = createStorageService({
+        fileSystem: {
+          ensureDirectory: createMockFn(Promise.resolve(true)),
+          writeFile: createMockFn(Promise.resolve(true)),
+          fileExists: createMockFn(false),
+          readFile: createMockFn(Promise.resolve('')),
+        },
+        outputDir: '/tmp/out',
+      })
+      const posts = ['222222222222', '111111111111'].map(postId => ({
+        title: 'Same Title',
+        url: `https://medium.com/@jane/same-title-${postId}`,
+      }))
+      const pipeline = createScrapePipeline({
+        authService: { getAuthStatus: async () => ({ authenticated: true }) },
+        scraperService: {
+          discoverPosts: async () => ({ success: true, posts }),
+          extractPostContent: async url => ({
+            success: true,
+            url,
+            title: 'Same Title',
+            content: '<p>Body</p>',
+          }),
+        },
+        converter: createPostConverter(),
+        storage: {
+          ...storage,
+          loadProgress: async () => ({ success: true, journal: null }),
+        },
+        config: {
+          concurrency: 1,
+          requestDelay: 1,
+          retryAttempts: 1,
+          resumeEnabled: false,
+        },
+        logger: {
+          info: () => {},
+          success: () => {},
+          warn: () => {},
+          error: () => {},
+          progress: () => {},
+        },
+      })
+
+      const result = await pipeline.scrapeProfile('https://medium.com/@jane')
+
+      expect(result.results.map(post => post.outputName)).toEqual([
+        'same-title-222222222222',
+        'same-title',
+      ])
+    })
+  })
+})
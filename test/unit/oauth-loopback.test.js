@@ -0,0 +1,152 @@
+import { createHash } from 'crypto'
+import { URL } from 'url'
+import fetch from 'node-fetch'
+import { createAuthService } from '../../src/auth.js'
+import { createMockFn } from '../test-utils.js'
+
+const TOKENS = {
+  access_token: 'google_token',
+  refresh_token: 'google_refresh',
+  expiry_date: Date.now() + 3600000,
+}
+
+// OAuth client stand-in whose consent URL carries its options as query
+// parameters, like Google's
+const createOAuthClient = redirectUri => ({
+  redirectUri,
+  generateAuthUrl: createMockFn(options => {
+    const url = new URL('https://accounts.google.com/o/oauth2/v2/auth')
+    Object.entries(options).forEach(([key, value]) =>
+      url.searchParams.set(key, value)
+    )
+    return url.toString()
+  }),
+  getToken: createMockFn(Promise.resolve({ tokens: TOKENS })),
+  setCredentials: createMockFn(),
+})
+
+// Browser stand-in that consents and follows Google's redirect back
+const createConsentingBrowser = (params = {}) => {
+  const redirects = []
+
+  return {
+    redirects,
+    launch: createMockFn(async authUrl => {
+      const consent = new URL(authUrl).searchParams
+      const redirect = new URL(consent.get('redirect_uri'))
+      redirect.searchParams.set('code', 'auth_code')
+      redirect.searchParams.set('state', params.state || consent.get('state'))
+      const response = await fetch(redirect.toString())
+      redirects.push({ url: redirect.toString(), status: response.status })
+      return true
+    }),
+  }
+}
+
+const createAuth = ({ oauthClient, browserLauncher, ...dependencies }) =>
+  createAuthService({
+    oauthClient,
+    browserLauncher,
+    tokenStorage: {
+      exists: () => false,
+      load: async () => null,
+      save: createMockFn(Promise.resolve(true)),
+    },
+    ...dependencies,
+  })
+
+describe('Loopback OAuth Redirect', () => {
+  describe('Given Google redirects back to the loopback listener', () => {
+    let oauthClient
+    let browser
+    let result
+
+    beforeEach(async () => {
+      oauthClient = createOAuthClient('http://127.0.0.1:0/oauth/callback')
+      browser = createConsentingBrowser()
+      result = await createAuth({
+        oauthClient,
+        browserLauncher: browser,
+      }).authenticate({ paste: false })
+    })
+
+    it('Then the code should be exchanged with its PKCE verifier', () => {
+      const [consent] = oauthClient.generateAuthUrl.calls[0]
+      const [exchange] = oauthClient.getToken.calls[0]
+
+      expect(result.success).toBe(true)
+      expect(browser.redirects[0].status).toBe(200)
+      expect(exchange.code).toBe('auth_code')
+      expect(exchange.redirect_uri).toBe(consent.redirect_uri)
+      expect(consent.code_challenge_method).toBe('S256')
+      expect(consent.code_challenge).toBe(
+        createHash('sha256').update(exchange.codeVerifier).digest('base64url')
+      )
+    })
+
+    it('And the listener should be shut down afterwards', async () => {
+      await expect(fetch(browser.redirects[0].url)).rejects.toThrow()
+    })
+  })
+
+  describe('Given a redirect with a different state', () => {
+    it('Then it should be rejected without exchanging a code', async () => {
+      const oauthClient = createOAuthClient('http://127.0.0.1:0/oauth/callback')
+      const browser = createConsentingBrowser({ state: 'forged' })
+
+      const result = await createAuth({
+        oauthClient,
+        browserLauncher: browser,
+      }).authenticate({ paste: false })
+
+      expect(result.success).toBe(false)
+      expect(result.message).toContain('state mismatch')
+      expect(browser.redirects[0].status).toBe(400)
+      expect(oauthClient.getToken.calls).toHaveLength(0)
+    })
+  })
+
+  describe('Given a headless machine', () => {
+    it('Then the pasted redirect URL should supply the code', async () => {
+      const oauthClient = createOAuthClient(
+        'http://localhost:8080/oauth/callback'
+      )
+      const callbackServer = { listen: createMockFn() }
+      const readline = {
+        question: createMockFn(async () => {
+          const [consent] = oauthClient.generateAuthUrl.calls[0]
+          return `http://localhost:8080/oauth/callback?code=pasted_code&state=${consent.state}`
+        }),
+      }
+
+      const result = await createAuth({
+        oauthClient,
+        browserLauncher: { launch: createMockFn(Promise.resolve(true)) },
+        callbackServer,
+        readline,
+      }).authenticate({ paste: true })
+
+      expect(result.success).toBe(true)
+      expect(callbackServer.listen.calls).toHaveLength(0)
+      expect(oauthClient.getToken.calls[0][0].code).toBe('pasted_code')
+    })
+  })
+
+  describe('Given a redirect URI that is not on this machine', () => {
+    it('Then the code should be pasted instead', async () => {
+      const callbackServer = { listen: createMockFn() }
+      const readline = { question: createMockFn(Promise.resolve('code')) }
+
+      const result = await createAuth({
+        oauthClient: createOAuthClient('https://example.com/oauth/callback'),
+        browserLauncher: { launch: createMockFn(Promise.resolve(true)) },
+        callbackServer,
+        readline,
+      }).authenticate({ paste: false })
+
+      expect(result.success).toBe(true)
+      expect(callbackServer.listen.calls).toHaveLength(0)
+      expect(readline.question.calls).toHaveLength(1)
+    })
+  })
+})
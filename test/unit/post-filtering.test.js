@@ -0,0 +1,111 @@
+import {
+  matchesDateFilter,
+  matchesTagFilter,
+  filterDiscoveredPosts,
+  getFilterReason,
+  resolveFilters,
+} from '../../src/main/post-filtering.js'
+import { processPost } from '../../src/main/post-processing.js'
+import { parsePublishDate } from '../../src/utils.js'
+import { createTestPost } from '../test-utils.js'
+
+describe('Post Filtering - Date and Tag Filters', () => {
+  const dateFilter = { from: '2024-01-01', to: '2024-06-30' }
+
+  describe('Given publish dates in different formats', () => {
+    it('Then dates with a year should be normalized to YYYY-MM-DD', () => {
+      expect(parsePublishDate('2024-01-15T10:00:00Z')).toBe('2024-01-15')
+      expect(parsePublishDate('Jan 15, 2024')).toBe('2024-01-15')
+    })
+
+    it('And relative or year-less dates should be unknown', () => {
+      expect(parsePublishDate('Jan 15')).toBe(null)
+      expect(parsePublishDate('3 days ago')).toBe(null)
+      expect(parsePublishDate(null)).toBe(null)
+    })
+  })
+
+  describe('Given a date filter', () => {
+    it('Then the range should be inclusive on both ends', () => {
+      expect(matchesDateFilter('2024-01-01', dateFilter)).toBe(true)
+      expect(matchesDateFilter('2024-06-30T23:59:00Z', dateFilter)).toBe(true)
+      expect(matchesDateFilter('2023-12-31', dateFilter)).toBe(false)
+      expect(matchesDateFilter('2024-07-01', dateFilter)).toBe(false)
+    })
+
+    it('And an unknown date should neither match nor be excluded', () => {
+      expect(matchesDateFilter('Jan 15', dateFilter)).toBe(null)
+    })
+
+    it('And discovery should only drop posts known to be out of range', () => {
+      const posts = [
+        createTestPost({ url: 'a', publishDate: '2023-05-01' }),
+        createTestPost({ url: 'b', publishDate: '2024-03-01' }),
+        createTestPost({ url: 'c', publishDate: 'Mar 1' }),
+      ]
+
+      const result = filterDiscoveredPosts(posts, { dateFilter })
+
+      expect(result.posts.map(post => post.url)).toEqual(['b', 'c'])
+      expect(result.filtered).toEqual([
+        expect.objectContaining({ url: 'a', filtered: true, success: false }),
+      ])
+    })
+  })
+
+  describe('Given a tag filter', () => {
+    it('Then any matching tag should keep the post, ignoring case', () => {
+      expect(matchesTagFilter(['DevOps', 'Testing'], ['devops'])).toBe(true)
+      expect(
+        matchesTagFilter(['Continuous Delivery'], ['continuous-delivery'])
+      ).toBe(true)
+      expect(matchesTagFilter(['Agile'], ['devops'])).toBe(false)
+      expect(matchesTagFilter([], [])).toBe(true)
+    })
+  })
+
+  describe('Given filters from config and the command line', () => {
+    it('Then command-line values should take precedence', () => {
+      const filters = resolveFilters(
+        { dateFilter: { from: '2020-01-01' }, tagFilter: ['agile'] },
+        { tagFilter: ['devops'] }
+      )
+
+      expect(filters).toEqual({
+        dateFilter: { from: '2020-01-01' },
+        tagFilter: ['devops'],
+        authorFilter: [],
+      })
+    })
+  })
+
+  describe('Given an extracted post outside the filters', () => {
+    it('Then it should be reported as filtered, not saved', async () => {
+      const filters = { dateFilter: null, tagFilter: ['devops'] }
+      const contentResult = {
+        success: true,
+        title: 'Agile Post',
+        publishDate: '2024-02-01',
+        tags: ['Agile'],
+      }
+
+      expect(getFilterReason(contentResult, filters)).toContain(
+        'no matching tags'
+      )
+
+      const result = await processPost(createTestPost(), {
+        scraperService: { extractPostContent: async () => contentResult },
+        converter: {
+          convertPost: async () => {
+            throw new Error('Filtered posts should not be converted')
+          },
+        },
+        storage: {},
+        filters,
+      })
+
+      expect(result.filtered).toBe(true)
+      expect(result.title).toBe('Agile Post')
+    })
+  })
+})
@@ -0,0 +1,211 @@
+import os from 'os'
+import path from 'path'
+import { promises as fs } from 'fs'
+import {
+  createJournal,
+  createProgressTracker,
+  getPendingPosts,
+  getSettledResults,
+  mergeDiscoveredPosts,
+  JournalStatus,
+  PostStatus,
+} from '../../src/main/progress-journal.js'
+import { createScrapePipeline } from '../../src/main/pipeline.js'
+import { createStorageService } from '../../src/storage.js'
+import { createMockFn } from '../test-utils.js'
+
+const silentLogger = {
+  info: () => {},
+  success: () => {},
+  warn: () => {},
+  error: () => {},
+  progress: () => {},
+}
+
+const createPosts = count =>
+  Array.from({ length: count }, (_, i) => ({
+    title: `Post ${i + 1}`,
+    url: `https://medium.com/@testuser/post-${i + 1}-abc123def456`,
+  }))
+
+const createMemoryStorage = (journal = null) => {
+  const storage = {
+    savedJournals: [],
+    journal,
+    initializeDirectories: createMockFn(
+      Promise.resolve({ success: true, directories: { output: 'out' } })
+    ),
+    saveProgress: async snapshot => {
+      storage.journal = snapshot
+      storage.savedJournals.push(snapshot)
+      return { success: true }
+    },
+    loadProgress: async () => ({ success: true, journal: storage.journal }),
+    loadMetadata: async () => ({ success: true, metadata: null }),
+    getChangeStatus: () => 'new',
+    saveMetadata: createMockFn(Promise.resolve({ success: true })),
+    savePostWithImages: async postData => ({
+      success: true,
+      markdownFile: `out/${postData.slug}/${postData.slug}.md`,
+      postDir: `out/${postData.slug}`,
+      imagesDownloaded: 0,
+    }),
+  }
+  return storage
+}
+
+describe('Progress Journal - Resuming Interrupted Runs', () => {
+  describe('Given a journal with mixed post statuses', () => {
+    const posts = createPosts(4)
+    let journal = createJournal({
+      profileUrl: 'https://medium.com/@testuser',
+      username: '@testuser',
+      posts,
+    })
+
+    journal = {
+      ...journal,
+      posts: journal.posts.map((entry, i) => ({
+        ...entry,
+        status: [
+          PostStatus.SUCCESS,
+          PostStatus.SKIPPED,
+          PostStatus.FAILED,
+          PostStatus.PENDING,
+        ][i],
+        result: { url: entry.url, success: i === 0, skipped: i === 1 },
+      })),
+    }
+
+    it('Then pending and failed posts should be left to process', () => {
+      expect(getPendingPosts(journal).map(post => post.url)).toEqual([
+        posts[2].url,
+        posts[3].url,
+      ])
+    })
+
+    it('And successful and skipped posts should count as settled', () => {
+      expect(getSettledResults(journal).map(result => result.url)).toEqual([
+        posts[0].url,
+        posts[1].url,
+      ])
+    })
+
+    it('And rediscovery should only add posts not already journaled', () => {
+      const merged = mergeDiscoveredPosts(journal, createPosts(6))
+
+      expect(merged.posts).toHaveLength(6)
+      expect(merged.posts[0].status).toBe(PostStatus.SUCCESS)
+      expect(merged.posts[5].status).toBe(PostStatus.PENDING)
+    })
+  })
+
+  describe('Given a tracker recording completed posts', () => {
+    it('Then every result should be persisted with its output path', async () => {
+      const storage = createMemoryStorage()
+      const posts = createPosts(2)
+      const tracker = createProgressTracker(
+        storage,
+        createJournal({ profileUrl: 'p', username: 'u', posts })
+      )
+
+      await tracker.start()
+      await tracker.record(posts[0], {
+        success: true,
+        filename: 'out/post-1/post-1.md',
+      })
+      await tracker.complete()
+
+      expect(storage.savedJournals).toHaveLength(3)
+      expect(storage.journal.status).toBe(JournalStatus.COMPLETED)
+      expect(storage.journal.posts[0].status).toBe(PostStatus.SUCCESS)
+      expect(storage.journal.posts[0].outputPath).toBe('out/post-1/post-1.md')
+      expect(storage.journal.posts[1].status).toBe(PostStatus.PENDING)
+    })
+  })
+
+  describe('Given the journal is saved to disk', () => {
+    let outputDir
+
+    beforeEach(async () => {
+      outputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'medium-progress-'))
+    })
+
+    afterEach(async () => {
+      await fs.rm(outputDir, { recursive: true, force: true })
+    })
+
+    it('Then it should be replaced whole, leaving no temp file', async () => {
+      const storage = createStorageService({ outputDir })
+      const journal = createJournal({
+        profileUrl: 'p',
+        username: 'u',
+        posts: createPosts(2),
+      })
+
+      await storage.saveProgress(journal)
+      await storage.saveProgress({
+        ...journal,
+        status: JournalStatus.COMPLETED,
+      })
+
+      expect(await fs.readdir(outputDir)).toEqual(['progress.json'])
+      expect((await storage.loadProgress()).journal.status).toBe(
+        JournalStatus.COMPLETED
+      )
+    })
+  })
+
+  describe('Given a run interrupted after the first post', () => {
+    it('When I resume, Then only the remaining posts should be extracted', async () => {
+      const posts = createPosts(3)
+      const journal = createJournal({
+        profileUrl: 'https://medium.com/@testuser',
+        username: '@testuser',
+        posts,
+      })
+      journal.posts[0] = {
+        ...journal.posts[0],
+        status: PostStatus.SUCCESS,
+        result: { url: posts[0].url, slug: 'post-1', success: true },
+      }
+
+      const storage = createMemoryStorage(journal)
+      const scraperService = {
+        discoverPosts: createMockFn(),
+        extractPostContent: createMockFn(url =>
+          Promise.resolve({ success: true, url, title: url })
+        ),
+      }
+
+      const pipeline = createScrapePipeline({
+        authService: {
+          getAuthStatus: async () => ({ authenticated: true }),
+        },
+        scraperService,
+        converter: {
+          convertPost: async post => ({
+            success: true,
+            slug: post.url.split('/').pop(),
+            markdown: '',
+            referencedImages: [],
+          }),
+        },
+        storage,
+        config: { concurrency: 1, requestDelay: 1, retryAttempts: 1 },
+        logger: silentLogger,
+      })
+
+      const result = await pipeline.resumeProfile()
+
+      expect(result.success).toBe(true)
+      expect(scraperService.discoverPosts.calls).toHaveLength(0)
+      expect(scraperService.extractPostContent.calls.map(c => c[0])).toEqual([
+        posts[1].url,
+        posts[2].url,
+      ])
+      expect(result.postsSuccessful).toBe(3)
+      expect(storage.journal.status).toBe(JournalStatus.COMPLETED)
+    })
+  })
+})
@@ -0,0 +1,340 @@
+import { JSDOM } from 'jsdom'
+import {
+  createPublicationDiscovery,
+  getArchiveUrl,
+  parseArchiveLink,
+  readArchivePage,
+} from '../../src/scraper/publication-discovery.js'
+import { createScraperService } from '../../src/scraper/index.js'
+import {
+  filterDiscoveredPosts,
+  getFilterReason,
+  matchesAuthorFilter,
+} from '../../src/main/post-filtering.js'
+import { SELECTORS } from '../../src/constants.js'
+import { urlValidator } from '../../src/utils.js'
+import { createMockFn } from '../test-utils.js'
+
+const PUBLICATION_URL = 'https://medium.com/our-pub'
+
+// Archive listing markup as saved from medium.com/<publication>/archive
+const createStreamItem = ({ slug, title, author, username, date }) => `
+  <div class="streamItem streamItem--postPreview">
+    <div class="postArticle">
+      <a href="https://medium.com/@${username}" data-action="show-user-card">${author}</a>
+      <time datetime="${date}">date</time>
+      <a href="${PUBLICATION_URL}/${slug}?source=collection_archive---------0-----------------------" data-action="open-post">
+        <h3 class="graf graf--h3 graf--title">${title}</h3>
+      </a>
+    </div>
+  </div>`
+
+const createArchivePage = ({ links = [], items = [] }) => `
+<html><body>
+  <div class="timebucket">${links
+    .map(link => `<a href="${PUBLICATION_URL}/archive/${link}">${link}</a>`)
+    .join('')}</div>
+  ${items.map(createStreamItem).join('')}
+</body></html>`
+
+const janePost = {
+  slug: 'shipping-fast-1a2b3c4d5e6f',
+  title: 'Shipping Fast',
+  author: 'Jane Writer',
+  username: 'jane',
+  date: '2024-02-10T09:00:00.000Z',
+}
+const johnPost = {
+  slug: 'testing-slow-2b3c4d5e6f7a',
+  title: 'Testing Slow',
+  author: 'John Doe',
+  username: 'john',
+  date: '2024-01-05T09:00:00.000Z',
+}
+const olderPost = {
+  slug: 'older-idea-3c4d5e6f7a8b',
+  title: 'Older Idea',
+  author: 'Jane Writer',
+  username: 'jane',
+  date: '2023-06-01T09:00:00.000Z',
+}
+
+const ARCHIVE_PAGES = {
+  [`${PUBLICATION_URL}/archive`]: createArchivePage({
+    links: ['2023', '2024'],
+  }),
+  [`${PUBLICATION_URL}/archive/2024`]: createArchivePage({
+    links: ['2024/01', '2024/02'],
+  }),
+  [`${PUBLICATION_URL}/archive/2024/02`]: createArchivePage({
+    items: [janePost],
+  }),
+  // Posts can show up in more than one month, e.g. as featured stories
+  [`${PUBLICATION_URL}/archive/2024/01`]: createArchivePage({
+    items: [johnPost, janePost],
+  }),
+  [`${PUBLICATION_URL}/archive/2023`]: createArchivePage({
+    items: [olderPost],
+  }),
+}
+
+// A busy publication whose months split on into day pages
+const DAILY_ARCHIVE_PAGES = {
+  [`${PUBLICATION_URL}/archive`]: createArchivePage({ links: ['2024'] }),
+  [`${PUBLICATION_URL}/archive/2024`]: createArchivePage({
+    links: ['2024/02'],
+  }),
+  [`${PUBLICATION_URL}/archive/2024/02`]: createArchivePage({
+    links: ['2024/02/05', '2024/02/10', '2024/02/10'],
+  }),
+  [`${PUBLICATION_URL}/archive/2024/02/10`]: createArchivePage({
+    items: [janePost],
+  }),
+  [`${PUBLICATION_URL}/archive/2024/02/05`]: createArchivePage({
+    items: [johnPost],
+  }),
+}
+
+const loadDocument = (html, url) => new JSDOM(html, { url }).window.document
+
+// Navigator stand-in serving saved archive pages to page.evaluate
+const createArchiveNavigator = (pages = ARCHIVE_PAGES) => {
+  let currentUrl = null
+
+  return {
+    visited: [],
+    navigateTo: async function (page, url) {
+      currentUrl = url
+      this.visited.push(url)
+    },
+    waitForContent: async () => {},
+    evaluate: async (page, fn, ...args) => {
+      global.document = loadDocument(pages[currentUrl], currentUrl)
+      try {
+        return fn(...args)
+      } finally {
+        delete global.document
+      }
+    },
+  }
+}
+
+describe('Publication Discovery', () => {
+  describe('Given publication URLs', () => {
+    it('Then medium.com publications and custom domains should be accepted', () => {
+      expect(
+        urlValidator.normalizePublicationUrl(
+          'https://medium.com/our-pub/archive/2024'
+        )
+      ).toBe(PUBLICATION_URL)
+      expect(
+        urlValidator.normalizePublicationUrl('https://blog.example.com/about')
+      ).toBe('https://blog.example.com')
+      expect(urlValidator.extractPublicationSlug(PUBLICATION_URL)).toBe(
+        'our-pub'
+      )
+    })
+
+    it('And profiles and Medium pages should be rejected', () => {
+      expect(urlValidator.isValidPublication('https://medium.com/@jane')).toBe(
+        false
+      )
+      expect(urlValidator.isValidPublication('https://jane.medium.com')).toBe(
+        false
+      )
+      expect(urlValidator.isValidPublication('https://medium.com/tag/js')).toBe(
+        false
+      )
+    })
+
+    it('And archive URLs should round-trip through their links', () => {
+      expect(getArchiveUrl(PUBLICATION_URL, '2024', 3)).toBe(
+        `${PUBLICATION_URL}/archive/2024/03`
+      )
+      expect(parseArchiveLink(`${PUBLICATION_URL}/archive/2024/03`)).toEqual({
+        year: '2024',
+        month: '03',
+        day: null,
+      })
+      expect(getArchiveUrl(PUBLICATION_URL, '2024', '03', 7)).toBe(
+        `${PUBLICATION_URL}/archive/2024/03/07`
+      )
+      expect(parseArchiveLink(`${PUBLICATION_URL}/archive/2024/03/07`)).toEqual(
+        { year: '2024', month: '03', day: '07' }
+      )
+      expect(parseArchiveLink(`${PUBLICATION_URL}/shipping-fast`)).toBeNull()
+    })
+  })
+
+  describe('Given a saved archive month page', () => {
+    const { posts } = readArchivePage(
+      loadDocument(
+        ARCHIVE_PAGES[`${PUBLICATION_URL}/archive/2024/02`],
+        PUBLICATION_URL
+      ),
+      SELECTORS
+    )
+
+    it('Then each listing should yield its title, link, date and author', () => {
+      expect(posts).toEqual([
+        {
+          title: 'Shipping Fast',
+          url: `${PUBLICATION_URL}/shipping-fast-1a2b3c4d5e6f?source=collection_archive---------0-----------------------`,
+          publishDate: '2024-02-10T09:00:00.000Z',
+          author: 'Jane Writer',
+          authorUrl: 'https://medium.com/@jane',
+        },
+      ])
+    })
+  })
+
+  describe('Given a publication with yearly and monthly archives', () => {
+    let navigator
+    let posts
+    let leases
+
+    beforeEach(async () => {
+      navigator = createArchiveNavigator()
+      leases = 0
+      posts = await createPublicationDiscovery(navigator).discoverFromArchive(
+        operation => {
+          leases++
+          return operation({})
+        },
+        PUBLICATION_URL
+      )
+    })
+
+    it('Then every month of busy years should be visited, newest first', () => {
+      expect(navigator.visited).toEqual([
+        `${PUBLICATION_URL}/archive`,
+        `${PUBLICATION_URL}/archive/2024`,
+        `${PUBLICATION_URL}/archive/2024/02`,
+        `${PUBLICATION_URL}/archive/2024/01`,
+        `${PUBLICATION_URL}/archive/2023`,
+      ])
+    })
+
+    it('And each archive page should be read under its own page lease', () => {
+      expect(leases).toBe(navigator.visited.length)
+    })
+
+    it('And each post should be listed once, without tracking parameters', () => {
+      expect(posts.map(post => post.url)).toEqual([
+        `${PUBLICATION_URL}/shipping-fast-1a2b3c4d5e6f`,
+        `${PUBLICATION_URL}/testing-slow-2b3c4d5e6f7a`,
+        `${PUBLICATION_URL}/older-idea-3c4d5e6f7a8b`,
+      ])
+    })
+
+    it('And each post should carry its author', () => {
+      expect(posts[1]).toMatchObject({
+        author: 'John Doe',
+        authorUsername: '@john',
+        source: 'archive',
+      })
+    })
+  })
+
+  describe('Given a publication whose busy months split into days', () => {
+    it('Then every day page should be visited and its posts listed', async () => {
+      const navigator = createArchiveNavigator(DAILY_ARCHIVE_PAGES)
+
+      const posts = await createPublicationDiscovery(
+        navigator
+      ).discoverFromArchive(operation => operation({}), PUBLICATION_URL)
+
+      expect(navigator.visited).toEqual([
+        `${PUBLICATION_URL}/archive`,
+        `${PUBLICATION_URL}/archive/2024`,
+        `${PUBLICATION_URL}/archive/2024/02`,
+        `${PUBLICATION_URL}/archive/2024/02/10`,
+        `${PUBLICATION_URL}/archive/2024/02/05`,
+      ])
+      expect(posts.map(post => post.url)).toEqual([
+        `${PUBLICATION_URL}/shipping-fast-1a2b3c4d5e6f`,
+        `${PUBLICATION_URL}/testing-slow-2b3c4d5e6f7a`,
+      ])
+    })
+  })
+
+  describe('Given the scraper service discovers a publication', () => {
+    it('Then it should read the archive instead of the profile page', async () => {
+      const scraper = createScraperService({
+        authService: { isAuthenticated: createMockFn(Promise.resolve(true)) },
+        browserPool: { withPage: createMockFn(operation => operation({})) },
+        navigator: createArchiveNavigator(),
+      })
+
+      const result = await scraper.discoverPosts(
+        'https://medium.com/our-pub/',
+        { publication: true }
+      )
+
+      expect(result.success).toBe(true)
+      expect(result.totalCount).toBe(3)
+      expect(result.profileUrl).toBe(PUBLICATION_URL)
+      expect(result.publication).toBe('our-pub')
+    })
+
+    it('And profile URLs should be rejected', async () => {
+      const scraper = createScraperService({
+        authService: { isAuthenticated: createMockFn(Promise.resolve(true)) },
+      })
+
+      const result = await scraper.discoverPosts('https://medium.com/@jane', {
+        publication: true,
+      })
+
+      expect(result.success).toBe(false)
+      expect(result.error).toContain('Invalid Medium publication URL')
+    })
+  })
+
+  describe('Given an author filter', () => {
+    const authorFilter = ['@jane', 'john doe']
+
+    it('Then authors should match by name or @username', () => {
+      expect(matchesAuthorFilter({ author: 'Jane Writer' }, authorFilter)).toBe(
+        false
+      )
+      expect(
+        matchesAuthorFilter(
+          { author: 'Jane Writer', authorUsername: '@jane' },
+          authorFilter
+        )
+      ).toBe(true)
+      expect(matchesAuthorFilter({ author: 'John Doe' }, authorFilter)).toBe(
+        true
+      )
+      expect(matchesAuthorFilter({}, authorFilter)).toBeNull()
+    })
+
+    it('And discovered posts by other authors should be filtered', () => {
+      const { posts, filtered } = filterDiscoveredPosts(
+        [
+          { url: 'a', author: 'Jane Writer', authorUsername: '@jane' },
+          { url: 'b', author: 'Someone Else', authorUsername: '@else' },
+          { url: 'c' },
+        ],
+        { authorFilter }
+      )
+
+      expect(posts.map(post => post.url)).toEqual(['a', 'c'])
+      expect(filtered[0]).toMatchObject({
+        url: 'b',
+        filtered: true,
+        reason: 'not by @jane, john doe',
+      })
+    })
+
+    it('And extracted posts should be checked once the author is known', () => {
+      expect(
+        getFilterReason({ author: 'Someone Else' }, { authorFilter })
+      ).toBe('not by @jane, john doe')
+      expect(getFilterReason({ author: 'John Doe' }, { authorFilter })).toBe(
+        null
+      )
+    })
+  })
+})
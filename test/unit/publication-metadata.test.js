@@ -0,0 +1,144 @@
+import { JSDOM } from 'jsdom'
+import { createPostExtractor } from '../../src/scraper/post-extractor.js'
+import { createPostConverter } from '../../src/converter.js'
+import { getPublicationDirectory, resolveOutputName } from '../../src/naming.js'
+import { validateConfig } from '../../src/config.js'
+
+const POST_URL =
+  'https://medium.com/better-programming/shipping-fast-1a2b3c4d5e6f'
+
+// Post page header as saved from a publication post, trimmed to the byline
+const PUBLICATION_POST_HTML = `
+<html><body>
+  <a href="https://medium.com/better-programming?source=post_page-----1a2b3c4d5e6f">
+    <div data-testid="publicationAvatar">
+      <img src="https://miro.medium.com/v2/resize:fill:76:76/1*logo.png" alt="Better Programming">
+    </div>
+    <p data-testid="publicationName">Better Programming</p>
+  </a>
+  <h1 data-testid="storyTitle">Shipping Fast</h1>
+  <a data-testid="authorName" href="https://medium.com/@jane">Jane Writer</a>
+  <article><p>Body</p></article>
+</body></html>`
+
+const PERSONAL_POST_HTML = `
+<html><body>
+  <h1 data-testid="storyTitle">Notes</h1>
+  <article><p>Body</p></article>
+</body></html>`
+
+// Stand in for page.evaluate by running the function against a DOM
+const createNavigator = html => ({
+  evaluate: async (page, fn, ...args) => {
+    const { window } = new JSDOM(html, { url: POST_URL })
+    global.document = window.document
+    global.window = window
+    try {
+      return fn(...args)
+    } finally {
+      delete global.document
+      delete global.window
+    }
+  },
+})
+
+const postData = {
+  title: 'Shipping Fast',
+  publishDate: '2024-02-10T09:00:00.000Z',
+  canonicalUrl: POST_URL,
+  publication: 'Better Programming',
+  publicationUrl: 'https://medium.com/better-programming',
+}
+
+describe('Publication Metadata', () => {
+  describe('Given a post page published in a publication', () => {
+    it('Then its name, URL and logo should be extracted', async () => {
+      const result = await createPostExtractor(
+        createNavigator(PUBLICATION_POST_HTML)
+      ).extractPostContent({})
+
+      expect(result).toMatchObject({
+        publication: 'Better Programming',
+        publicationUrl: 'https://medium.com/better-programming',
+        publicationLogo:
+          'https://miro.medium.com/v2/resize:fill:76:76/1*logo.png',
+      })
+    })
+
+    it('And a personal post should have no publication', async () => {
+      const result = await createPostExtractor(
+        createNavigator(PERSONAL_POST_HTML)
+      ).extractPostContent({})
+
+      expect(result.publication).toBe('')
+      expect(result.publicationUrl).toBe('')
+    })
+  })
+
+  describe('Given the frontmatter of a publication post', () => {
+    const converter = createPostConverter()
+
+    it('Then it should name the publication and link to it', () => {
+      const frontmatter = converter.generateFrontmatter(postData)
+
+      expect(frontmatter).toContain('publication: "Better Programming"')
+      expect(frontmatter).toContain(
+        'publicationUrl: "https://medium.com/better-programming"'
+      )
+    })
+
+    it('And posts outside a publication should leave the fields out', () => {
+      const frontmatter = converter.generateFrontmatter({
+        title: 'Notes',
+        publication: '',
+      })
+
+      expect(frontmatter).not.toContain('publication')
+    })
+  })
+
+  describe('Given output grouped by publication', () => {
+    it('Then publication posts should go under the publication slug', () => {
+      expect(
+        resolveOutputName(postData, 'slug', { groupByPublication: true })
+      ).toBe('better-programming/shipping-fast')
+      expect(resolveOutputName(postData, 'slug')).toBe('shipping-fast')
+    })
+
+    it('And custom domains and bare names should name the directory', () => {
+      expect(
+        getPublicationDirectory({
+          publicationUrl: 'https://blog.example.com',
+        })
+      ).toBe('blog.example.com')
+      expect(getPublicationDirectory({ publication: 'Our Pub' })).toBe(
+        'our-pub'
+      )
+    })
+
+    it('And posts outside a publication should stay at the top level', () => {
+      expect(
+        resolveOutputName(
+          { ...postData, publication: '', publicationUrl: '' },
+          'date-slug',
+          { groupByPublication: true }
+        )
+      ).toBe('2024-02-10-shipping-fast')
+    })
+
+    it('And templates should accept a {publication} token', () => {
+      expect(resolveOutputName(postData, '{publication}/{yyyy}/{slug}')).toBe(
+        'better-programming/2024/shipping-fast'
+      )
+      expect(
+        validateConfig({
+          outputDirectory: './output',
+          namingScheme: 'slug',
+          concurrency: 3,
+          retryAttempts: 3,
+          groupByPublication: 'yes',
+        }).errors
+      ).toContain('groupByPublication must be true or false')
+    })
+  })
+})
@@ -0,0 +1,230 @@
+import { JSDOM } from 'jsdom'
+import {
+  createResponsesExtractor,
+  nestResponses,
+  readResponses,
+} from '../../src/scraper/responses-extractor.js'
+import {
+  formatResponsesJson,
+  formatResponsesMarkdown,
+  validateResponsesFormat,
+} from '../../src/responses.js'
+import { processPost } from '../../src/main/post-processing.js'
+import { SELECTORS } from '../../src/constants.js'
+import { createMockFn } from '../test-utils.js'
+
+const POST = {
+  title: 'Shipping Fast',
+  url: 'https://medium.com/@jane/shipping-fast-1a2b3c4d5e6f',
+}
+
+// Responses panel markup, trimmed to two threads
+const RESPONSES_PANEL_HTML = `
+<html><body>
+  <button aria-label="responses">2</button>
+  <div role="dialog">
+    <div data-testid="response">
+      <a data-testid="responseAuthor" href="https://medium.com/@reader?source=responses">Rita Reader</a>
+      <time datetime="2024-02-11T10:00:00.000Z">Feb 11</time>
+      <div data-testid="responseText"><p>Great write-up!</p><p>One question though.</p></div>
+      <div data-testid="response">
+        <a data-testid="responseAuthor" href="https://medium.com/@jane">Jane Writer</a>
+        <time datetime="2024-02-12T08:00:00.000Z">Feb 12</time>
+        <div data-testid="responseText"><p>Thanks, ask away.</p></div>
+      </div>
+      <button aria-label="Show replies">Show replies</button>
+    </div>
+    <div data-testid="response">
+      <a data-testid="responseAuthor" href="https://medium.com/@sam">Sam</a>
+      <div data-testid="responseText">Nice.</div>
+    </div>
+  </div>
+</body></html>`
+
+const loadDocument = html => new JSDOM(html, { url: POST.url }).window.document
+
+const createPanelNavigator = html => ({
+  waitForSelector: createMockFn(Promise.resolve()),
+  // Stand in for page.evaluate by running the function against a DOM that
+  // keeps its state between calls, like a real page
+  evaluate: async (page, fn, ...args) => {
+    global.document = page.document
+    try {
+      return fn(...args)
+    } finally {
+      delete global.document
+    }
+  },
+  page: { document: loadDocument(html) },
+})
+
+describe('Post Responses', () => {
+  describe('Given an open responses panel', () => {
+    const flat = readResponses(loadDocument(RESPONSES_PANEL_HTML), SELECTORS)
+
+    it('Then each response should have its own author, date and text', () => {
+      expect(flat[0]).toEqual({
+        author: 'Rita Reader',
+        authorUrl: 'https://medium.com/@reader',
+        date: '2024-02-11T10:00:00.000Z',
+        text: 'Great write-up!\n\nOne question though.',
+        parent: -1,
+      })
+      expect(flat[2]).toMatchObject({
+        author: 'Sam',
+        date: null,
+        text: 'Nice.',
+      })
+    })
+
+    it('And replies should be nested under the response they answer', () => {
+      const responses = nestResponses(flat)
+
+      expect(responses.map(response => response.id)).toEqual(['1', '2'])
+      expect(responses[0].replies).toEqual([
+        expect.objectContaining({
+          id: '1.1',
+          author: 'Jane Writer',
+          replies: [],
+        }),
+      ])
+    })
+  })
+
+  describe('Given the extractor opens a post page', () => {
+    it('Then it should expand the panel and read the thread', async () => {
+      const navigator = createPanelNavigator(RESPONSES_PANEL_HTML)
+
+      const responses = await createResponsesExtractor(
+        navigator
+      ).extractResponses(navigator.page, { fastMode: true })
+
+      expect(responses).toHaveLength(2)
+      expect(
+        navigator.page.document
+          .querySelector('[aria-label="Show replies"]')
+          .hasAttribute('data-scraper-expanded')
+      ).toBe(true)
+    })
+
+    it('And posts without responses should not be opened', async () => {
+      const navigator = createPanelNavigator(RESPONSES_PANEL_HTML)
+
+      const responses = await createResponsesExtractor(
+        navigator
+      ).extractResponses(navigator.page, { count: 0 })
+
+      expect(responses).toEqual([])
+      expect(navigator.waitForSelector.calls).toHaveLength(0)
+    })
+  })
+
+  describe('Given responses to write', () => {
+    const responses = nestResponses(
+      readResponses(loadDocument(RESPONSES_PANEL_HTML), SELECTORS)
+    )
+
+    it('Then markdown should quote replies under their response', () => {
+      const markdown = formatResponsesMarkdown(POST, responses)
+
+      expect(markdown).toContain('# Responses to "Shipping Fast"')
+      expect(markdown).toContain('3 responses on')
+      expect(markdown).toContain(
+        [
+          '**Rita Reader** · 2024-02-11T10:00:00.000Z',
+          '',
+          'Great write-up!',
+          '',
+          'One question though.',
+          '',
+          '> **Jane Writer** · 2024-02-12T08:00:00.000Z',
+          '>',
+          '> Thanks, ask away.',
+        ].join('\n')
+      )
+    })
+
+    it('And JSON should keep the tree for static comment systems', () => {
+      const json = JSON.parse(formatResponsesJson(POST, responses))
+
+      expect(json.post).toEqual(POST)
+      expect(json.count).toBe(3)
+      expect(json.responses[0].replies[0].id).toBe('1.1')
+    })
+
+    it('And only known formats should be accepted', () => {
+      expect(validateResponsesFormat('json')).toEqual([])
+      expect(validateResponsesFormat('xml')).toEqual([
+        'responsesFormat must be null or one of: markdown, json',
+      ])
+    })
+  })
+
+  describe('Given processPost with a responses format', () => {
+    const responseThread = [
+      { id: '1', author: 'Sam', date: null, text: 'Nice.', replies: [] },
+    ]
+
+    const createStorage = () => ({
+      getChangeStatus: () => 'new',
+      savePostWithImages: async () => ({
+        success: true,
+        postDir: 'out/shipping-fast',
+        markdownFile: 'out/shipping-fast/shipping-fast.md',
+      }),
+      saveResponses: createMockFn((postDir, filename) =>
+        Promise.resolve({ success: true, filePath: `${postDir}/${filename}` })
+      ),
+    })
+
+    const processWith = (storage, responsesFormat) => {
+      const scraperService = {
+        extractPostContent: createMockFn(
+          Promise.resolve({
+            success: true,
+            ...POST,
+            canonicalUrl: POST.url,
+            responseThread,
+          })
+        ),
+      }
+      const result = processPost(POST, {
+        scraperService,
+        converter: {
+          convertPost: async () => ({
+            success: true,
+            slug: 'shipping-fast',
+            markdown: '',
+            referencedImages: [],
+          }),
+        },
+        storage,
+        responsesFormat,
+      })
+      return { result, scraperService }
+    }
+
+    it('Then the responses should be read and saved next to the post', async () => {
+      const storage = createStorage()
+      const { result, scraperService } = processWith(storage, 'json')
+
+      expect(await result).toMatchObject({
+        responsesFile: 'out/shipping-fast/responses.json',
+        responsesSaved: 1,
+      })
+      expect(scraperService.extractPostContent.calls[0][1].responses).toBe(true)
+      expect(storage.saveResponses.calls[0][0]).toBe('out/shipping-fast')
+    })
+
+    it('And without a format nothing extra should be read or written', async () => {
+      const storage = createStorage()
+      const { result, scraperService } = processWith(storage, null)
+
+      expect(await result).not.toHaveProperty('responsesFile')
+      expect(scraperService.extractPostContent.calls[0][1].responses).toBe(
+        false
+      )
+      expect(storage.saveResponses.calls).toHaveLength(0)
+    })
+  })
+})
@@ -0,0 +1,190 @@
+import { parseUrlList, toUrlPosts } from '../../src/main/url-list.js'
+import { createScrapePipeline } from '../../src/main/pipeline.js'
+import { createMockFn } from '../test-utils.js'
+
+const silentLogger = {
+  info: () => {},
+  success: () => {},
+  warn: () => {},
+  error: () => {},
+  progress: () => {},
+}
+
+const JANE_POST = 'https://medium.com/@jane/shipping-fast-1a2b3c4d5e6f'
+const PUB_POST = 'https://medium.com/our-pub/testing-slow-2b3c4d5e6f7a'
+
+const createPipeline = ({ metadata = null, extract } = {}) => {
+  const storage = {
+    initializeDirectories: createMockFn(
+      Promise.resolve({ success: true, directories: { output: 'out' } })
+    ),
+    loadProgress: async () => ({ success: true, journal: null }),
+    saveProgress: createMockFn(Promise.resolve({ success: true })),
+    loadMetadata: async () => ({ success: true, metadata }),
+    getRemovedPosts: () => [],
+    getChangeStatus: () => 'new',
+    reserveOutputNames: createMockFn(Promise.resolve([])),
+    saveMetadata: createMockFn(Promise.resolve({ success: true })),
+    savePostWithImages: async postData => ({
+      success: true,
+      markdownFile: `out/${postData.slug}/${postData.slug}.md`,
+      postDir: `out/${postData.slug}`,
+      imagesDownloaded: 0,
+    }),
+  }
+  const scraperService = {
+    discoverPosts: createMockFn(),
+    extractPostContent: createMockFn(
+      extract ||
+        (url =>
+          Promise.resolve({ success: true, url, title: url.split('/').pop() }))
+    ),
+  }
+
+  const pipeline = createScrapePipeline({
+    authService: { getAuthStatus: async () => ({ authenticated: true }) },
+    scraperService,
+    converter: {
+      convertPost: async post => ({
+        success: true,
+        slug: post.title,
+        markdown: '',
+        referencedImages: [],
+      }),
+    },
+    storage,
+    config: { concurrency: 1, requestDelay: 1, retryAttempts: 2 },
+    logger: silentLogger,
+  })
+
+  return { pipeline, storage, scraperService }
+}
+
+describe('URL Lists', () => {
+  describe('Given a file of post URLs', () => {
+    it('Then blank lines and comments should be ignored', () => {
+      expect(
+        parseUrlList(`# Posts to re-pull\n${JANE_POST}\n\n  ${PUB_POST}  \r\n`)
+      ).toEqual([JANE_POST, PUB_POST])
+    })
+
+    it('And posts should be deduplicated without tracking parameters', () => {
+      const { posts, invalid } = toUrlPosts([
+        `${JANE_POST}?source=rss----1`,
+        JANE_POST,
+        'https://medium.com/@jane',
+        'https://blog.example.com/custom-post',
+      ])
+
+      expect(posts.map(post => post.url)).toEqual([JANE_POST])
+      expect(invalid).toEqual([
+        'https://medium.com/@jane',
+        'https://blog.example.com/custom-post',
+      ])
+    })
+
+    it('And configured custom domains should be accepted', () => {
+      const { posts } = toUrlPosts(
+        ['https://blog.example.com/custom-post'],
+        ['blog.example.com']
+      )
+
+      expect(posts).toHaveLength(1)
+    })
+  })
+
+  describe('Given posts scraped by URL', () => {
+    it('Then discovery should be skipped and each post processed', async () => {
+      const { pipeline, scraperService, storage } = createPipeline()
+
+      const result = await pipeline.scrapeUrls([JANE_POST, PUB_POST], {
+        source: 'reading-list.txt',
+      })
+
+      expect(result.success).toBe(true)
+      expect(result.postsSuccessful).toBe(2)
+      expect(result.source).toBe('reading-list.txt')
+      expect(scraperService.discoverPosts.calls).toHaveLength(0)
+      expect(scraperService.extractPostContent.calls.map(c => c[0])).toEqual([
+        JANE_POST,
+        PUB_POST,
+      ])
+      expect(storage.saveProgress.calls).toHaveLength(0)
+    })
+
+    it('And no output names should be reserved before titles are known', async () => {
+      const { pipeline, storage } = createPipeline()
+
+      await pipeline.scrapeUrls([JANE_POST, PUB_POST])
+
+      expect(toUrlPosts([JANE_POST]).posts[0].title).toBeNull()
+      expect(storage.reserveOutputNames.calls).toHaveLength(0)
+    })
+
+    it('And failed extractions should be retried', async () => {
+      let attempts = 0
+      const { pipeline } = createPipeline({
+        extract: url =>
+          Promise.resolve(
+            ++attempts === 1
+              ? { success: false, error: 'Navigation timeout' }
+              : { success: true, url, title: 'shipping-fast' }
+          ),
+      })
+
+      const result = await pipeline.scrapePost(JANE_POST)
+
+      expect(attempts).toBe(2)
+      expect(result.postsSuccessful).toBe(1)
+    })
+
+    it('And digests of posts saved by earlier runs should be kept', async () => {
+      const earlier = {
+        contentHash: 'abc',
+        url: 'https://medium.com/@jane/older-3c4d5e6f7a8b',
+      }
+      const { pipeline, storage } = createPipeline({
+        metadata: { postHashes: { '3c4d5e6f7a8b': earlier } },
+      })
+
+      await pipeline.scrapePost(JANE_POST)
+
+      const [metadata] = storage.saveMetadata.calls[0]
+      expect(metadata.postHashes).toEqual({ '3c4d5e6f7a8b': earlier })
+      expect(metadata.changes.removed).toBe(0)
+    })
+
+    it("And a profile's metadata should keep its URL and other results", async () => {
+      const older = {
+        success: true,
+        url: 'https://medium.com/@jane/older-3c4d5e6f7a8b',
+      }
+      const { pipeline, storage } = createPipeline({
+        metadata: {
+          profileUrl: 'https://medium.com/@jane',
+          username: '@jane',
+          results: [older, { success: false, url: JANE_POST }],
+        },
+      })
+
+      await pipeline.scrapePost(JANE_POST)
+
+      const [metadata] = storage.saveMetadata.calls[0]
+      expect(metadata.profileUrl).toBe('https://medium.com/@jane')
+      expect(metadata.username).toBe('@jane')
+      expect(metadata.results).toEqual([
+        older,
+        expect.objectContaining({ success: true, postId: '1a2b3c4d5e6f' }),
+      ])
+    })
+
+    it('And a list without post URLs should fail', async () => {
+      const { pipeline } = createPipeline()
+
+      const result = await pipeline.scrapeUrls(['https://medium.com/@jane'])
+
+      expect(result.success).toBe(false)
+      expect(result.error).toBe('No Medium post URLs to scrape')
+    })
+  })
+})